@@ -6,8 +6,11 @@
 
 const TelegramBot = require('node-telegram-bot-api');
 const schedule = require('node-schedule');
-const moment = require('moment');
+const moment = require('moment-timezone');
 const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
 // Load environment variables
 dotenv.config();
@@ -26,46 +29,318 @@ const bot = new TelegramBot(token, { polling: true });
 console.log('Starting Study Focus Bot...');
 
 //======================================
-// IN-MEMORY DATA STORE
+// PERSISTENT STORAGE
 //======================================
 
-// Store for user data (tasks, sessions, stats)
+/*
+ * A storage backend is any object implementing:
+ *   loadAll()              -> Map of userId -> plain user data object
+ *   saveUser(userId, data) -> persist one user's data
+ *   deleteUser(userId)     -> remove one user's data
+ * All methods are synchronous so the accessors below can stay synchronous.
+ */
+
+/**
+ * Create a storage backend that keeps one JSON file per user in a directory
+ * @param {string} dataDir - Directory to store user files in
+ * @returns {Object} Storage backend
+ */
+function createJsonFileStorage(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  
+  const userFilePath = (userId) => path.join(dataDir, `${userId}.json`);
+  
+  return {
+    name: 'json',
+    
+    loadAll() {
+      const users = new Map();
+      
+      for (const fileName of fs.readdirSync(dataDir)) {
+        const fileMatch = fileName.match(/^(-?\d+)\.json$/);
+        if (!fileMatch) {
+          continue;
+        }
+        
+        try {
+          const raw = fs.readFileSync(path.join(dataDir, fileName), 'utf8');
+          users.set(Number(fileMatch[1]), JSON.parse(raw));
+        } catch (error) {
+          console.error(`Error loading user data file ${fileName}:`, error.message);
+        }
+      }
+      
+      return users;
+    },
+    
+    saveUser(userId, data) {
+      // Write to a temporary file first and rename it over the old one,
+      // so a crash mid-write never leaves a half-written user file behind
+      const filePath = userFilePath(userId);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      
+      fs.renameSync(tempPath, filePath);
+    },
+    
+    deleteUser(userId) {
+      fs.rmSync(userFilePath(userId), { force: true });
+    }
+  };
+}
+
+/**
+ * Create a storage backend that only keeps data in memory (nothing survives a restart)
+ * @returns {Object} Storage backend
+ */
+function createMemoryStorage() {
+  const users = new Map();
+  
+  return {
+    name: 'memory',
+    
+    loadAll() {
+      return new Map(users);
+    },
+    
+    saveUser(userId, data) {
+      users.set(userId, JSON.parse(JSON.stringify(data)));
+    },
+    
+    deleteUser(userId) {
+      users.delete(userId);
+    }
+  };
+}
+
+/**
+ * Create the storage backend selected through environment variables
+ * @returns {Object} Storage backend
+ */
+function createStorageBackend() {
+  const backendName = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+  
+  switch (backendName) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'json':
+      return createJsonFileStorage(process.env.STORAGE_DIR || path.join(__dirname, 'data'));
+    default:
+      console.error(`Unknown STORAGE_BACKEND "${backendName}", falling back to JSON files.`);
+      return createJsonFileStorage(process.env.STORAGE_DIR || path.join(__dirname, 'data'));
+  }
+}
+
+const storage = createStorageBackend();
+
+// Users whose data changed since the last flush
+const dirtyUsers = new Set();
+let flushScheduled = false;
+
+/**
+ * Write all pending user changes to the storage backend
+ */
+function flushUserStore() {
+  flushScheduled = false;
+  
+  for (const userId of dirtyUsers) {
+    dirtyUsers.delete(userId);
+    
+    if (!userStore.has(userId)) {
+      continue;
+    }
+    
+    try {
+      storage.saveUser(userId, userStore.get(userId));
+    } catch (error) {
+      console.error(`Error saving data for user ${userId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Mark a user's data as changed and schedule it to be written to storage.
+ * Changes made within the same tick are coalesced into a single write.
+ * @param {number} userId - Telegram user ID
+ */
+function persistUserData(userId) {
+  dirtyUsers.add(userId);
+  
+  if (!flushScheduled) {
+    flushScheduled = true;
+    setImmediate(flushUserStore);
+  }
+}
+
+//======================================
+// USER DATA STORE
+//======================================
+
+// Cache of user data (tasks, sessions, stats), backed by the storage backend
 const userStore = new Map();
 
+/**
+ * Create the default data object for a new user
+ * @returns {Object} Default user data
+ */
+function createDefaultUserData() {
+  return {
+    tasks: [],
+    notes: [],
+    subjects: [],  // Study subjects, see addUserSubject
+    sessions: [],  // Session history, see addCompletedSession
+    trash: [],  // Deleted tasks and notes, see restoreUserTrashItem
+    lastTrashId: 0,  // Trash IDs are never reused, so stale Undo buttons can't hit another item
+    name: null,  // Name shown on leaderboards, see rememberUser
+    inviteCode: null,  // Code in the user's friend invite link, see getUserInviteCode
+    partnerCode: null,  // Code in the user's partner invite link, cleared once used
+    friends: [],  // IDs of users on each other's leaderboard, see addUserFriend
+    members: [],  // Group chats only: IDs of members seen by the bot
+    partnerId: null,  // Accountability partner, see setUserPartner
+    lastPartnerNudge: null,  // Day (YYYY-MM-DD) the last study nudge was sent
+    session: {
+      isStudying: false,
+      studyStartTime: null,
+      pauseStartTime: null,
+      totalPausedTime: 0,
+      pausedDuration: 0,
+      messageId: null,
+      plannedDuration: 0,
+      awaitingCustomDuration: false,
+      awaitingTaskInput: false,
+      awaitingNoteInput: false,
+      awaitingTaskEdit: null,  // ID of the task whose new text is awaited
+      awaitingNoteEdit: null,  // ID of the note whose new text is awaited
+      awaitingNoteTag: null,  // ID of the note a new tag is awaited for
+      awaitingImport: false,  // Waiting for a file to import, see handleImportCommand
+      pomodoro: null,  // Active pomodoro cycle, see startPomodoro
+      room: null,  // Shared study room running in a group chat, see startStudyRoom
+      taskId: null,  // Task the current session is focused on
+      subjectId: null  // Subject the current session is tagged with
+    },
+    stats: {
+      totalStudyTime: 0,  // In minutes
+      totalSessions: 0,
+      longestSession: 0,  // In minutes
+      totalCompletedTasks: 0,
+      streak: 0,
+      lastStudyDate: null,
+      dailyStudyTime: {}  // Map of YYYY-MM-DD -> minutes
+    },
+    settings: getDefaultSettings()
+  };
+}
+
+/**
+ * Turn a stored user data object back into its in-memory shape
+ * (fill in fields added since it was saved and revive Date values)
+ * @param {Object} storedData - User data as loaded from storage
+ * @returns {Object} User data ready for the store
+ */
+function reviveUserData(storedData) {
+  const defaults = createDefaultUserData();
+  const toDate = (value) => (value ? new Date(value) : null);
+  
+  const userData = {
+    ...defaults,
+    ...storedData,
+    session: { ...defaults.session, ...storedData.session },
+    stats: { ...defaults.stats, ...storedData.stats },
+    settings: { ...defaults.settings, ...storedData.settings }
+  };
+  
+  userData.session.studyStartTime = toDate(userData.session.studyStartTime);
+  userData.session.pauseStartTime = toDate(userData.session.pauseStartTime);
+  userData.stats.lastStudyDate = toDate(userData.stats.lastStudyDate);
+  if (userData.session.pomodoro) {
+    userData.session.pomodoro.breakEndTime = toDate(userData.session.pomodoro.breakEndTime);
+  }
+  if (userData.session.room) {
+    const room = userData.session.room;
+    room.startTime = toDate(room.startTime);
+    room.endTime = toDate(room.endTime);
+    room.participants = room.participants.map(p => ({ ...p, joinedAt: toDate(p.joinedAt) }));
+  }
+  const reviveTask = (task) => ({
+    priority: 'medium',
+    dueDate: null,
+    recurrence: null,
+    subtasks: [],
+    order: null,
+    ...task,
+    createdAt: toDate(task.createdAt),
+    updatedAt: toDate(task.updatedAt),
+    reminderAt: toDate(task.reminderAt)
+  });
+  const reviveNote = (note) => ({
+    attachment: null,
+    ...note,
+    tags: parseHashtags(note.text),
+    createdAt: toDate(note.createdAt),
+    updatedAt: toDate(note.updatedAt)
+  });
+  
+  userData.tasks = userData.tasks.map(reviveTask);
+  userData.notes = userData.notes.map(reviveNote);
+  userData.trash = userData.trash.map(entry => ({
+    ...entry,
+    item: entry.type === 'task' ? reviveTask(entry.item) : reviveNote(entry.item),
+    deletedAt: toDate(entry.deletedAt)
+  }));
+  userData.subjects = userData.subjects.map(subject => ({ ...subject, createdAt: toDate(subject.createdAt) }));
+  userData.sessions = userData.sessions.map(entry => ({
+    ...entry,
+    startTime: toDate(entry.startTime),
+    endTime: toDate(entry.endTime)
+  }));
+  
+  return userData;
+}
+
+/**
+ * Load all persisted users into the user store
+ */
+function loadUserStore() {
+  try {
+    const storedUsers = storage.loadAll();
+    
+    for (const [userId, storedData] of storedUsers.entries()) {
+      userStore.set(userId, reviveUserData(storedData));
+    }
+    
+    console.log(`Loaded ${userStore.size} user(s) from ${storage.name} storage`);
+  } catch (error) {
+    console.error('Error loading user data:', error.message);
+  }
+}
+
 /**
  * Initialize user data if it doesn't exist
  * @param {number} userId - Telegram user ID
  */
 function initializeUserData(userId) {
   if (!userStore.has(userId)) {
-    userStore.set(userId, {
-      tasks: [],
-      notes: [],
-      session: {
-        isStudying: false,
-        studyStartTime: null,
-        pauseStartTime: null,
-        totalPausedTime: 0,
-        pausedDuration: 0,
-        messageId: null,
-        plannedDuration: 0,
-        awaitingCustomDuration: false,
-        awaitingTaskInput: false,
-        awaitingNoteInput: false
-      },
-      stats: {
-        totalStudyTime: 0,  // In minutes
-        totalSessions: 0,
-        longestSession: 0,  // In minutes
-        totalCompletedTasks: 0,
-        streak: 0,
-        lastStudyDate: null,
-        dailyStudyTime: {}  // Map of YYYY-MM-DD -> minutes
-      }
-    });
+    userStore.set(userId, createDefaultUserData());
   }
 }
 
+/**
+ * Store updated user data and persist it
+ * @param {number} userId - Telegram user ID
+ * @param {Object} userData - Updated user data
+ */
+function saveUserData(userId, userData) {
+  userStore.set(userId, userData);
+  persistUserData(userId);
+}
+
 /**
  * Get user session
  * @param {number} userId - Telegram user ID
@@ -85,7 +360,7 @@ function updateUserSession(userId, sessionData) {
   initializeUserData(userId);
   const userData = userStore.get(userId);
   userData.session = { ...userData.session, ...sessionData };
-  userStore.set(userId, userData);
+  saveUserData(userId, userData);
 }
 
 /**
@@ -102,9 +377,13 @@ function getUserTasks(userId) {
  * Add a task for user
  * @param {number} userId - Telegram user ID
  * @param {string} taskText - Task description
+ * @param {Object} details - Optional task details
+ * @param {string} details.priority - Priority level (see getTaskPriorities), defaults to medium
+ * @param {string|null} details.dueDate - Due date (YYYY-MM-DD)
+ * @param {Array|null} details.recurrence - Weekdays (0 = Sunday) the task repeats on
  * @returns {Object} The added task
  */
-function addUserTask(userId, taskText) {
+function addUserTask(userId, taskText, details = {}) {
   initializeUserData(userId);
   const userData = userStore.get(userId);
   
@@ -117,15 +396,142 @@ function addUserTask(userId, taskText) {
     id: taskId,
     text: taskText,
     completed: false,
+    priority: details.priority || 'medium',
+    dueDate: details.dueDate || null,
+    reminderAt: null,  // See setTaskReminder
+    recurrence: details.recurrence  // See advanceRecurringTask
+      ? { days: details.recurrence, completed: 0, missed: 0 }
+      : null,
+    subtasks: [],  // Checklist items, see addUserSubtask
+    order: null,  // Position within its priority group set by /move, see moveTask
     createdAt: new Date()
   };
   
   userData.tasks.push(newTask);
-  userStore.set(userId, userData);
+  saveUserData(userId, userData);
   
   return newTask;
 }
 
+/**
+ * Update a task's details
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ * @param {Object} changes - Fields to update (e.g., priority, dueDate)
+ * @returns {Object|null} The updated task or null if not found
+ */
+function updateUserTask(userId, taskId, changes) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const task = userData.tasks.find(t => t.id === taskId);
+  if (!task) {
+    return null;
+  }
+  
+  Object.assign(task, changes);
+  saveUserData(userId, userData);
+  
+  return task;
+}
+
+/**
+ * Set the manual order of a group of tasks
+ * @param {number} userId - Telegram user ID
+ * @param {Array} taskIds - Task IDs in their new order
+ */
+function reorderUserTasks(userId, taskIds) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  taskIds.forEach((taskId, index) => {
+    const task = userData.tasks.find(t => t.id === taskId);
+    if (task) {
+      task.order = index + 1;
+    }
+  });
+  
+  saveUserData(userId, userData);
+}
+
+/**
+ * Add a subtask to a task's checklist
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Parent task ID
+ * @param {string} text - Subtask description
+ * @returns {Object|null} The added subtask or null if the task was not found
+ */
+function addUserSubtask(userId, taskId, text) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const task = userData.tasks.find(t => t.id === taskId);
+  if (!task) {
+    return null;
+  }
+  
+  const subtaskId = task.subtasks.length > 0
+    ? Math.max(...task.subtasks.map(st => st.id)) + 1
+    : 1;
+  
+  const newSubtask = {
+    id: subtaskId,
+    text,
+    completed: false
+  };
+  
+  task.subtasks.push(newSubtask);
+  saveUserData(userId, userData);
+  
+  return newSubtask;
+}
+
+/**
+ * Complete or uncomplete a subtask
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Parent task ID
+ * @param {number} subtaskId - Subtask ID
+ * @returns {Object|null} The updated subtask or null if not found
+ */
+function toggleUserSubtask(userId, taskId, subtaskId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const task = userData.tasks.find(t => t.id === taskId);
+  const subtask = task ? task.subtasks.find(st => st.id === subtaskId) : null;
+  if (!subtask) {
+    return null;
+  }
+  
+  subtask.completed = !subtask.completed;
+  saveUserData(userId, userData);
+  
+  return subtask;
+}
+
+/**
+ * Delete a subtask
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Parent task ID
+ * @param {number} subtaskId - Subtask ID
+ * @returns {boolean} True if subtask was deleted, false if not found
+ */
+function deleteUserSubtask(userId, taskId, subtaskId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const task = userData.tasks.find(t => t.id === taskId);
+  const subtaskIndex = task ? task.subtasks.findIndex(st => st.id === subtaskId) : -1;
+  if (subtaskIndex === -1) {
+    return false;
+  }
+  
+  task.subtasks.splice(subtaskIndex, 1);
+  saveUserData(userId, userData);
+  
+  return true;
+}
+
 /**
  * Complete or uncomplete a task
  * @param {number} userId - Telegram user ID
@@ -141,6 +547,15 @@ function toggleTaskComplete(userId, taskId) {
     return null;
   }
   
+  // Completing a recurring task rolls it on to its next occurrence instead
+  if (userData.tasks[taskIndex].recurrence && !userData.tasks[taskIndex].completed) {
+    advanceRecurringTask(userId, userData.tasks[taskIndex]);
+    userData.stats.totalCompletedTasks++;
+    saveUserData(userId, userData);
+    
+    return userData.tasks[taskIndex];
+  }
+  
   // Toggle completion status
   userData.tasks[taskIndex].completed = !userData.tasks[taskIndex].completed;
   
@@ -151,34 +566,99 @@ function toggleTaskComplete(userId, taskId) {
     userData.stats.totalCompletedTasks = Math.max(0, userData.stats.totalCompletedTasks - 1);
   }
   
-  userStore.set(userId, userData);
+  saveUserData(userId, userData);
   
   return userData.tasks[taskIndex];
 }
 
 /**
- * Delete a task
+ * Delete a task (it is kept in the trash, see restoreUserTrashItem)
  * @param {number} userId - Telegram user ID
  * @param {number} taskId - Task ID
- * @returns {boolean} True if task was deleted, false if not found
+ * @param {boolean} keepCompletedStat - Keep a completed task in the completed-tasks stat (when tidying up finished tasks)
+ * @returns {Object|null} Trash entry for the task, or null if not found
  */
-function deleteUserTask(userId, taskId) {
+function deleteUserTask(userId, taskId, keepCompletedStat = false) {
   initializeUserData(userId);
   const userData = userStore.get(userId);
   
   const taskIndex = userData.tasks.findIndex(t => t.id === taskId);
   if (taskIndex === -1) {
-    return false;
+    return null;
   }
   
   // If task was completed, reduce completed count
-  if (userData.tasks[taskIndex].completed) {
+  const completed = userData.tasks[taskIndex].completed;
+  if (completed && !keepCompletedStat) {
     userData.stats.totalCompletedTasks = Math.max(0, userData.stats.totalCompletedTasks - 1);
   }
   
-  // Remove task
-  userData.tasks.splice(taskIndex, 1);
-  userStore.set(userId, userData);
+  // Move task to the trash
+  const [task] = userData.tasks.splice(taskIndex, 1);
+  const entry = addTrashEntry(userData, 'task', task);
+  if (completed && keepCompletedStat) {
+    entry.statKept = true;  // Restoring it mustn't count it twice
+  }
+  saveUserData(userId, userData);
+  
+  return entry;
+}
+
+/**
+ * Get user subjects
+ * @param {number} userId - Telegram user ID
+ * @returns {Array} Array of user subjects
+ */
+function getUserSubjects(userId) {
+  initializeUserData(userId);
+  return userStore.get(userId).subjects;
+}
+
+/**
+ * Add a subject for user
+ * @param {number} userId - Telegram user ID
+ * @param {string} name - Subject name
+ * @param {string} theme - Progress theme (see getProgressThemes)
+ * @returns {Object} The added subject
+ */
+function addUserSubject(userId, name, theme) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const subjectId = userData.subjects.length > 0
+    ? Math.max(...userData.subjects.map(s => s.id)) + 1
+    : 1;
+  
+  const newSubject = {
+    id: subjectId,
+    name,
+    theme,
+    createdAt: new Date()
+  };
+  
+  userData.subjects.push(newSubject);
+  saveUserData(userId, userData);
+  
+  return newSubject;
+}
+
+/**
+ * Delete a subject (sessions already tagged with it keep their history entry)
+ * @param {number} userId - Telegram user ID
+ * @param {number} subjectId - Subject ID
+ * @returns {boolean} True if subject was deleted, false if not found
+ */
+function deleteUserSubject(userId, subjectId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const subjectIndex = userData.subjects.findIndex(s => s.id === subjectId);
+  if (subjectIndex === -1) {
+    return false;
+  }
+  
+  userData.subjects.splice(subjectIndex, 1);
+  saveUserData(userId, userData);
   
   return true;
 }
@@ -197,9 +677,10 @@ function getUserNotes(userId) {
  * Add a note for user
  * @param {number} userId - Telegram user ID
  * @param {string} noteText - Note content
+ * @param {Object|null} attachment - Attached Telegram file (see getMessageAttachment)
  * @returns {Object} The added note
  */
-function addUserNote(userId, noteText) {
+function addUserNote(userId, noteText, attachment = null) {
   initializeUserData(userId);
   const userData = userStore.get(userId);
   
@@ -211,20 +692,45 @@ function addUserNote(userId, noteText) {
   const newNote = {
     id: noteId,
     text: noteText,
+    tags: parseHashtags(noteText),  // Always follows the #hashtags in the text
+    attachment,  // Photo, document or voice message, see sendNoteAttachment
     createdAt: new Date()
   };
   
   userData.notes.push(newNote);
-  userStore.set(userId, userData);
+  saveUserData(userId, userData);
   
   return newNote;
 }
 
 /**
- * Delete a note
+ * Update a note's details
+ * @param {number} userId - Telegram user ID
+ * @param {number} noteId - Note ID
+ * @param {Object} changes - Fields to update (e.g., text, updatedAt)
+ * @returns {Object|null} The updated note or null if not found
+ */
+function updateUserNote(userId, noteId, changes) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const note = userData.notes.find(n => n.id === noteId);
+  if (!note) {
+    return null;
+  }
+  
+  Object.assign(note, changes);
+  note.tags = parseHashtags(note.text);
+  saveUserData(userId, userData);
+  
+  return note;
+}
+
+/**
+ * Delete a note (it is kept in the trash, see restoreUserTrashItem)
  * @param {number} userId - Telegram user ID
  * @param {number} noteId - Note ID
- * @returns {boolean} True if note was deleted, false if not found
+ * @returns {Object|null} Trash entry for the note, or null if not found
  */
 function deleteUserNote(userId, noteId) {
   initializeUserData(userId);
@@ -232,51 +738,497 @@ function deleteUserNote(userId, noteId) {
   
   const noteIndex = userData.notes.findIndex(n => n.id === noteId);
   if (noteIndex === -1) {
-    return false;
+    return null;
   }
   
-  // Remove note
-  userData.notes.splice(noteIndex, 1);
-  userStore.set(userId, userData);
+  // Move note to the trash
+  const [note] = userData.notes.splice(noteIndex, 1);
+  const entry = addTrashEntry(userData, 'note', note);
+  saveUserData(userId, userData);
   
-  return true;
+  return entry;
 }
 
 /**
- * Get user statistics
+ * Add a deleted item to a user's trash
+ * @param {Object} userData - User data to update (the caller saves it)
+ * @param {string} type - 'task' or 'note'
+ * @param {Object} item - The deleted task or note
+ * @returns {Object} The new trash entry
+ */
+function addTrashEntry(userData, type, item) {
+  // Trash entries get their own IDs, since a task or note ID can be reused once freed
+  userData.lastTrashId = Math.max(userData.lastTrashId, ...userData.trash.map(e => e.id)) + 1;
+  
+  const entry = {
+    id: userData.lastTrashId,
+    type,
+    item,
+    deletedAt: new Date()
+  };
+  
+  userData.trash.push(entry);
+  return entry;
+}
+
+/**
+ * Get all trash entries for a user, most recently deleted first
  * @param {number} userId - Telegram user ID
- * @returns {Object} User statistics
+ * @returns {Array} Trash entries
  */
-function getUserStats(userId) {
+function getUserTrash(userId) {
   initializeUserData(userId);
-  return userStore.get(userId).stats;
+  return [...userStore.get(userId).trash].sort((a, b) => b.deletedAt - a.deletedAt);
 }
 
 /**
- * Update user statistics
+ * Get a single trash entry
  * @param {number} userId - Telegram user ID
- * @param {Object} statsData - Statistics data to update
+ * @param {number} trashId - Trash entry ID
+ * @returns {Object|null} The trash entry, or null if not found
  */
-function updateUserStats(userId, statsData) {
+function getUserTrashEntry(userId, trashId) {
   initializeUserData(userId);
-  const userData = userStore.get(userId);
-  userData.stats = { ...userData.stats, ...statsData };
-  userStore.set(userId, userData);
+  return userStore.get(userId).trash.find(e => e.id === trashId) || null;
 }
 
 /**
- * Add completed study session to user stats
+ * Put a trashed task or note back into its list
  * @param {number} userId - Telegram user ID
- * @param {number} durationMinutes - Study session duration in minutes
+ * @param {number} trashId - Trash entry ID
+ * @returns {Object|null} The restored trash entry, or null if not found
  */
-function addCompletedSession(userId, durationMinutes) {
+function restoreUserTrashItem(userId, trashId) {
   initializeUserData(userId);
   const userData = userStore.get(userId);
   
-  // Update total study time
-  userData.stats.totalStudyTime += durationMinutes;
+  const entryIndex = userData.trash.findIndex(e => e.id === trashId);
+  if (entryIndex === -1) {
+    return null;
+  }
   
-  // Update total sessions
+  const [entry] = userData.trash.splice(entryIndex, 1);
+  const list = entry.type === 'task' ? userData.tasks : userData.notes;
+  
+  // The ID may have been given to a newer item in the meantime
+  if (list.some(existing => existing.id === entry.item.id)) {
+    entry.item.id = Math.max(...list.map(existing => existing.id)) + 1;
+  }
+  
+  if (entry.type === 'task' && entry.item.completed && !entry.statKept) {
+    userData.stats.totalCompletedTasks++;
+  }
+  
+  list.push(entry.item);
+  saveUserData(userId, userData);
+  
+  return entry;
+}
+
+/**
+ * Permanently delete a trash entry
+ * @param {number} userId - Telegram user ID
+ * @param {number} trashId - Trash entry ID
+ * @returns {boolean} True if the entry was purged, false if not found
+ */
+function purgeUserTrashItem(userId, trashId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const entryIndex = userData.trash.findIndex(e => e.id === trashId);
+  if (entryIndex === -1) {
+    return false;
+  }
+  
+  userData.trash.splice(entryIndex, 1);
+  saveUserData(userId, userData);
+  
+  return true;
+}
+
+/**
+ * Permanently delete trash entries deleted before a given time
+ * @param {number} userId - Telegram user ID
+ * @param {Date} cutoff - Entries deleted before this are purged (null purges everything)
+ * @returns {number} Number of entries purged
+ */
+function purgeUserTrash(userId, cutoff = null) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const remaining = userData.trash.filter(entry => cutoff && entry.deletedAt >= cutoff);
+  const purged = userData.trash.length - remaining.length;
+  
+  if (purged > 0) {
+    userData.trash = remaining;
+    saveUserData(userId, userData);
+  }
+  
+  return purged;
+}
+
+/**
+ * Merge imported items into a user's data. Every item gets a new ID, and
+ * items that are already there (same text and creation time, or a session
+ * with the same start) are skipped, so importing a backup twice is harmless.
+ * Sessions overlapping one already recorded are skipped too, so no time is credited twice.
+ * @param {number} userId - Telegram user ID
+ * @param {Object} data - Parsed import (see parseImportFile)
+ * @returns {Object} Counts of what was added: { tasks, notes, subjects, sessions, duplicates, overlapping }
+ */
+function importUserData(userId, data) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  const counts = { tasks: 0, notes: 0, subjects: 0, sessions: 0, duplicates: 0, overlapping: 0 };
+  
+  const nextId = (items) => (items.length > 0 ? Math.max(...items.map(item => item.id)) + 1 : 1);
+  const sameItem = (a, b) => a.text === b.text && a.createdAt && b.createdAt && a.createdAt.getTime() === b.createdAt.getTime();
+  
+  // Subjects are matched by name
+  const subjectIds = new Map();
+  for (const subject of data.subjects) {
+    let existing = userData.subjects.find(s => s.name.toLowerCase() === subject.name.toLowerCase());
+    if (!existing) {
+      existing = { id: nextId(userData.subjects), name: subject.name, theme: subject.theme, createdAt: subject.createdAt || new Date() };
+      userData.subjects.push(existing);
+      counts.subjects++;
+    }
+    if (subject.id) {
+      subjectIds.set(subject.id, existing.id);
+    }
+  }
+  
+  const taskIds = new Map();
+  for (const task of data.tasks) {
+    const existing = userData.tasks.find(t => sameItem(t, task));
+    if (existing) {
+      if (task.id) {
+        taskIds.set(task.id, existing.id);
+      }
+      counts.duplicates++;
+      continue;
+    }
+    
+    const newTask = {
+      ...task,
+      id: nextId(userData.tasks),
+      reminderAt: null,
+      order: null,
+      createdAt: task.createdAt || new Date()
+    };
+    userData.tasks.push(newTask);
+    if (task.id) {
+      taskIds.set(task.id, newTask.id);
+    }
+    counts.tasks++;
+    
+    if (newTask.completed) {
+      userData.stats.totalCompletedTasks++;
+    }
+  }
+  
+  for (const note of data.notes) {
+    if (userData.notes.some(n => sameItem(n, note))) {
+      counts.duplicates++;
+      continue;
+    }
+    
+    userData.notes.push({
+      ...note,
+      id: nextId(userData.notes),
+      tags: parseHashtags(note.text),
+      createdAt: note.createdAt || new Date()
+    });
+    counts.notes++;
+  }
+  
+  const stats = userData.stats;
+  for (const session of data.sessions) {
+    if (userData.sessions.some(entry => entry.startTime.getTime() === session.startTime.getTime())) {
+      counts.duplicates++;
+      continue;
+    }
+    if (userData.sessions.some(entry => entry.startTime < session.endTime && session.startTime < entry.endTime)) {
+      counts.overlapping++;
+      continue;
+    }
+    
+    userData.sessions.push({
+      ...session,
+      id: nextId(userData.sessions),
+      taskId: taskIds.get(session.taskId) || null,
+      subjectId: subjectIds.get(session.subjectId) || null
+    });
+    counts.sessions++;
+    
+    // Credit the time the same way addCompletedSession does
+    stats.totalStudyTime += session.minutes;
+    stats.totalSessions++;
+    stats.longestSession = Math.max(stats.longestSession, session.minutes);
+    for (const [date, minutes] of Object.entries(session.days)) {
+      stats.dailyStudyTime[date] = (stats.dailyStudyTime[date] || 0) + minutes;
+    }
+    if (!stats.lastStudyDate || session.endTime > stats.lastStudyDate) {
+      stats.lastStudyDate = session.endTime;
+    }
+  }
+  
+  if (counts.sessions > 0) {
+    stats.streak = calculateStreak(stats.dailyStudyTime, userMoment(userId, stats.lastStudyDate).format('YYYY-MM-DD'));
+  }
+  
+  saveUserData(userId, userData);
+  
+  return counts;
+}
+
+/**
+ * Remember a user's name and, in group chats, that they're a member.
+ * Group members who never used the bot only get their ID listed, not a record of their own.
+ * @param {number} chatId - Chat the user wrote in
+ * @param {Object} user - Telegram user
+ */
+function rememberUser(chatId, user) {
+  if (!user || user.is_bot) {
+    return;
+  }
+  
+  if (!isGroupChat(chatId) || userStore.has(user.id)) {
+    initializeUserData(user.id);
+    const userData = userStore.get(user.id);
+    const name = getParticipantName(user);
+    if (userData.name !== name) {
+      userData.name = name;
+      saveUserData(user.id, userData);
+    }
+  }
+  
+  if (isGroupChat(chatId)) {
+    initializeUserData(chatId);
+    const groupData = userStore.get(chatId);
+    if (!groupData.members.includes(user.id)) {
+      groupData.members.push(user.id);
+      saveUserData(chatId, groupData);
+    }
+  }
+}
+
+/**
+ * Forget a member who left a group chat
+ * @param {number} chatId - Group chat ID
+ * @param {number} userId - Telegram user ID of the member
+ */
+function forgetGroupMember(chatId, userId) {
+  const groupData = userStore.get(chatId);
+  
+  if (groupData && groupData.members.includes(userId)) {
+    groupData.members = groupData.members.filter(id => id !== userId);
+    saveUserData(chatId, groupData);
+  }
+}
+
+/**
+ * Get the code used in a user's invite links, creating it on first use.
+ * Friend and partner links have separate codes, so a shared friend link can't pair anyone.
+ * @param {number} userId - Telegram user ID
+ * @param {string} [type='friend'] - Link type, 'friend' or 'partner'
+ * @returns {string} Invite code
+ */
+function getUserInviteCode(userId, type = 'friend') {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  const field = type === 'partner' ? 'partnerCode' : 'inviteCode';
+  
+  if (!userData[field]) {
+    userData[field] = crypto.randomBytes(5).toString('hex');
+    saveUserData(userId, userData);
+  }
+  
+  return userData[field];
+}
+
+/**
+ * Find the user an invite code belongs to
+ * @param {string} code - Invite code
+ * @param {string} [type='friend'] - Link type, 'friend' or 'partner'
+ * @returns {number|null} User ID, or null if no user has the code
+ */
+function findUserByInviteCode(code, type = 'friend') {
+  const field = type === 'partner' ? 'partnerCode' : 'inviteCode';
+  
+  for (const [userId, userData] of userStore.entries()) {
+    if (userData[field] && userData[field] === code) {
+      return userId;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Make two users friends, so each appears on the other's leaderboard
+ * @param {number} userId - Telegram user ID
+ * @param {number} friendId - Telegram user ID of the friend
+ * @returns {boolean} True if they weren't friends yet
+ */
+function addUserFriend(userId, friendId) {
+  initializeUserData(userId);
+  initializeUserData(friendId);
+  const userData = userStore.get(userId);
+  const friendData = userStore.get(friendId);
+  
+  if (userId === friendId || userData.friends.includes(friendId)) {
+    return false;
+  }
+  
+  userData.friends.push(friendId);
+  friendData.friends.push(userId);
+  saveUserData(userId, userData);
+  saveUserData(friendId, friendData);
+  
+  return true;
+}
+
+/**
+ * Remove a friend (for both users), taking each off the other's leaderboard
+ * @param {number} userId - Telegram user ID
+ * @param {number} friendId - Telegram user ID of the friend
+ * @returns {boolean} True if they were friends
+ */
+function removeUserFriend(userId, friendId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  if (!userData.friends.includes(friendId)) {
+    return false;
+  }
+  
+  userData.friends = userData.friends.filter(id => id !== friendId);
+  saveUserData(userId, userData);
+  
+  const friendData = userStore.get(friendId);
+  if (friendData) {
+    friendData.friends = friendData.friends.filter(id => id !== userId);
+    saveUserData(friendId, friendData);
+  }
+  
+  return true;
+}
+
+/**
+ * Pair two users as accountability partners
+ * @param {number} userId - Telegram user ID
+ * @param {number} partnerId - Telegram user ID of the partner
+ */
+function setUserPartner(userId, partnerId) {
+  initializeUserData(userId);
+  initializeUserData(partnerId);
+  const userData = userStore.get(userId);
+  const partnerData = userStore.get(partnerId);
+  
+  userData.partnerId = partnerId;
+  partnerData.partnerId = userId;
+  // Partner links are single-use, so a forwarded link can't pair anyone else later
+  userData.partnerCode = null;
+  partnerData.partnerCode = null;
+  saveUserData(userId, userData);
+  saveUserData(partnerId, partnerData);
+}
+
+/**
+ * End a user's accountability partnership (for both of them)
+ * @param {number} userId - Telegram user ID
+ * @returns {number|null} ID of the former partner, or null if there was none
+ */
+function removeUserPartner(userId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  const partnerId = userData.partnerId;
+  
+  if (!partnerId) {
+    return null;
+  }
+  
+  userData.partnerId = null;
+  saveUserData(userId, userData);
+  
+  const partnerData = userStore.get(partnerId);
+  if (partnerData && partnerData.partnerId === userId) {
+    partnerData.partnerId = null;
+    saveUserData(partnerId, partnerData);
+  }
+  
+  return partnerId;
+}
+
+/**
+ * Get user statistics
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} User statistics
+ */
+function getUserStats(userId) {
+  initializeUserData(userId);
+  return userStore.get(userId).stats;
+}
+
+/**
+ * Update user statistics
+ * @param {number} userId - Telegram user ID
+ * @param {Object} statsData - Statistics data to update
+ */
+function updateUserStats(userId, statsData) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  userData.stats = { ...userData.stats, ...statsData };
+  saveUserData(userId, userData);
+}
+
+/**
+ * Get user settings
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} User settings
+ */
+function getUserSettings(userId) {
+  initializeUserData(userId);
+  return userStore.get(userId).settings;
+}
+
+/**
+ * Update user settings
+ * @param {number} userId - Telegram user ID
+ * @param {Object} settingsData - Settings data to update
+ */
+function updateUserSettings(userId, settingsData) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  userData.settings = { ...userData.settings, ...settingsData };
+  saveUserData(userId, userData);
+}
+
+/**
+ * Add completed study session to user stats and the session history
+ * @param {number} userId - Telegram user ID
+ * @param {number} durationMinutes - Study session duration in minutes
+ * @param {Object} details - Session details
+ * @param {Date} details.startTime - When the session started
+ * @param {Date} details.endTime - When the session ended (defaults to now)
+ * @param {number} details.plannedMinutes - Planned session length in minutes
+ * @param {number} details.pausedMinutes - Time spent paused in minutes
+ * @param {boolean} details.completed - False if the session was stopped early
+ * @param {number} details.taskId - Task the session was focused on, if any
+ * @param {number} details.subjectId - Subject the session was tagged with, if any
+ * @returns {Object} The recorded history entry
+ */
+function addCompletedSession(userId, durationMinutes, details = {}) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  const endTime = details.endTime || new Date();
+  const startTime = details.startTime || new Date(endTime.getTime() - durationMinutes * 60000);
+  
+  // Update total study time
+  userData.stats.totalStudyTime += durationMinutes;
+  
+  // Update total sessions
   userData.stats.totalSessions++;
   
   // Update longest session if applicable
@@ -284,44 +1236,115 @@ function addCompletedSession(userId, durationMinutes) {
     userData.stats.longestSession = durationMinutes;
   }
   
-  // Update daily study time
-  const today = moment().format('YYYY-MM-DD');
+  // Update daily study time, crediting each day the session overlapped
   const dailyStudyTime = userData.stats.dailyStudyTime || {};
-  dailyStudyTime[today] = (dailyStudyTime[today] || 0) + durationMinutes;
+  const minutesByDay = splitMinutesByDay(userId, startTime, endTime, durationMinutes);
+  for (const [date, minutes] of Object.entries(minutesByDay)) {
+    dailyStudyTime[date] = (dailyStudyTime[date] || 0) + minutes;
+  }
   userData.stats.dailyStudyTime = dailyStudyTime;
   
-  // Update streak
-  const lastStudyDate = userData.stats.lastStudyDate 
-    ? moment(userData.stats.lastStudyDate).format('YYYY-MM-DD')
-    : null;
-    
-  if (lastStudyDate) {
-    // If last study date was yesterday, increment streak
-    if (moment(today).diff(moment(lastStudyDate), 'days') === 1) {
-      userData.stats.streak++;
-    } 
-    // If last study date was today, keep streak
-    else if (today === lastStudyDate) {
-      // Streak stays the same
-    } 
-    // If there was a gap, reset streak to 1
-    else {
-      userData.stats.streak = 1;
+  // Update streak from the days that were actually studied
+  userData.stats.streak = calculateStreak(dailyStudyTime, userMoment(userId, endTime).format('YYYY-MM-DD'));
+  
+  // Update last study date
+  userData.stats.lastStudyDate = endTime;
+  
+  // Credit the time to the linked task
+  const task = details.taskId ? userData.tasks.find(t => t.id === details.taskId) : null;
+  if (task) {
+    task.timeSpent = (task.timeSpent || 0) + durationMinutes;
+  }
+  
+  // Record the session in the history
+  const entryId = userData.sessions.length > 0
+    ? Math.max(...userData.sessions.map(e => e.id)) + 1
+    : 1;
+  
+  const entry = {
+    id: entryId,
+    startTime,
+    endTime,
+    minutes: durationMinutes,
+    plannedMinutes: details.plannedMinutes || durationMinutes,
+    pausedMinutes: Math.round(details.pausedMinutes || 0),
+    completed: details.completed !== false,
+    taskId: task ? task.id : null,
+    subjectId: details.subjectId || null,
+    days: minutesByDay  // Minutes credited per day, so the entry can be removed exactly
+  };
+  
+  userData.sessions.push(entry);
+  saveUserData(userId, userData);
+  
+  return entry;
+}
+
+/**
+ * Get user session history
+ * @param {number} userId - Telegram user ID
+ * @returns {Array} Array of session history entries (oldest first)
+ */
+function getUserSessionHistory(userId) {
+  initializeUserData(userId);
+  return userStore.get(userId).sessions;
+}
+
+/**
+ * Delete a session history entry and remove its time from the stats
+ * @param {number} userId - Telegram user ID
+ * @param {number} entryId - History entry ID
+ * @returns {boolean} True if entry was deleted, false if not found
+ */
+function deleteSessionHistoryEntry(userId, entryId) {
+  initializeUserData(userId);
+  const userData = userStore.get(userId);
+  
+  const entryIndex = userData.sessions.findIndex(e => e.id === entryId);
+  if (entryIndex === -1) {
+    return false;
+  }
+  
+  const [entry] = userData.sessions.splice(entryIndex, 1);
+  const stats = userData.stats;
+  
+  // Take the session back out of the totals
+  stats.totalStudyTime = Math.max(0, stats.totalStudyTime - entry.minutes);
+  stats.totalSessions = Math.max(0, stats.totalSessions - 1);
+  
+  for (const [date, minutes] of Object.entries(entry.days || {})) {
+    stats.dailyStudyTime[date] = Math.max(0, (stats.dailyStudyTime[date] || 0) - minutes);
+    if (stats.dailyStudyTime[date] === 0) {
+      delete stats.dailyStudyTime[date];
     }
-  } else {
-    // First time studying
-    userData.stats.streak = 1;
   }
   
-  // Update last study date
-  userData.stats.lastStudyDate = new Date();
+  const task = entry.taskId ? userData.tasks.find(t => t.id === entry.taskId) : null;
+  if (task) {
+    task.timeSpent = Math.max(0, (task.timeSpent || 0) - entry.minutes);
+  }
   
-  userStore.set(userId, userData);
+  if (entry.minutes >= stats.longestSession) {
+    stats.longestSession = Math.max(0, ...userData.sessions.map(e => e.minutes));
+  }
+  
+  // Recalculate the streak up to the most recent day that still has study time
+  const studiedDays = Object.keys(stats.dailyStudyTime).filter(date => stats.dailyStudyTime[date] > 0).sort();
+  stats.streak = studiedDays.length > 0
+    ? calculateStreak(stats.dailyStudyTime, studiedDays[studiedDays.length - 1])
+    : 0;
+  
+  saveUserData(userId, userData);
+  
+  return true;
 }
 
 // Store active timers for cleanup
 const timerStore = new Map();
 
+// Scheduled task reminders, keyed by "userId:taskId" (kept apart so cleanupTimers leaves them alone)
+const reminderStore = new Map();
+
 /**
  * Store active timer for later cleanup
  * @param {number} userId - Telegram user ID
@@ -477,6 +1500,21 @@ function getThemedProgress(theme, percent) {
   }
 }
 
+/**
+ * Get the progress themes understood by getThemedProgress
+ * @returns {Object} Map of theme name -> icon
+ */
+function getProgressThemes() {
+  return {
+    focus: '⏱️',
+    reading: '📖',
+    writing: '✏️',
+    coding: '💻',
+    math: '🔢',
+    language: '🗣️'
+  };
+}
+
 //======================================
 // TIME UTILITIES
 //======================================
@@ -495,6 +1533,16 @@ function formatTime(milliseconds) {
   return `${hours > 0 ? padZero(hours) + ':' : ''}${padZero(minutes)}:${padZero(seconds)}`;
 }
 
+/**
+ * Format a number of minutes as hours and minutes (e.g., "1h 5m")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
 /**
  * Add leading zero to numbers less than 10
  * @param {number} num - Number to pad
@@ -513,8 +1561,52 @@ function getFocusDurationOptions() {
 }
 
 /**
- * Parse duration string into minutes
- * @param {string} durationStr - Duration string (e.g., "25m", "1h", "1h30m")
+ * Get the default per-user settings
+ * @returns {Object} Default settings (durations in minutes)
+ */
+function getDefaultSettings() {
+  return {
+    focusDuration: 25,
+    breakDuration: 5,
+    longBreakInterval: 4,  // Focus sessions per pomodoro round
+    maxSessionLength: 120,
+    motivationalMessages: true,
+    soundNotifications: true,
+    trashRetentionDays: 7,  // Days deleted tasks and notes stay restorable
+    showOnLeaderboard: true,  // Appear on group and friend leaderboards
+    timezone: null  // IANA timezone name, null means the server's timezone
+  };
+}
+
+/**
+ * Get the allowed range and step for each numeric setting
+ * @returns {Object} Map of setting name -> { min, max, step }
+ */
+function getSettingsLimits() {
+  return {
+    focusDuration: { min: 5, max: 240, step: 5 },
+    breakDuration: { min: 1, max: 30, step: 1 },
+    longBreakInterval: { min: 2, max: 8, step: 1 },
+    maxSessionLength: { min: 30, max: 240, step: 15 },
+    trashRetentionDays: { min: 1, max: 30, step: 1 }
+  };
+}
+
+/**
+ * Get the focus presets shown on the main keyboard
+ * @param {Object} settings - User settings
+ * @returns {Array} Array of preset durations in minutes
+ */
+function getFocusPresets(settings) {
+  const presets = [settings.focusDuration, 45, 60]
+    .filter(minutes => minutes <= settings.maxSessionLength);
+  
+  return [...new Set(presets)].sort((a, b) => a - b);
+}
+
+/**
+ * Parse duration string into minutes
+ * @param {string} durationStr - Duration string (e.g., "25m", "1h", "1h30m")
  * @returns {number} Duration in minutes or null if invalid
  */
 function parseDuration(durationStr) {
@@ -544,19 +1636,371 @@ function parseDuration(durationStr) {
   return null; // Invalid format
 }
 
+/**
+ * Get a moment in the user's timezone (the server's timezone if they haven't set one)
+ * @param {number} userId - Telegram user ID
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {Object} Moment instance
+ */
+function userMoment(userId, date = new Date()) {
+  const timezone = getUserSettings(userId).timezone;
+  return timezone ? moment(date).tz(timezone) : moment(date);
+}
+
+/**
+ * Format a date as D/M/YYYY in the user's timezone
+ * @param {number} userId - Telegram user ID
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date string
+ */
+function formatUserDate(userId, date) {
+  return userMoment(userId, date).format('D/M/YYYY');
+}
+
+/**
+ * Parse a due date in the user's timezone
+ * (today, tomorrow, a weekday such as "fri", YYYY-MM-DD, D/M/YYYY or D/M)
+ * @param {number} userId - Telegram user ID
+ * @param {string} input - Due date text
+ * @returns {string|null} Due date (YYYY-MM-DD) or null if not recognised
+ */
+function parseDueDate(userId, input) {
+  const today = userMoment(userId).startOf('day');
+  const value = input.trim().toLowerCase();
+  
+  if (value === 'today') {
+    return today.format('YYYY-MM-DD');
+  }
+  if (value === 'tomorrow') {
+    return today.clone().add(1, 'day').format('YYYY-MM-DD');
+  }
+  
+  // A weekday means its next occurrence, counting today
+  const weekday = value.length >= 3
+    ? moment.weekdays().findIndex(day => day.toLowerCase().startsWith(value))
+    : -1;
+  if (weekday !== -1) {
+    return today.clone().add((weekday - today.day() + 7) % 7, 'days').format('YYYY-MM-DD');
+  }
+  
+  const date = moment(value, ['YYYY-MM-DD', 'D/M/YYYY'], true);
+  if (date.isValid()) {
+    return date.format('YYYY-MM-DD');
+  }
+  
+  // Without a year, pick the next time that day comes around
+  const dayMonth = moment(value, 'D/M', true);
+  if (dayMonth.isValid()) {
+    dayMonth.year(today.year());
+    if (dayMonth.isBefore(today.format('YYYY-MM-DD'))) {
+      dayMonth.add(1, 'year');
+    }
+    return dayMonth.format('YYYY-MM-DD');
+  }
+  
+  return null;
+}
+
+/**
+ * Find the first date after a given date that falls on one of the weekdays
+ * @param {Array} days - Weekdays (0 = Sunday)
+ * @param {string} date - Date to search from, exclusive (YYYY-MM-DD)
+ * @returns {string} Next matching date (YYYY-MM-DD)
+ */
+function nextOccurrence(days, date) {
+  const day = moment(date, 'YYYY-MM-DD').add(1, 'day');
+  
+  while (!days.includes(day.day())) {
+    day.add(1, 'day');
+  }
+  
+  return day.format('YYYY-MM-DD');
+}
+
+/**
+ * Count the dates in a range that fall on one of the weekdays
+ * @param {Array} days - Weekdays (0 = Sunday)
+ * @param {string} from - First date, inclusive (YYYY-MM-DD)
+ * @param {string} to - Last date, exclusive (YYYY-MM-DD)
+ * @returns {number} Number of matching dates
+ */
+function countOccurrences(days, from, to) {
+  let count = 0;
+  
+  for (const day = moment(from, 'YYYY-MM-DD'); day.format('YYYY-MM-DD') < to; day.add(1, 'day')) {
+    if (days.includes(day.day())) {
+      count++;
+    }
+  }
+  
+  return count;
+}
+
+/**
+ * Parse a reminder time in the user's timezone
+ * (e.g., "in 30m", "18:00", "tomorrow 18:00", "fri 9:30", "25/10 18:00")
+ * @param {number} userId - Telegram user ID
+ * @param {string} input - Reminder time text
+ * @returns {Date|null} Reminder time or null if not recognised
+ */
+function parseReminderTime(userId, input) {
+  const value = input.trim().toLowerCase();
+  
+  // Relative times use the same format as timer durations
+  const relativeMatch = value.match(/^in\s+(\S+)$/);
+  if (relativeMatch) {
+    const minutes = parseDuration(relativeMatch[1]);
+    return minutes ? new Date(Date.now() + minutes * 60000) : null;
+  }
+  
+  const parts = value.split(/\s+/);
+  const timeMatch = parts[parts.length - 1].match(/^(\d{1,2})(?::(\d{2}))?$/);
+  const hours = timeMatch ? parseInt(timeMatch[1], 10) : 9;  // A day on its own means 9:00
+  const minutes = timeMatch && timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+  
+  if (timeMatch) {
+    parts.pop();
+  }
+  if (hours > 23 || minutes > 59 || parts.length > 1) {
+    return null;
+  }
+  
+  const date = parts.length === 1 ? parseDueDate(userId, parts[0]) : userMoment(userId).format('YYYY-MM-DD');
+  if (!date) {
+    return null;
+  }
+  
+  const timezone = getUserSettings(userId).timezone;
+  const dateTime = `${date} ${hours}:${padZero(minutes)}`;
+  const remindAt = timezone
+    ? moment.tz(dateTime, 'YYYY-MM-DD H:mm', timezone)
+    : moment(dateTime, 'YYYY-MM-DD H:mm');
+  
+  // A time on its own that has already passed today means tomorrow
+  if (parts.length === 0 && remindAt.isBefore(moment())) {
+    remindAt.add(1, 'day');
+  }
+  
+  return remindAt.toDate();
+}
+
+/**
+ * Format a due date relative to the user's today
+ * @param {number} userId - Telegram user ID
+ * @param {string} dueDate - Due date (YYYY-MM-DD)
+ * @returns {string} Formatted due date (e.g., "Today", "Fri 23/10")
+ */
+function formatDueDate(userId, dueDate) {
+  const today = userMoment(userId).startOf('day');
+  const due = moment(dueDate, 'YYYY-MM-DD');
+  const daysAway = due.diff(moment(today.format('YYYY-MM-DD'), 'YYYY-MM-DD'), 'days');
+  
+  if (daysAway === 0) {
+    return 'Today';
+  }
+  if (daysAway === 1) {
+    return 'Tomorrow';
+  }
+  
+  return due.format(due.year() === today.year() ? 'ddd D/M' : 'ddd D/M/YYYY');
+}
+
+/**
+ * Apportion study minutes to the calendar days a session overlapped
+ * @param {number} userId - Telegram user ID (days follow their timezone)
+ * @param {Date} startTime - Session start time
+ * @param {Date} endTime - Session end time
+ * @param {number} minutes - Study minutes to distribute
+ * @returns {Object} Map of YYYY-MM-DD -> minutes
+ */
+function splitMinutesByDay(userId, startTime, endTime, minutes) {
+  const start = userMoment(userId, startTime);
+  const end = userMoment(userId, endTime);
+  const totalSpan = end.diff(start);
+  
+  // Sessions within a single day (or without a usable interval) go to the end date
+  if (totalSpan <= 0 || start.format('YYYY-MM-DD') === end.format('YYYY-MM-DD')) {
+    return { [end.format('YYYY-MM-DD')]: minutes };
+  }
+  
+  // Pauses are spread evenly, so each day gets minutes in proportion to its overlap
+  const result = {};
+  let assigned = 0;
+  let dayStart = start.clone();
+  
+  while (dayStart.isBefore(end)) {
+    const nextDay = dayStart.clone().add(1, 'day').startOf('day');
+    const dayEnd = nextDay.isBefore(end) ? nextDay : end;
+    const date = dayStart.format('YYYY-MM-DD');
+    
+    // The last day takes whatever is left so rounding never loses minutes
+    result[date] = dayEnd === end
+      ? minutes - assigned
+      : Math.round(minutes * dayEnd.diff(dayStart) / totalSpan);
+    assigned += result[date];
+    
+    dayStart = nextDay;
+  }
+  
+  return result;
+}
+
+/**
+ * Find a timezone for a UTC offset
+ * @param {number} offsetMinutes - Offset from UTC in minutes (e.g., 180 for UTC+3)
+ * @returns {string|null} IANA timezone name or null if none matches
+ */
+function timezoneFromOffset(offsetMinutes) {
+  if (offsetMinutes % 60 === 0) {
+    const hours = offsetMinutes / 60;
+    if (hours < -12 || hours > 14) {
+      return null;
+    }
+    // Etc/GMT zones use inverted signs (Etc/GMT-3 is UTC+3)
+    return hours === 0 ? 'Etc/UTC' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+  }
+  
+  // Half-hour offsets (e.g., UTC+5:30) only exist as named zones
+  const zoneName = moment.tz.names().find(name => moment.tz(name).utcOffset() === offsetMinutes);
+  return zoneName || null;
+}
+
+/**
+ * Parse a timezone string into an IANA timezone name
+ * @param {string} input - IANA name (e.g., "Europe/Berlin") or UTC offset (e.g., "UTC+3", "GMT-5:30", "+2")
+ * @returns {string|null} IANA timezone name or null if invalid
+ */
+function parseTimezone(input) {
+  const trimmed = input.trim();
+  
+  // Handle IANA names (case-insensitive)
+  const zone = moment.tz.zone(trimmed);
+  if (zone) {
+    return zone.name;
+  }
+  
+  // Handle offsets (e.g., "UTC+3", "GMT-5:30", "+2")
+  const offsetMatch = trimmed.match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (offsetMatch) {
+    const minutes = parseInt(offsetMatch[2], 10) * 60 + parseInt(offsetMatch[3] || '0', 10);
+    return timezoneFromOffset(offsetMatch[1] === '-' ? -minutes : minutes);
+  }
+  
+  return null; // Invalid format
+}
+
+//======================================
+// TEXT UTILITIES
+//======================================
+
+/**
+ * Escape characters that have a meaning in Telegram Markdown
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+// A note tag: letters, digits, '_' and '-' with at least one letter, so "issue #5"
+// isn't a tag
+const TAG_PATTERN = '(?=[\\p{N}_-]*\\p{L})[\\p{L}\\p{N}_-]{1,20}';
+
+// Tags go into callback data, which Telegram limits to 64 bytes, and
+// non-Latin letters take up to 4 bytes each
+const MAX_TAG_BYTES = 40;
+
+/**
+ * Extract the #hashtags from a text
+ * @param {string} text - Text to scan
+ * @returns {Array} Unique lowercase tags, without the '#'
+ */
+function parseHashtags(text) {
+  const hashtag = new RegExp(`(?:^|[^\\p{L}\\p{N}_&])#(${TAG_PATTERN})(?![\\p{L}\\p{N}_-])`, 'gu');
+  const tags = [...String(text).matchAll(hashtag)]
+    .map(match => match[1].toLowerCase())
+    .filter(tag => Buffer.byteLength(tag) <= MAX_TAG_BYTES);
+  
+  return [...new Set(tags)];
+}
+
+/**
+ * Turn user input into a tag name
+ * @param {string} input - Tag, with or without a leading '#'
+ * @returns {string|null} Lowercase tag, or null if it isn't a valid tag
+ */
+function normalizeTag(input) {
+  const tag = String(input).trim().replace(/^#/, '').toLowerCase();
+  return new RegExp(`^${TAG_PATTERN}$`, 'u').test(tag) && Buffer.byteLength(tag) <= MAX_TAG_BYTES ? tag : null;
+}
+
+/**
+ * Parse a list of IDs and ID ranges (e.g., "2 5 7", "3-6", "1,4-5")
+ * @param {string} input - ID list
+ * @returns {Array|null} Unique IDs in the order given, or null if the list is invalid
+ */
+function parseIdList(input) {
+  const maxIds = 100;
+  const ids = [];
+  
+  for (const part of String(input).trim().split(/[\s,]+/)) {
+    const range = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) {
+      return null;
+    }
+    
+    const from = parseInt(range[1]);
+    const to = range[2] ? parseInt(range[2]) : from;
+    if (to < from || to - from >= maxIds) {
+      return null;
+    }
+    
+    for (let id = from; id <= to; id++) {
+      if (!ids.includes(id)) {
+        ids.push(id);
+      }
+    }
+  }
+  
+  return ids.length > 0 && ids.length <= maxIds ? ids : null;
+}
+
+// Most items listed in one message, which keeps it under Telegram's 4096 character limit
+const MESSAGE_LIST_LIMIT = 20;
+
+/**
+ * Join list lines for a message, leaving out the ones past the limit
+ * @param {Array} lines - Lines to show
+ * @param {number} limit - Most lines to show
+ * @returns {string} Lines joined with newlines, ending with "…and N more" if some were left out
+ */
+function joinLimitedLines(lines, limit = MESSAGE_LIST_LIMIT) {
+  const shown = lines.slice(0, limit);
+  if (lines.length > limit) {
+    shown.push(`_…and ${lines.length - limit} more_`);
+  }
+  
+  return shown.join('\n');
+}
+
 //======================================
 // KEYBOARD LAYOUTS
 //======================================
 
 /**
  * Create the main keyboard for the bot
+ * @param {number} userId - Telegram user ID (focus presets follow their settings)
  * @returns {Object} Keyboard markup
  */
-function mainKeyboard() {
+function mainKeyboard(userId) {
+  const presetEmojis = ['🕒', '⏱', '⏰'];
+  const presetButtons = getFocusPresets(getUserSettings(userId))
+    .map((minutes, i) => `${presetEmojis[i]} ${minutes}m Focus`);
+  
   return {
     reply_markup: {
       keyboard: [
-        ['🕒 25m Focus', '⏱ 45m Focus', '⏰ 60m Focus'],
+        presetButtons,
         ['⚙️ Custom Timer', '⌨️ Custom Time'],
         ['📋 Tasks', '📊 Stats'],
         ['📝 Notes', 'ℹ️ Help']
@@ -586,43 +2030,88 @@ function timerKeyboard(isPaused = false) {
   };
 }
 
+/**
+ * Create the keyboard under a group study room message
+ * @returns {Object} Keyboard markup
+ */
+function roomKeyboard() {
+  return {
+    inline_keyboard: [
+      [
+        { text: '🙋 Join', callback_data: 'room_join' },
+        { text: '🚪 Leave', callback_data: 'room_leave' }
+      ]
+    ]
+  };
+}
+
+// Subtask buttons shown per task; Telegram allows at most 100 buttons in a keyboard
+const SUBTASK_BUTTON_LIMIT = 6;
+
 /**
  * Create the task management keyboard
  * @param {Array} tasks - Array of user tasks
+ * @param {number} page - Page of the list being shown
  * @returns {Object} Keyboard markup
  */
-function taskKeyboard(tasks) {
+function taskKeyboard(tasks, page = 1) {
   const keyboard = [];
   
-  // Create buttons for each task (up to 5)
-  const tasksToShow = tasks.slice(0, 5);
+  // Create buttons for each task on the current page
+  const current = paginate(tasks, page, LIST_PAGE_SIZE);
   
-  for (const task of tasksToShow) {
+  for (const task of current.items) {
     const status = task.completed ? '✅' : '⬜';
     const row = [
       { 
         text: `${status} ${task.id}. ${task.text.substring(0, 20)}${task.text.length > 20 ? '...' : ''}`,
         callback_data: `complete_task_${task.id}`
-      },
-      {
-        text: '🗑️',
-        callback_data: `delete_task_${task.id}`
       }
     ];
+    
+    // Pending tasks can be focused on directly
+    if (!task.completed) {
+      row.push({
+        text: '🎯',
+        callback_data: `task_focus_${task.id}`
+      });
+    }
+    
+    row.push({
+      text: '✏️',
+      callback_data: `task_edit_${task.id}`
+    });
+    
+    row.push({
+      text: '🗑️',
+      callback_data: `delete_task_${task.id}`
+    });
     keyboard.push(row);
+    
+    // Checklist items of pending tasks can be ticked off directly, two per row
+    const subtasks = task.completed ? [] : (task.subtasks || []);
+    const buttons = subtasks.slice(0, SUBTASK_BUTTON_LIMIT).map(subtask => ({
+      text: `  ${subtask.completed ? '✔️' : '▫️'} ${subtask.text.substring(0, 18)}${subtask.text.length > 18 ? '...' : ''}`,
+      callback_data: `subtask_toggle_${task.id}_${subtask.id}`
+    }));
+    if (subtasks.length > SUBTASK_BUTTON_LIMIT) {
+      buttons.push({ text: `  +${subtasks.length - SUBTASK_BUTTON_LIMIT} more`, callback_data: 'noop' });
+    }
+    for (let i = 0; i < buttons.length; i += 2) {
+      keyboard.push(buttons.slice(i, i + 2));
+    }
   }
   
-  // Add button to view all tasks if there are more than 5
-  if (tasks.length > 5) {
-    keyboard.push([
-      { text: 'View all tasks', callback_data: 'view_all_tasks' }
-    ]);
+  const navigation = paginationRow('tasks_page_', current.page, current.totalPages);
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
   }
   
   // Add navigation buttons
   keyboard.push([
     { text: '➕ Add Task', callback_data: 'add_task' },
-    { text: '🔄 Refresh', callback_data: 'refresh_tasks' }
+    { text: '🔄 Refresh', callback_data: 'refresh_tasks' },
+    { text: '📊 Stats', callback_data: 'stats' }
   ]);
   
   return {
@@ -631,41 +2120,88 @@ function taskKeyboard(tasks) {
 }
 
 /**
- * Create the notes management keyboard
- * @param {Array} notes - Array of user notes
+ * Create the keyboard for editing a task's priority and due date
+ * @param {Object} task - Task being edited
  * @returns {Object} Keyboard markup
  */
-function notesKeyboard(notes) {
-  const keyboard = [];
+function taskEditKeyboard(task) {
+  const priorities = getTaskPriorities();
   
-  // Create buttons for each note (up to 5)
-  const notesToShow = notes.slice(0, 5);
-  
-  for (const note of notesToShow) {
-    const row = [
-      { 
-        text: `📝 ${note.id}. ${note.text.substring(0, 20)}${note.text.length > 20 ? '...' : ''}`,
-        callback_data: `view_note_${note.id}`
-      },
-      {
-        text: '🗑️',
-        callback_data: `delete_note_${note.id}`
-      }
-    ];
-    keyboard.push(row);
-  }
+  return {
+    inline_keyboard: [
+      Object.keys(priorities).map(key => ({
+        text: `${priorities[key].emoji} ${priorities[key].label}${task.priority === key ? ' ✓' : ''}`,
+        callback_data: `task_priority_${task.id}_${key}`
+      })),
+      [
+        { text: '📅 Today', callback_data: `task_due_${task.id}_today` },
+        { text: '📅 Tomorrow', callback_data: `task_due_${task.id}_tomorrow` },
+        { text: '📅 Next week', callback_data: `task_due_${task.id}_week` }
+      ],
+      [
+        { text: '⏰ In 1 hour', callback_data: `task_remind_${task.id}_hour` },
+        { text: '⏰ 18:00', callback_data: `task_remind_${task.id}_evening` },
+        { text: '⏰ Tomorrow 9:00', callback_data: `task_remind_${task.id}_morning` }
+      ],
+      [
+        { text: '✖️ No due date', callback_data: `task_due_${task.id}_none` },
+        { text: '🔕 No reminder', callback_data: `task_remind_${task.id}_none` }
+      ],
+      [
+        { text: '✏️ Edit text', callback_data: `task_rename_${task.id}` },
+        { text: '⬅️ Back to tasks', callback_data: 'refresh_tasks' }
+      ]
+    ]
+  };
+}
+
+/**
+ * Create the keyboard attached to a task reminder
+ * @param {number} taskId - Task ID
+ * @returns {Object} Keyboard markup
+ */
+function reminderKeyboard(taskId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '🎯 Start focus on it', callback_data: `task_focus_${taskId}` }
+      ],
+      [
+        { text: '💤 10 min', callback_data: `reminder_snooze_${taskId}_10` },
+        { text: '💤 1 hour', callback_data: `reminder_snooze_${taskId}_60` }
+      ],
+      [
+        { text: '✅ Done', callback_data: `reminder_done_${taskId}` }
+      ]
+    ]
+  };
+}
+
+/**
+ * Create the subject picker shown before a focus session starts
+ * @param {Array} subjects - User subjects
+ * @param {number} duration - Session duration in minutes
+ * @param {Object} options - Options to start the session with
+ * @param {number} options.taskId - Task to attribute the session to
+ * @param {boolean} options.pomodoro - Whether the session is part of the active pomodoro cycle
+ * @param {boolean} options.customTimer - Whether to confirm the start as a custom timer
+ * @returns {Object} Keyboard markup
+ */
+function subjectPickerKeyboard(subjects, duration, options = {}) {
+  const themes = getProgressThemes();
+  const suffix = `${duration}_${options.taskId || 0}_${options.pomodoro ? 1 : 0}_${options.customTimer ? 1 : 0}`;
+  const keyboard = [];
   
-  // Add button to view all notes if there are more than 5
-  if (notes.length > 5) {
-    keyboard.push([
-      { text: 'View all notes', callback_data: 'view_all_notes' }
-    ]);
+  // Two subjects per row
+  for (let i = 0; i < subjects.length; i += 2) {
+    keyboard.push(subjects.slice(i, i + 2).map(subject => ({
+      text: `${themes[subject.theme] || themes.focus} ${subject.name.substring(0, 20)}`,
+      callback_data: `subject_pick_${subject.id}_${suffix}`
+    })));
   }
   
-  // Add navigation buttons
   keyboard.push([
-    { text: '➕ Add Note', callback_data: 'add_note' },
-    { text: '🔄 Refresh', callback_data: 'refresh_notes' }
+    { text: '➖ No subject', callback_data: `subject_pick_0_${suffix}` }
   ]);
   
   return {
@@ -673,26 +2209,415 @@ function notesKeyboard(notes) {
   };
 }
 
-//======================================
-// TIMER SERVICE
-//======================================
-
 /**
- * Start a focus timer for a user
- * @param {number} chatId - Telegram chat ID (same as user ID in private chats)
- * @param {number} duration - Timer duration in minutes
- * @returns {Object} Timer message info
+ * Create the subject list keyboard
+ * @param {Array} subjects - User subjects
+ * @returns {Object} Keyboard markup
  */
-async function startFocusTimer(chatId, duration) {
-  try {
-    // Validate input parameters
-    if (!chatId || !duration || duration <= 0) {
-      console.error('Invalid parameters for startFocusTimer:', { chatId, duration });
-      throw new Error('Invalid timer parameters');
-    }
-    
+function subjectsKeyboard(subjects) {
+  const keyboard = subjects.map(subject => [
+    { text: `🗑️ Delete: ${subject.name.substring(0, 25)}`, callback_data: `delete_subject_${subject.id}` }
+  ]);
+  
+  keyboard.push([
+    { text: '📊 Stats', callback_data: 'stats' }
+  ]);
+  
+  return {
+    inline_keyboard: keyboard
+  };
+}
+
+/**
+ * Create the keyboard for a single note
+ * @param {Object} note - Note being shown
+ * @param {Array} notes - All of the user's notes (their tags are offered as buttons)
+ * @returns {Object} Keyboard markup
+ */
+function noteKeyboard(note, notes) {
+  const keyboard = [
+    [
+      { text: '✏️ Edit', callback_data: `edit_note_${note.id}` },
+      { text: '🗑️ Delete Note', callback_data: `delete_note_${note.id}` }
+    ]
+  ];
+  
+  // The note's own tags first, then the user's most used ones
+  const tags = [...new Set([...note.tags, ...getNoteTagCounts(notes).map(({ tag }) => tag)])].slice(0, 8);
+  const tagButtons = tags.map(tag => ({
+    text: `${note.tags.includes(tag) ? '✅' : '🏷️'} ${tag}`,
+    callback_data: `note_tag_${note.id}_${tag}`
+  }));
+  tagButtons.push({ text: '➕ Tag', callback_data: `note_newtag_${note.id}` });
+  
+  for (let i = 0; i < tagButtons.length; i += 3) {
+    keyboard.push(tagButtons.slice(i, i + 3));
+  }
+  
+  keyboard.push([
+    { text: '🔙 Back to Notes', callback_data: 'notes' }
+  ]);
+  
+  return {
+    inline_keyboard: keyboard
+  };
+}
+
+/**
+ * Create the keyboard shown with a deletion confirmation
+ * @param {Array} entries - Trash entries of the deleted items (from one deletion, so their IDs are consecutive)
+ * @param {string} listAction - Callback that shows the items' list
+ * @returns {Object} Keyboard markup
+ */
+function undoKeyboard(entries, listAction) {
+  const first = entries[0].id;
+  const last = entries[entries.length - 1].id;
+  
+  return {
+    inline_keyboard: [
+      [
+        { text: '↩️ Undo', callback_data: `undo_delete_${first === last ? first : `${first}-${last}`}` },
+        { text: entries[0].type === 'task' ? '📋 Tasks' : '📝 Notes', callback_data: listAction }
+      ]
+    ]
+  };
+}
+
+/**
+ * Create the trash keyboard
+ * @param {Array} trash - Trash entries (see getUserTrash)
+ * @param {number} page - Page of the list being shown
+ * @returns {Object} Keyboard markup
+ */
+function trashKeyboard(trash, page = 1) {
+  const keyboard = [];
+  const current = paginate(trash, page, LIST_PAGE_SIZE);
+  
+  for (const entry of current.items) {
+    const icon = entry.type === 'task' ? '📋' : '📝';
+    const text = entry.item.text;
+    
+    keyboard.push([
+      {
+        text: `↩️ ${icon} ${text.substring(0, 22)}${text.length > 22 ? '...' : ''}`,
+        callback_data: `trash_restore_${entry.id}_${current.page}`
+      },
+      { text: '❌', callback_data: `trash_purge_${entry.id}_${current.page}` }
+    ]);
+  }
+  
+  const navigation = paginationRow('trash_page_', current.page, current.totalPages);
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+  
+  if (trash.length > 0) {
+    keyboard.push([
+      { text: '🧹 Empty trash', callback_data: 'trash_empty_ask' }
+    ]);
+  }
+  
+  return {
+    inline_keyboard: keyboard
+  };
+}
+
+/**
+ * Create the keyboard for search results
+ * @param {Object} results - Results from searchUserItems
+ * @returns {Object} Keyboard markup
+ */
+function searchKeyboard(results) {
+  const keyboard = [];
+  const label = (icon, item) => `${icon} ${item.id}. ${item.text.substring(0, 25)}${item.text.length > 25 ? '...' : ''}`;
+  
+  // Buttons follow the order of the listed results
+  const tasks = results.tasks.slice(0, SEARCH_RESULT_LIMIT);
+  const notes = results.notes.slice(0, SEARCH_RESULT_LIMIT - tasks.length);
+  
+  for (const task of tasks) {
+    keyboard.push([
+      { text: label(task.completed ? '✅' : '📋', task), callback_data: `task_edit_${task.id}` },
+      { text: task.completed ? '↩️' : '✅', callback_data: `complete_task_${task.id}` }
+    ]);
+  }
+  
+  for (const note of notes) {
+    keyboard.push([
+      { text: label('📝', note), callback_data: `view_note_${note.id}` }
+    ]);
+  }
+  
+  return {
+    inline_keyboard: keyboard
+  };
+}
+
+/**
+ * Create the export format keyboard
+ * @returns {Object} Keyboard markup
+ */
+function exportKeyboard() {
+  const formats = getExportFormats();
+  
+  return {
+    inline_keyboard: Object.keys(formats).map(format => [
+      { text: `${formats[format].label} · ${formats[format].description}`, callback_data: `export_${format}` }
+    ])
+  };
+}
+
+/**
+ * Create the keyboard for switching how a leaderboard is ranked
+ * @param {string} metric - Metric the leaderboard is currently ranked by
+ * @returns {Object} Keyboard markup
+ */
+function leaderboardKeyboard(metric) {
+  const metrics = getLeaderboardMetrics();
+  
+  return {
+    inline_keyboard: [
+      Object.entries(metrics).map(([key, info]) => ({
+        text: `${key === metric ? '• ' : ''}${info.emoji} ${info.label}`,
+        callback_data: `leaderboard_${key}`
+      }))
+    ]
+  };
+}
+
+/**
+ * Create the keyboard for removing friends
+ * @param {Array} friendIds - IDs of the user's friends
+ * @returns {Object} Keyboard markup
+ */
+function friendsKeyboard(friendIds) {
+  return {
+    inline_keyboard: friendIds.map(friendId => [{
+      text: `❌ Remove ${(userStore.get(friendId) || {}).name || `User ${friendId}`}`,
+      callback_data: `unfriend_${friendId}`
+    }])
+  };
+}
+
+/**
+ * Create the settings keyboard
+ * @param {Object} settings - User settings
+ * @returns {Object} Keyboard markup
+ */
+function settingsKeyboard(settings) {
+  const stepperRow = (label, key, unit) => [
+    { text: '➖', callback_data: `settings_dec_${key}` },
+    { text: `${label}: ${settings[key]}${unit}`, callback_data: 'settings_noop' },
+    { text: '➕', callback_data: `settings_inc_${key}` }
+  ];
+  const toggleText = (label, enabled) => `${enabled ? '✅' : '❌'} ${label}`;
+  
+  return {
+    inline_keyboard: [
+      stepperRow('🎯 Focus', 'focusDuration', 'm'),
+      stepperRow('☕ Break', 'breakDuration', 'm'),
+      stepperRow('🍅 Long break every', 'longBreakInterval', ''),
+      stepperRow('⏳ Max session', 'maxSessionLength', 'm'),
+      stepperRow('🗑️ Keep trash', 'trashRetentionDays', 'd'),
+      [
+        { text: toggleText('Motivation', settings.motivationalMessages), callback_data: 'settings_toggle_motivationalMessages' },
+        { text: toggleText('Sounds', settings.soundNotifications), callback_data: 'settings_toggle_soundNotifications' }
+      ],
+      [
+        { text: toggleText('Show me on leaderboards', settings.showOnLeaderboard), callback_data: 'settings_toggle_showOnLeaderboard' }
+      ],
+      [
+        { text: '♻️ Reset to defaults', callback_data: 'settings_reset' }
+      ]
+    ]
+  };
+}
+
+// Items per page in the task, note and history lists
+const LIST_PAGE_SIZE = 5;
+
+/**
+ * Get one page of a list
+ * @param {Array} items - Items to paginate
+ * @param {number} page - Requested page (1-based, clamped to the valid range)
+ * @param {number} pageSize - Items per page
+ * @returns {Object} { items, page, totalPages }
+ */
+function paginate(items, page, pageSize) {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page || 1), totalPages);
+  const startIndex = (currentPage - 1) * pageSize;
+  
+  return {
+    items: items.slice(startIndex, startIndex + pageSize),
+    page: currentPage,
+    totalPages
+  };
+}
+
+/**
+ * Create a prev/next navigation row for a paginated list
+ * @param {string} prefix - Callback data prefix (page number is appended)
+ * @param {number} page - Current page
+ * @param {number} totalPages - Total number of pages
+ * @returns {Array} Keyboard row (empty if there is only one page)
+ */
+function paginationRow(prefix, page, totalPages) {
+  if (totalPages <= 1) {
+    return [];
+  }
+  
+  const row = [];
+  if (page > 1) {
+    row.push({ text: '◀️ Prev', callback_data: `${prefix}${page - 1}` });
+  }
+  row.push({ text: `${page}/${totalPages}`, callback_data: 'noop' });
+  if (page < totalPages) {
+    row.push({ text: 'Next ▶️', callback_data: `${prefix}${page + 1}` });
+  }
+  
+  return row;
+}
+
+/**
+ * Create the session history keyboard
+ * @param {Array} entries - History entries shown on the current page
+ * @param {number} page - Current page
+ * @param {number} totalPages - Total number of pages
+ * @returns {Object} Keyboard markup
+ */
+function historyKeyboard(entries, page, totalPages) {
+  const keyboard = [];
+  
+  // One delete button per entry, two per row
+  for (let i = 0; i < entries.length; i += 2) {
+    keyboard.push(entries.slice(i, i + 2).map(entry => ({
+      text: `🗑️ #${entry.id}`,
+      callback_data: `history_delete_${entry.id}_${page}`
+    })));
+  }
+  
+  const navigation = paginationRow('history_page_', page, totalPages);
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+  
+  keyboard.push([
+    { text: '📊 Stats', callback_data: 'stats' }
+  ]);
+  
+  return {
+    inline_keyboard: keyboard
+  };
+}
+
+/**
+ * Create the notes management keyboard
+ * @param {Array} notes - Array of user notes
+ * @param {number} page - Page of the list being shown
+ * @returns {Object} Keyboard markup
+ */
+function notesKeyboard(notes, page = 1, tag = null) {
+  const keyboard = [];
+  const tagCounts = getNoteTagCounts(notes);
+  
+  // Create buttons for each note on the current page
+  const current = paginate(tag ? filterNotesByTag(notes, tag) : notes, page, LIST_PAGE_SIZE);
+  
+  for (const note of current.items) {
+    const row = [
+      { 
+        text: `${note.attachment ? getAttachmentTypes()[note.attachment.type].emoji : '📝'} ${note.id}. ${note.text.substring(0, 20)}${note.text.length > 20 ? '...' : ''}`,
+        callback_data: `view_note_${note.id}`
+      },
+      {
+        text: '✏️',
+        callback_data: `edit_note_${note.id}`
+      },
+      {
+        text: '🗑️',
+        callback_data: `delete_note_${note.id}`
+      }
+    ];
+    keyboard.push(row);
+  }
+  
+  const navigation = paginationRow(tag ? `notes_tag_${tag}_` : 'notes_page_', current.page, current.totalPages);
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+  
+  // Filter by the most used tags
+  if (tagCounts.length > 0) {
+    const tagButtons = tagCounts.slice(0, 3).map(({ tag: name }) => ({
+      text: `${name === tag ? '✅' : '🏷️'} ${name}`,
+      callback_data: name === tag ? 'notes_page_1' : `notes_tag_${name}_1`
+    }));
+    if (tag) {
+      tagButtons.push({ text: '📝 All', callback_data: 'notes_page_1' });
+    }
+    keyboard.push(tagButtons);
+  }
+  
+  // Add navigation buttons
+  keyboard.push([
+    { text: '➕ Add Note', callback_data: 'add_note' },
+    { text: '🔄 Refresh', callback_data: 'refresh_notes' }
+  ]);
+  
+  return {
+    inline_keyboard: keyboard
+  };
+}
+
+//======================================
+// TIMER SERVICE
+//======================================
+
+// How long the subject picker shown before a session stays usable
+const SUBJECT_PICK_TIMEOUT_MINUTES = 10;
+
+/**
+ * Start a focus timer for a user
+ * @param {number} chatId - Telegram chat ID (same as user ID in private chats)
+ * @param {number} duration - Timer duration in minutes
+ * @param {Object} options - Timer options
+ * @param {boolean} options.pomodoro - Whether this session is part of the active pomodoro cycle
+ * @param {number} options.taskId - Task to attribute the session to
+ * @param {number|null} options.subjectId - Subject to tag the session with (asked for when omitted)
+ * @param {Object} options.startedBy - Telegram user who started it (joins the room in group chats)
+ * @param {boolean} options.customTimer - Whether to confirm the start as a custom timer once a subject is picked
+ * @returns {Object|null} Timer message info, { pending: 'subject' } while the subject picker is open,
+ *   or null if nothing was started
+ */
+async function startFocusTimer(chatId, duration, options = {}) {
+  try {
+    // Validate input parameters
+    if (!chatId || !duration || duration <= 0) {
+      console.error('Invalid parameters for startFocusTimer:', { chatId, duration });
+      throw new Error('Invalid timer parameters');
+    }
+    
+    // Group chats share one room timer that members join
+    if (isGroupChat(chatId)) {
+      return await startStudyRoom(chatId, duration, options.startedBy || null);
+    }
+    
+    // A member focusing in a group room can't run a private timer as well
+    const roomChatId = findUserRoom(chatId);
+    if (roomChatId) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Focus session already active*\n\n` +
+        `You're focusing in a group study room. Tap *Leave* on the room message (or send /stop in the group) first.`,
+        { parse_mode: 'Markdown' }
+      );
+      return null;
+    }
+    
     // Check if user already has an active study session
     const session = getUserSession(chatId);
+    const settings = getUserSettings(chatId);
     if (session.isStudying) {
       await bot.sendMessage(
         chatId,
@@ -704,6 +2629,45 @@ async function startFocusTimer(chatId, duration) {
       return null;
     }
     
+    // Later pomodoro cycles keep the subject picked for the first one
+    let subjectId = options.subjectId;
+    if (subjectId === undefined && options.pomodoro && session.pomodoro && session.pomodoro.subjectId !== undefined) {
+      subjectId = session.pomodoro.subjectId;
+    }
+    
+    // Ask which subject the session is for before starting it
+    const subjects = getUserSubjects(chatId);
+    if (subjectId === undefined && subjects.length > 0) {
+      await bot.sendMessage(
+        chatId,
+        `📚 *What are you studying?*\n\n` +
+        `Pick a subject for this ${duration}-minute session:`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: subjectPickerKeyboard(subjects, duration, options)
+        }
+      );
+      
+      // A pomodoro waiting for its first subject is dropped if the picker is ignored
+      if (options.pomodoro) {
+        const expiresAt = new Date(Date.now() + SUBJECT_PICK_TIMEOUT_MINUTES * 60000);
+        storeTimer(chatId, 'subjectPick', schedule.scheduleJob(expiresAt, () => {
+          removeTimer(chatId, 'subjectPick');
+          const current = getUserSession(chatId);
+          if (!current.isStudying && current.pomodoro && current.pomodoro.phase === 'focus') {
+            stopPomodoro(chatId);
+          }
+        }));
+      }
+      
+      return { pending: 'subject' };
+    }
+    
+    // A regular session replaces any pomodoro cycle in progress
+    if (!options.pomodoro && session.pomodoro) {
+      stopPomodoro(chatId);
+    }
+    
     // Clear any existing timers for this user (just in case)
     stopFocusTimer(chatId);
     
@@ -729,13 +2693,15 @@ async function startFocusTimer(chatId, duration) {
       pauseStartTime: null,
       totalPausedTime: 0,
       pausedDuration: 0,
-      plannedDuration: duration
+      plannedDuration: duration,
+      taskId: options.taskId || null,
+      subjectId: subjectId || null
     });
     
     // Send initial timer message with advanced animation
     const timerMessage = await bot.sendMessage(
       chatId,
-      generateTimerMessage(startTime, endTime, 0),
+      generateTimerMessage(startTime, endTime, 0, getTimerMessageDetails(chatId)),
       {
         parse_mode: 'Markdown',
         reply_markup: timerKeyboard()
@@ -745,15 +2711,16 @@ async function startFocusTimer(chatId, duration) {
     // Store message ID for updates
     updateUserSession(chatId, { messageId: timerMessage.message_id });
     
+    // Tell the accountability partner (once per pomodoro, not every cycle)
+    if (!options.pomodoro || !session.pomodoro || session.pomodoro.currentCycle === 1) {
+      notifyPartner(chatId, `started a ${duration}-minute focus session. Join in with /focus!`);
+    }
+    
     // Schedule timer updates every minute
     const updateJob = scheduleTimerUpdates(chatId, startTime, endTime);
     
     // Schedule job for when timer completes
-    const endJob = schedule.scheduleJob(endTime, () => {
-      handleTimerComplete(chatId, duration).catch(error => {
-        console.error('Error in timer completion handler:', error);
-      });
-    });
+    const endJob = scheduleTimerEnd(chatId, endTime, duration);
     
     // Store timers for cleanup
     storeTimer(chatId, 'update', updateJob);
@@ -769,15 +2736,17 @@ async function startFocusTimer(chatId, duration) {
     ];
     
     // Send a starter motivational message
-    try {
-      await bot.sendMessage(
-        chatId,
-        motivationalStart[Math.floor(Math.random() * motivationalStart.length)],
-        { parse_mode: 'Markdown' }
-      );
-    } catch (motivationalError) {
-      console.log('Error sending motivational message:', motivationalError.message);
-      // Continue execution even if this fails
+    if (settings.motivationalMessages) {
+      try {
+        await bot.sendMessage(
+          chatId,
+          motivationalStart[Math.floor(Math.random() * motivationalStart.length)],
+          { parse_mode: 'Markdown' }
+        );
+      } catch (motivationalError) {
+        console.log('Error sending motivational message:', motivationalError.message);
+        // Continue execution even if this fails
+      }
     }
     
     return {
@@ -828,7 +2797,7 @@ function scheduleTimerUpdates(chatId, startTime, endTime) {
     if (session.isStudying && session.messageId) {
       try {
         await bot.editMessageText(
-          generateTimerMessage(startTime, endTime, session.totalPausedTime),
+          generateTimerMessage(startTime, endTime, session.totalPausedTime, getTimerMessageDetails(chatId)),
           {
             chat_id: chatId,
             message_id: session.messageId,
@@ -844,13 +2813,52 @@ function scheduleTimerUpdates(chatId, startTime, endTime) {
 }
 
 /**
- * Generate timer message with current progress
- * @param {Date} startTime - Timer start time
+ * Schedule the job that completes a focus session
+ * @param {number} chatId - Telegram chat ID
+ * @param {Date} endTime - When the session should complete
+ * @param {number} duration - Planned session duration in minutes
+ * @returns {Object} Scheduled job
+ */
+function scheduleTimerEnd(chatId, endTime, duration) {
+  return schedule.scheduleJob(endTime, () => {
+    handleTimerComplete(chatId, duration).catch(error => {
+      console.error('Error in timer completion handler:', error);
+    });
+  });
+}
+
+/**
+ * Collect the session context shown in the timer message
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object} Details for generateTimerMessage
+ */
+function getTimerMessageDetails(chatId) {
+  const session = getUserSession(chatId);
+  const task = session.taskId ? getUserTasks(chatId).find(t => t.id === session.taskId) : null;
+  const subject = session.subjectId ? getUserSubjects(chatId).find(s => s.id === session.subjectId) : null;
+  
+  return {
+    pomodoro: session.pomodoro,
+    showMotivation: getUserSettings(chatId).motivationalMessages,
+    taskText: task ? task.text : null,
+    subject: subject || null
+  };
+}
+
+/**
+ * Generate timer message with current progress
+ * @param {Date} startTime - Timer start time
  * @param {Date} endTime - Timer end time
  * @param {number} pausedTime - Total paused time in milliseconds
+ * @param {Object} details - Session context
+ * @param {Object|null} details.pomodoro - Active pomodoro cycle, if any
+ * @param {boolean} details.showMotivation - Whether to include a motivational message
+ * @param {string|null} details.taskText - Task the session is focused on, if any
+ * @param {Object|null} details.subject - Subject the session is tagged with, if any
  * @returns {string} Formatted timer message
  */
-function generateTimerMessage(startTime, endTime, pausedTime) {
+function generateTimerMessage(startTime, endTime, pausedTime, details = {}) {
+  const { pomodoro = null, showMotivation = true, taskText = null, subject = null } = details;
   const now = new Date();
   
   // Adjust for paused time
@@ -876,13 +2884,30 @@ function generateTimerMessage(startTime, endTime, pausedTime) {
   const milestoneText = milestone ? `\n${milestone}\n` : '';
   
   // Get a random motivational message
-  const motivationalMessage = getRandomMotivationalMessage();
+  const motivationalMessage = showMotivation ? `${getRandomMotivationalMessage()}\n` : '';
+  
+  // Show which pomodoro cycle this session belongs to
+  const cycleText = pomodoro
+    ? `🍅 Pomodoro cycle *${pomodoro.currentCycle}/${pomodoro.cycles}*\n`
+    : '';
+  
+  // Show the task this session is for
+  const taskLine = taskText ? `📌 Task: *${escapeMarkdown(taskText)}*\n` : '';
+  
+  // Tagged sessions show the subject with its themed progress indicator
+  const subjectLine = subject ? `📚 Subject: *${escapeMarkdown(subject.name)}*\n` : '';
+  const progressLine = subject
+    ? getThemedProgress(subject.theme, progressPercent)
+    : `Progress: ${progressPercent}%`;
   
   return `*Study Focus Timer*\n\n` +
+         subjectLine +
+         taskLine +
+         cycleText +
          `⏱ Time Remaining: *${remainingFormatted}*\n` +
-         `Progress: ${progressPercent}%\n` +
+         `${progressLine}\n` +
          `${progressBar}${milestoneText}\n` +
-         `${motivationalMessage}\n` +
+         motivationalMessage +
          `Use /stop to end session early`;
 }
 
@@ -900,20 +2925,40 @@ async function handleTimerComplete(chatId, duration) {
       return;
     }
     
-    // Calculate actual study time (accounting for pauses)
-    const actualDuration = session.pausedDuration > 0
-      ? duration - (session.pausedDuration / 60)
-      : duration;
+    // Pauses push the end back (see resumeFocusTimer), so a completed session
+    // always holds the full duration of study
+    const actualDuration = duration;
+    
+    // Remember the pomodoro cycle and task before the session is reset
+    const pomodoro = session.pomodoro;
+    const settings = getUserSettings(chatId);
+    const task = session.taskId ? getUserTasks(chatId).find(t => t.id === session.taskId) : null;
     
     // Mark as completed before calling stopFocusTimer to prevent double counting
     updateUserSession(chatId, { timerCompleted: true });
     
+    // The session ended at its scheduled time, even if the bot was down then
+    const endTime = new Date(Math.min(
+      Date.now(),
+      session.studyStartTime.getTime() + duration * 60000 + session.totalPausedTime
+    ));
+    
     // Update stats
-    addCompletedSession(chatId, Math.round(actualDuration));
+    addCompletedSession(chatId, Math.round(actualDuration), {
+      startTime: session.studyStartTime,
+      endTime,
+      plannedMinutes: duration,
+      pausedMinutes: session.pausedDuration,
+      completed: true,
+      taskId: session.taskId,
+      subjectId: session.subjectId
+    });
     
     // Cleanup the timer and session
     stopFocusTimer(chatId);
     
+    notifyPartner(chatId, `completed a ${Math.round(actualDuration)}-minute focus session! 🎉`);
+    
     // Create a visual reward/achievement display
     const studyStars = '⭐'.repeat(Math.min(5, Math.ceil(actualDuration / 10))); // Stars based on study time
     
@@ -950,62 +2995,94 @@ async function handleTimerComplete(chatId, duration) {
     
     // First send the notification sound
     // We use the telegram built-in notification sound feature
-    try {
-      // Send a notification sound using Telegram's voice message
-      await bot.sendVoice(chatId, 'https://raw.githubusercontent.com/mattiabasone/TelegramBotPHP/master/tests/fixtures/voice.ogg', {
-        caption: '🔔 Your focus session is complete!',
-        disable_notification: false // Ensure notification sound plays
-      });
-    } catch (soundError) {
-      console.log('Error sending sound notification:', soundError.message);
-      // Continue execution even if sound fails
+    if (settings.soundNotifications) {
+      try {
+        // Send a notification sound using Telegram's voice message
+        await bot.sendVoice(chatId, 'https://raw.githubusercontent.com/mattiabasone/TelegramBotPHP/master/tests/fixtures/voice.ogg', {
+          caption: '🔔 Your focus session is complete!',
+          disable_notification: false // Ensure notification sound plays
+        });
+      } catch (soundError) {
+        console.log('Error sending sound notification:', soundError.message);
+        // Continue execution even if sound fails
+      }
+      
+      // Wait a moment before sending the completion message
+      await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
-    // Wait a moment before sending the completion message
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    // In pomodoro mode the break starts automatically, so skip the new-session buttons
+    const nextStepText = pomodoro
+      ? `🍅 Pomodoro cycle ${pomodoro.currentCycle}/${pomodoro.cycles} done. Your break starts now.\n`
+      : `Take a well-deserved break and when you're ready, start another session with /focus.\n`;
+    const completionKeyboard = pomodoro
+      ? [[{ text: '📊 View my stats', callback_data: 'stats' }]]
+      : [
+          [{ text: '🔄 25-min session', callback_data: 'focus_25' }],
+          [{ text: '🕒 45-min session', callback_data: 'focus_45' }],
+          [{ text: '⏱ 60-min session', callback_data: 'focus_60' }],
+          [{ text: '📊 View my stats', callback_data: 'stats' }],
+          [{ text: '⚙️ Custom timer', callback_data: 'focus_custom' }]
+        ];
+    
+    // Offer to close the task the session was focused on
+    const taskText = task
+      ? `📌 Task: *${escapeMarkdown(task.text)}* (${task.timeSpent || 0}m spent so far)\n`
+      : '';
+    if (task && !task.completed) {
+      completionKeyboard.unshift([{ text: '✅ Mark task complete?', callback_data: `session_task_done_${task.id}` }]);
+    }
     
     // Congratulate the user with enhanced visual display
-    await bot.sendMessage(
-      chatId,
-      `${border}` +
-      `       ${achievementBadge} *SESSION COMPLETE* ${achievementBadge}\n\n` +
-      `🎉 *Congratulations!* 🎉\n` +
-      `You've completed your ${duration}-minute study session!\n\n` +
-      `⏱ Actual study time: *${Math.round(actualDuration)}* minutes\n` +
-      `${studyStars}${streakText}\n\n` +
-      `${quote}\n` +
-      `Take a well-deserved break and when you're ready, start another session with /focus.\n` +
-      `${borderEnd}`,
-      { 
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '🔄 25-min session', callback_data: 'focus_25' }],
-            [{ text: '🕒 45-min session', callback_data: 'focus_45' }],
-            [{ text: '⏱ 60-min session', callback_data: 'focus_60' }],
-            [{ text: '📊 View my stats', callback_data: 'stats' }],
-            [{ text: '⚙️ Custom timer', callback_data: 'focus_custom' }]
-          ]
+    try {
+      await bot.sendMessage(
+        chatId,
+        `${border}` +
+        `       ${achievementBadge} *SESSION COMPLETE* ${achievementBadge}\n\n` +
+        `🎉 *Congratulations!* 🎉\n` +
+        `You've completed your ${duration}-minute study session!\n\n` +
+        `⏱ Actual study time: *${Math.round(actualDuration)}* minutes\n` +
+        taskText +
+        `${studyStars}${streakText}\n\n` +
+        (settings.motivationalMessages ? `${quote}\n` : '') +
+        nextStepText +
+        `${borderEnd}`,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: completionKeyboard
+          }
         }
+      );
+    } finally {
+      // Start the break even when the completion message fails to send
+      if (pomodoro) {
+        await startPomodoroBreak(chatId);
       }
-    );
+    }
+    
+    if (pomodoro) {
+      return;
+    }
     
-    // Schedule a break reminder after 5 minutes
-    const breakEndTime = new Date(new Date().getTime() + 5 * 60000);
+    // Schedule a break reminder once the user's break length has passed
+    const breakEndTime = new Date(new Date().getTime() + settings.breakDuration * 60000);
     const breakReminder = schedule.scheduleJob(breakEndTime, async () => {
       try {
         // Try to send notification sound for break end
-        try {
-          await bot.sendVoice(chatId, 'https://raw.githubusercontent.com/mattiabasone/TelegramBotPHP/master/tests/fixtures/voice.ogg', {
-            caption: '⏰ Break time is over!',
-            disable_notification: false
-          });
-        } catch (breakSoundError) {
-          console.log('Error sending break sound notification:', breakSoundError.message);
+        if (settings.soundNotifications) {
+          try {
+            await bot.sendVoice(chatId, 'https://raw.githubusercontent.com/mattiabasone/TelegramBotPHP/master/tests/fixtures/voice.ogg', {
+              caption: '⏰ Break time is over!',
+              disable_notification: false
+            });
+          } catch (breakSoundError) {
+            console.log('Error sending break sound notification:', breakSoundError.message);
+          }
+          
+          await new Promise(resolve => setTimeout(resolve, 1000));
         }
         
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
         // Create a decorative message for break end
         const breakBorder = '┏' + '━'.repeat(25) + '┓\n';
         const breakBorderEnd = '┗' + '━'.repeat(25) + '┛';
@@ -1082,6 +3159,11 @@ function stopFocusTimer(chatId) {
     removeTimer(chatId, 'end');
   }
   
+  if (timers.subjectPick) {
+    timers.subjectPick.cancel();
+    removeTimer(chatId, 'subjectPick');
+  }
+  
   // Calculate study duration for stats if timer was running
   // Only update stats if timer was manually stopped (not via handleTimerComplete)
   if (session.isStudying && session.studyStartTime && !session.timerCompleted) {
@@ -1090,7 +3172,15 @@ function stopFocusTimer(chatId) {
     
     // Only add to stats if more than a minute was studied
     if (studyDuration > 1) {
-      addCompletedSession(chatId, Math.round(studyDuration));
+      addCompletedSession(chatId, Math.round(studyDuration), {
+        startTime: session.studyStartTime,
+        endTime,
+        plannedMinutes: session.plannedDuration,
+        pausedMinutes: session.pausedDuration,
+        completed: false,
+        taskId: session.taskId,
+        subjectId: session.subjectId
+      });
     }
   }
   
@@ -1102,7 +3192,9 @@ function stopFocusTimer(chatId) {
     totalPausedTime: 0,
     pausedDuration: 0,
     messageId: null,
-    timerCompleted: false
+    timerCompleted: false,
+    taskId: null,
+    subjectId: null
   });
 }
 
@@ -1158,12 +3250,21 @@ async function resumeFocusTimer(chatId) {
   const pauseDuration = now - session.pauseStartTime;
   
   // Update total paused time and pause duration in minutes
+  const totalPausedTime = session.totalPausedTime + pauseDuration;
   updateUserSession(chatId, {
     pauseStartTime: null,
-    totalPausedTime: session.totalPausedTime + pauseDuration,
+    totalPausedTime,
     pausedDuration: session.pausedDuration + (pauseDuration / 60000)
   });
   
+  // Push the completion back by the time spent paused
+  const timers = getAllActiveTimers().get(chatId) || {};
+  if (timers.end) {
+    timers.end.cancel();
+  }
+  const endTime = new Date(session.studyStartTime.getTime() + session.plannedDuration * 60000 + totalPausedTime);
+  storeTimer(chatId, 'end', scheduleTimerEnd(chatId, endTime, session.plannedDuration));
+  
   // Update timer message
   if (session.messageId) {
     try {
@@ -1182,6 +3283,73 @@ async function resumeFocusTimer(chatId) {
   return true;
 }
 
+/**
+ * Restore focus timers that were running when the process stopped.
+ * Sessions whose end time passed while the bot was down are completed right away.
+ */
+function restoreActiveTimers() {
+  const now = new Date();
+  let restoredCount = 0;
+  
+  for (const [userId, userData] of userStore.entries()) {
+    const session = userData.session;
+    
+    // Group study rooms keep running for everyone who joined
+    if (session.room) {
+      if (session.room.endTime <= now) {
+        handleRoomComplete(userId).catch(error => {
+          console.error('Error completing restored study room:', error);
+        });
+      } else {
+        scheduleRoomTimers(userId, session.room);
+      }
+      restoredCount++;
+      continue;
+    }
+    
+    // Pomodoro breaks continue where they left off
+    if (session.pomodoro && session.pomodoro.phase === 'break' && session.pomodoro.breakEndTime) {
+      if (session.pomodoro.breakEndTime <= now) {
+        handlePomodoroBreakEnd(userId).catch(error => {
+          console.error('Error ending restored pomodoro break:', error);
+        });
+      } else {
+        schedulePomodoroBreakEnd(userId, session.pomodoro.breakEndTime);
+      }
+      restoredCount++;
+      continue;
+    }
+    
+    if (!session.isStudying || !session.studyStartTime || !session.plannedDuration) {
+      continue;
+    }
+    
+    const startTime = session.studyStartTime;
+    const plannedEndTime = new Date(startTime.getTime() + session.plannedDuration * 60000);
+    
+    const endTime = new Date(plannedEndTime.getTime() + session.totalPausedTime);
+    
+    // A paused session stays paused; its end is rescheduled when it is resumed
+    if (!session.pauseStartTime && endTime <= now) {
+      console.log(`Completing focus session for user ${userId} that ended while the bot was down`);
+      handleTimerComplete(userId, session.plannedDuration).catch(error => {
+        console.error('Error completing restored session:', error);
+      });
+      continue;
+    }
+    
+    storeTimer(userId, 'update', scheduleTimerUpdates(userId, startTime, plannedEndTime));
+    if (!session.pauseStartTime) {
+      storeTimer(userId, 'end', scheduleTimerEnd(userId, endTime, session.plannedDuration));
+    }
+    restoredCount++;
+  }
+  
+  if (restoredCount > 0) {
+    console.log(`Restored ${restoredCount} running focus timer(s)`);
+  }
+}
+
 /**
  * Cleanup stale timers
  */
@@ -1191,8 +3359,8 @@ function cleanupTimers() {
   for (const [userId, timers] of allTimers.entries()) {
     const session = getUserSession(parseInt(userId));
     
-    // If user isn't studying but has active timers, clean them up
-    if (!session.isStudying) {
+    // If user isn't studying (or on a pomodoro break or in a room) but has active timers, clean them up
+    if (!session.isStudying && !session.pomodoro && !session.room) {
       for (const timerType in timers) {
         timers[timerType].cancel();
         removeTimer(parseInt(userId), timerType);
@@ -1202,1106 +3370,6324 @@ function cleanupTimers() {
 }
 
 //======================================
-// TASK SERVICE
+// POMODORO SERVICE
 //======================================
 
 /**
- * Get all tasks for a user
- * @param {number} userId - Telegram user ID
- * @returns {Array} Array of tasks
+ * Get the default pomodoro cycle configuration
+ * @param {Object} settings - User settings
+ * @returns {Object} Pomodoro configuration (durations in minutes)
  */
-function getUserTaskList(userId) {
-  return getUserTasks(userId);
+function getPomodoroDefaults(settings) {
+  return {
+    cycles: settings.longBreakInterval,
+    focusDuration: settings.focusDuration,
+    shortBreak: settings.breakDuration,
+    longBreak: 15
+  };
 }
 
 /**
- * Create a new task for user
- * @param {number} userId - Telegram user ID
- * @param {string} taskText - Task description
- * @returns {Object} The created task
+ * Parse pomodoro arguments into a cycle configuration
+ * @param {string} input - Arguments (e.g., "4x25", "4x25 5 15")
+ * @param {Object} settings - User settings (defaults and maximum session length)
+ * @returns {Object|null} Pomodoro configuration or null if invalid
  */
-function createTask(userId, taskText) {
-  return addUserTask(userId, taskText);
+function parsePomodoroArgs(input, settings) {
+  const config = getPomodoroDefaults(settings);
+  
+  if (!input || input.trim() === '') {
+    return config;
+  }
+  
+  const argsMatch = input.trim().match(/^(\d+)x(\d+)(?:\s+(\d+))?(?:\s+(\d+))?$/i);
+  if (!argsMatch) {
+    return null;
+  }
+  
+  config.cycles = parseInt(argsMatch[1], 10);
+  config.focusDuration = parseInt(argsMatch[2], 10);
+  if (argsMatch[3]) config.shortBreak = parseInt(argsMatch[3], 10);
+  if (argsMatch[4]) config.longBreak = parseInt(argsMatch[4], 10);
+  
+  // Validate limits
+  if (config.cycles < 1 || config.cycles > 12 ||
+      config.focusDuration < 1 || config.focusDuration > settings.maxSessionLength ||
+      config.shortBreak < 1 || config.shortBreak > 60 ||
+      config.longBreak < 1 || config.longBreak > 60) {
+    return null;
+  }
+  
+  return config;
 }
 
 /**
- * Mark a task as complete or incomplete
- * @param {number} userId - Telegram user ID
- * @param {number} taskId - Task ID
- * @returns {Object|null} Updated task or null if not found
+ * Format a pomodoro configuration as command arguments (e.g., "4x25 5 15")
+ * @param {Object} config - Pomodoro configuration
+ * @returns {string} Formatted arguments
  */
-function toggleTaskCompletion(userId, taskId) {
-  return toggleTaskComplete(userId, parseInt(taskId));
+function formatPomodoroArgs(config) {
+  return `${config.cycles}x${config.focusDuration} ${config.shortBreak} ${config.longBreak}`;
 }
 
 /**
- * Remove a task
- * @param {number} userId - Telegram user ID
- * @param {number} taskId - Task ID
- * @returns {boolean} True if task was deleted
+ * Create the keyboard shown during a pomodoro break
+ * @returns {Object} Keyboard markup
  */
-function removeTask(userId, taskId) {
-  return deleteUserTask(userId, parseInt(taskId));
+function pomodoroBreakKeyboard() {
+  return {
+    inline_keyboard: [
+      [
+        { text: '⏭ Skip Break', callback_data: 'pomodoro_skip' },
+        { text: '➕ 5 min', callback_data: 'pomodoro_extend_5' }
+      ],
+      [
+        { text: '⏹ Stop Pomodoro', callback_data: 'pomodoro_stop' }
+      ]
+    ]
+  };
 }
 
 /**
- * Format tasks list as a message
- * @param {Array} tasks - Array of tasks
- * @returns {string} Formatted message
+ * Start a pomodoro cycle with its first focus session
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} config - Pomodoro configuration
+ * @returns {Object|null} Timer message info, { pending: 'subject' } while the subject picker is open,
+ *   or null if a session is already active
  */
-function formatTasksMessage(tasks) {
-  // Create decorative border
-  const border = '┏' + '━'.repeat(28) + '┓\n';
-  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+async function startPomodoro(chatId, config) {
+  const session = getUserSession(chatId);
   
-  if (tasks.length === 0) {
-    return `${border}` +
-           `       📋 *TASK LIST* 📋\n\n` +
-           `No tasks found! 🔍\n\n` +
-           `Add new tasks with:\n` +
-           `/addtask [task description]\n` +
-           `${borderEnd}`;
+  if (session.isStudying) {
+    // startFocusTimer explains to the user why nothing was started
+    return startFocusTimer(chatId, config.focusDuration, { pomodoro: true });
   }
   
-  // Get pending and completed tasks
-  const pendingTasks = tasks.filter(task => !task.completed);
-  const completedTasks = tasks.filter(task => task.completed);
+  // Drop any previous cycle (e.g. one that is in a break)
+  stopPomodoro(chatId);
   
-  // Format tasks with categorization and priority indicators
-  const formatTask = (task, index) => {
-    // Choose emoji based on importance (using position in the list as a simple proxy)
-    let priorityEmoji = task.completed ? '✅' : '⬜';
-    
-    // For pending tasks, add visual priority indicators
-    if (!task.completed) {
-      if (index === 0) priorityEmoji = '🔴'; // Highest priority
-      else if (index === 1) priorityEmoji = '🟠'; // High priority
-      else if (index === 2) priorityEmoji = '🟡'; // Medium priority
-      else priorityEmoji = '🟢'; // Lower priority
+  updateUserSession(chatId, {
+    pomodoro: {
+      ...config,
+      currentCycle: 1,
+      phase: 'focus',
+      isLongBreak: false,
+      breakEndTime: null
     }
-    
-    // Add visual indicator for task age (assuming newer tasks at the bottom)
-    const ageIndicator = task.completed ? '' : (
-      index < pendingTasks.length / 3 ? '⚡' : ''
-    );
-    
-    return `${priorityEmoji} *${task.id}.* ${task.text} ${ageIndicator}`;
-  };
-  
-  // Format task lists
-  const pendingTasksList = pendingTasks.map((task, i) => formatTask(task, i)).join('\n');
-  const completedTasksList = completedTasks.length > 0 
-    ? `\n*✓ Completed Tasks*\n` + completedTasks.map((task, i) => formatTask(task, i)).join('\n')
-    : '';
-  
-  // Count completed tasks and generate progress bar
-  const completedCount = completedTasks.length;
-  const progress = tasks.length > 0 
-    ? Math.round((completedCount / tasks.length) * 100) 
-    : 0;
-  
-  // Create progress bar
-  const progressBarLength = 20;
-  const filledLength = Math.round((progress / 100) * progressBarLength);
-  const progressBar = '█'.repeat(filledLength) + '░'.repeat(progressBarLength - filledLength);
-  
-  // Status message based on progress
-  let statusMessage = '';
-  if (progress === 100) {
-    statusMessage = '🎉 All tasks complete! Great job!';
-  } else if (progress >= 75) {
-    statusMessage = '🚀 Almost there! Keep going!';
-  } else if (progress >= 50) {
-    statusMessage = '💪 Good progress! Half way there!';
-  } else if (progress >= 25) {
-    statusMessage = '👍 Making progress! Keep it up!';
-  } else {
-    statusMessage = '🏁 Let\'s start checking off those tasks!';
-  }
+  });
   
-  return `${border}` +
-         `       📋 *TASK LIST* 📋\n\n` +
-         `*⏳ Pending Tasks (${pendingTasks.length})*\n` +
-         `${pendingTasksList}\n` +
-         `${completedTasksList}\n\n` +
-         `*Progress: ${progress}%*\n` +
-         `${progressBar}\n` +
-         `${statusMessage}\n\n` +
-         `*Commands:*\n` +
-         `• /addtask [description] - Add task\n` +
-         `• /complete [ID] - Mark complete\n` +
-         `• /delete [ID] - Delete task\n` +
-         `${borderEnd}`;
+  return startFocusTimer(chatId, config.focusDuration, { pomodoro: true });
 }
 
-//======================================
-// STATS SERVICE
-//======================================
-
 /**
- * Get formatted statistics for a user
- * @param {number} userId - Telegram user ID
- * @returns {string} Formatted statistics message
+ * Start the break that follows a completed pomodoro focus session
+ * @param {number} chatId - Telegram chat ID
  */
-function getFormattedStats(userId) {
-  const stats = getUserStats(userId);
+async function startPomodoroBreak(chatId) {
+  const pomodoro = getUserSession(chatId).pomodoro;
+  if (!pomodoro) {
+    return;
+  }
   
-  // Format total study time
-  const totalHours = Math.floor(stats.totalStudyTime / 60);
-  const totalMinutes = stats.totalStudyTime % 60;
-  const totalTimeFormatted = totalHours > 0 
-    ? `${totalHours}h ${totalMinutes}m` 
-    : `${totalMinutes}m`;
+  // The last cycle of the round is followed by a long break
+  const isLongBreak = pomodoro.currentCycle >= pomodoro.cycles;
+  const breakMinutes = isLongBreak ? pomodoro.longBreak : pomodoro.shortBreak;
+  const breakEndTime = new Date(new Date().getTime() + breakMinutes * 60000);
   
-  // Format average session time
-  const avgSessionTime = stats.totalSessions > 0 
-    ? Math.round(stats.totalStudyTime / stats.totalSessions) 
-    : 0;
-  const avgTimeFormatted = `${avgSessionTime}m`;
+  updateUserSession(chatId, {
+    pomodoro: { ...pomodoro, phase: 'break', isLongBreak, breakEndTime }
+  });
   
-  // Get study time for last 7 days
-  const dailyStats = getDailyStudyStats(stats.dailyStudyTime, 7);
-  const weeklyTotal = dailyStats.reduce((sum, day) => sum + day.minutes, 0);
+  schedulePomodoroBreakEnd(chatId, breakEndTime);
   
-  // Format daily study chart
-  const chart = generateStudyChart(dailyStats);
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
   
-  // Generate achievement indicators based on stats
-  const achievements = generateAchievements(stats);
+  const nextStep = isLongBreak
+    ? `This is the last break of the round. 🏁`
+    : `Focus cycle ${pomodoro.currentCycle + 1}/${pomodoro.cycles} starts automatically at *${userMoment(chatId, breakEndTime).format('HH:mm')}*.`;
   
-  // Create a decorative border
-  const border = '┏' + '━'.repeat(30) + '┓\n';
-  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  await bot.sendMessage(
+    chatId,
+    `${border}` +
+    (isLongBreak ? `       🌴 *LONG BREAK* 🌴\n\n` : `       ☕ *SHORT BREAK* ☕\n\n`) +
+    `Relax for *${breakMinutes} minutes*.\n` +
+    `${nextStep}\n` +
+    `${borderEnd}`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: pomodoroBreakKeyboard()
+    }
+  );
+}
+
+/**
+ * Schedule the end of the current pomodoro break, replacing any earlier schedule
+ * @param {number} chatId - Telegram chat ID
+ * @param {Date} breakEndTime - When the break ends
+ */
+function schedulePomodoroBreakEnd(chatId, breakEndTime) {
+  const timers = getAllActiveTimers().get(chatId) || {};
+  if (timers.break) {
+    timers.break.cancel();
+  }
   
-  // Calculate productivity score (0-100)
-  const productivityScore = calculateProductivityScore(stats, dailyStats);
-  const productivityBar = generateProductivityBar(productivityScore);
+  const breakJob = schedule.scheduleJob(breakEndTime, () => {
+    handlePomodoroBreakEnd(chatId).catch(error => {
+      console.error('Error in pomodoro break handler:', error);
+    });
+  });
   
-  // Generate streak information
-  const streakInfo = stats.streak > 1 
-    ? `\n🔥 *Current Streak: ${stats.streak} days*` 
-    : '';
-  
-  return `${border}` +
-         `        📊 *STUDY STATISTICS* 📊\n\n` +
-         `⏱ Total study time: *${totalTimeFormatted}*\n` +
-         `🔄 Completed sessions: *${stats.totalSessions}*\n` +
-         `⌛ Average session: *${avgTimeFormatted}*\n` +
-         `✅ Completed tasks: *${stats.totalCompletedTasks}*${streakInfo}\n\n` +
-         `🏆 *Productivity Score:* ${productivityScore}/100\n` +
-         `${productivityBar}\n\n` +
-         `${achievements}\n` +
-         `*Last 7 Days Activity*\n` +
-         `Total: ${weeklyTotal}m\n${chart}\n` +
-         `${borderEnd}`;
+  storeTimer(chatId, 'break', breakJob);
 }
 
 /**
- * Calculate a productivity score based on user's stats
- * @param {Object} stats - User statistics
- * @param {Array} dailyStats - Daily study statistics
- * @returns {number} Productivity score (0-100)
+ * Handle the end of a pomodoro break: start the next cycle or finish the round
+ * @param {number} chatId - Telegram chat ID
  */
-function calculateProductivityScore(stats, dailyStats) {
-  // Define maximum values for scoring
-  const maxDailyTime = 120; // 2 hours daily is considered maximum
-  const maxStreak = 7; // 7-day streak is max score
-  const maxSessions = 30; // 30 completed sessions is max
-  const maxCompletedTasks = 50; // 50 completed tasks is max
-  
-  // Calculate scores for different aspects (0-25 each)
-  let activeScore = 0;
-  let streakScore = 0;
-  let sessionScore = 0;
-  let taskScore = 0;
+async function handlePomodoroBreakEnd(chatId) {
+  const timers = getAllActiveTimers().get(chatId) || {};
+  if (timers.break) {
+    timers.break.cancel();
+    removeTimer(chatId, 'break');
+  }
   
-  // Activity score: Based on average daily study time over the past week
-  const weeklyAvg = dailyStats.reduce((sum, day) => sum + day.minutes, 0) / 7;
-  activeScore = Math.min(25, Math.round((weeklyAvg / maxDailyTime) * 25));
+  const pomodoro = getUserSession(chatId).pomodoro;
+  if (!pomodoro || pomodoro.phase !== 'break') {
+    return;
+  }
   
-  // Streak score: Based on current streak
-  streakScore = Math.min(25, Math.round((stats.streak / maxStreak) * 25));
+  if (pomodoro.isLongBreak) {
+    stopPomodoro(chatId);
+    
+    // Create a decorative border
+    const border = '┏' + '━'.repeat(28) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(28) + '┛';
+    
+    await bot.sendMessage(
+      chatId,
+      `${border}` +
+      `   🍅 *POMODORO COMPLETE* 🍅\n\n` +
+      `You finished all *${pomodoro.cycles}* focus cycles. Amazing work! 🎉\n\n` +
+      `Ready for another round?\n` +
+      `${borderEnd}`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔁 Start another round', callback_data: `pomodoro_start_${formatPomodoroArgs(pomodoro).replace(/ /g, '_')}` }],
+            [{ text: '📊 View my stats', callback_data: 'stats' }]
+          ]
+        }
+      }
+    );
+    return;
+  }
   
-  // Session score: Based on total completed sessions
-  sessionScore = Math.min(25, Math.round((stats.totalSessions / maxSessions) * 25));
+  updateUserSession(chatId, {
+    pomodoro: {
+      ...pomodoro,
+      currentCycle: pomodoro.currentCycle + 1,
+      phase: 'focus',
+      isLongBreak: false,
+      breakEndTime: null
+    }
+  });
   
-  // Task score: Based on completed tasks
-  taskScore = Math.min(25, Math.round((stats.totalCompletedTasks / maxCompletedTasks) * 25));
+  try {
+    await bot.sendMessage(
+      chatId,
+      `⏰ *Break is over!* Starting focus cycle ${pomodoro.currentCycle + 1}/${pomodoro.cycles}.`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (notifyError) {
+    console.log('Error sending break end notification:', notifyError.message);
+  }
   
-  return activeScore + streakScore + sessionScore + taskScore;
+  await startFocusTimer(chatId, pomodoro.focusDuration, { pomodoro: true });
 }
 
 /**
- * Generate a visual bar representing productivity score
- * @param {number} score - Productivity score (0-100)
- * @returns {string} Visual progress bar
+ * Extend the current pomodoro break
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} minutes - Minutes to add to the break
+ * @returns {Date|null} New break end time or null if not on a break
  */
-function generateProductivityBar(score) {
-  const totalLength = 20;
-  const filledLength = Math.round((score / 100) * totalLength);
+function extendPomodoroBreak(chatId, minutes) {
+  const pomodoro = getUserSession(chatId).pomodoro;
+  if (!pomodoro || pomodoro.phase !== 'break') {
+    return null;
+  }
   
-  // Use different characters for different score ranges
-  let barChar = '█';
-  if (score >= 80) barChar = '█'; // High score
-  else if (score >= 50) barChar = '▓'; // Medium score
-  else if (score >= 20) barChar = '▒'; // Low score
-  else barChar = '░'; // Very low score
+  const breakEndTime = new Date(pomodoro.breakEndTime.getTime() + minutes * 60000);
+  updateUserSession(chatId, {
+    pomodoro: { ...pomodoro, breakEndTime }
+  });
+  schedulePomodoroBreakEnd(chatId, breakEndTime);
   
-  return barChar.repeat(filledLength) + '░'.repeat(totalLength - filledLength);
+  return breakEndTime;
 }
 
 /**
- * Generate achievement text based on user stats
- * @param {Object} stats - User statistics
- * @returns {string} Achievement text
+ * Stop the active pomodoro cycle and cancel its break timer
+ * @param {number} chatId - Telegram chat ID
  */
-function generateAchievements(stats) {
-  const achievements = [];
-  
-  // Study time achievements
-  if (stats.totalStudyTime >= 600) { // 10+ hours
-    achievements.push('🥇 *Master Scholar*');
-  } else if (stats.totalStudyTime >= 300) { // 5+ hours
-    achievements.push('🥈 *Dedicated Student*');
-  } else if (stats.totalStudyTime >= 60) { // 1+ hour
-    achievements.push('🥉 *Study Starter*');
+function stopPomodoro(chatId) {
+  const timers = getAllActiveTimers().get(chatId) || {};
+  if (timers.break) {
+    timers.break.cancel();
+    removeTimer(chatId, 'break');
   }
   
-  // Session achievements
-  if (stats.totalSessions >= 20) {
-    achievements.push('🏆 *Session Champion*');
-  } else if (stats.totalSessions >= 10) {
-    achievements.push('🌟 *Consistent Learner*');
+  updateUserSession(chatId, { pomodoro: null });
+}
+
+//======================================
+// STUDY ROOM SERVICE
+//======================================
+
+/**
+ * Check whether a chat is a group (Telegram gives groups negative IDs)
+ * @param {number} chatId - Telegram chat ID
+ * @returns {boolean} True for groups and supergroups
+ */
+function isGroupChat(chatId) {
+  return chatId < 0;
+}
+
+/**
+ * Get the name a user is listed under in a room
+ * @param {Object} user - Telegram user
+ * @returns {string} Display name
+ */
+function getParticipantName(user) {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return name || user.username || `User ${user.id}`;
+}
+
+/**
+ * Find the group room a user is currently focusing in
+ * @param {number} userId - Telegram user ID
+ * @returns {number|null} Chat ID of the group, or null
+ */
+function findUserRoom(userId) {
+  for (const [chatId, userData] of userStore.entries()) {
+    const room = userData.session.room;
+    if (room && room.participants.some(p => p.userId === userId)) {
+      return chatId;
+    }
   }
   
-  // Streak achievements
-  if (stats.streak >= 5) {
-    achievements.push('🔥 *Streak Master*');
-  } else if (stats.streak >= 3) {
-    achievements.push('📆 *Regular Student*');
-  }
+  return null;
+}
+
+/**
+ * Generate the room message with the shared countdown and who is focusing
+ * @param {Object} room - Study room
+ * @returns {string} Formatted room message
+ */
+function generateRoomMessage(room) {
+  const now = new Date();
+  const remaining = Math.max(0, room.endTime - now);
+  const progressPercent = Math.min(100, Math.max(0, Math.floor(((now - room.startTime) / (room.endTime - room.startTime)) * 100)));
   
-  // Format achievements
-  if (achievements.length > 0) {
-    return `*Achievements:*\n${achievements.join('\n')}\n\n`;
-  }
-  return '';
+  const participantLines = room.participants.length > 0
+    ? room.participants.map(p => `👤 ${escapeMarkdown(p.name)} · ${Math.floor((now - p.joinedAt) / 60000)}m`).join('\n')
+    : '_Nobody yet. Tap Join to focus together!_';
+  
+  return `👥 *Group Study Room*\n\n` +
+         `⏱ Time Remaining: *${formatTime(remaining)}*\n` +
+         `Progress: ${progressPercent}%\n` +
+         `${generateAnimatedProgressBar(progressPercent, 20)}\n\n` +
+         `*Focusing now (${room.participants.length}):*\n` +
+         `${participantLines}\n\n` +
+         `Everyone's minutes count towards their own stats. Tap Join to focus along or Leave to stop.`;
 }
 
 /**
- * Get daily study statistics for the specified number of days
- * @param {Object} dailyData - Object with date keys and minute values
- * @param {number} days - Number of days to include
- * @returns {Array} Array of daily stats objects
+ * Refresh the room message
+ * @param {number} chatId - Group chat ID
  */
-function getDailyStudyStats(dailyData, days) {
-  const result = [];
+async function updateRoomMessage(chatId) {
+  const room = getUserSession(chatId).room;
+  if (!room || !room.messageId) {
+    return;
+  }
   
-  // Generate an array of the last N days in YYYY-MM-DD format
-  for (let i = days - 1; i >= 0; i--) {
-    const date = moment().subtract(i, 'days').format('YYYY-MM-DD');
-    const dayName = moment(date).format('ddd');
-    
-    result.push({
-      date,
-      dayName,
-      minutes: dailyData[date] || 0
+  try {
+    await bot.editMessageText(generateRoomMessage(room), {
+      chat_id: chatId,
+      message_id: room.messageId,
+      parse_mode: 'Markdown',
+      reply_markup: roomKeyboard()
     });
+  } catch (error) {
+    console.error('Error updating room message:', error.message);
   }
-  
-  return result;
 }
 
 /**
- * Generate a text-based chart of daily study time
- * @param {Array} dailyStats - Array of daily stats objects
- * @returns {string} Text-based chart
+ * Schedule the minute updates and the end of a room
+ * @param {number} chatId - Group chat ID
+ * @param {Object} room - Study room
  */
-function generateStudyChart(dailyStats) {
-  // Find the maximum study time to scale the chart
-  const maxMinutes = Math.max(...dailyStats.map(d => d.minutes), 30); // Minimum of 30 for scale
+function scheduleRoomTimers(chatId, room) {
+  storeTimer(chatId, 'roomUpdate', schedule.scheduleJob('*/1 * * * *', () => updateRoomMessage(chatId)));
+  storeTimer(chatId, 'roomEnd', schedule.scheduleJob(room.endTime, () => {
+    handleRoomComplete(chatId).catch(error => {
+      console.error('Error in study room completion handler:', error);
+    });
+  }));
+}
+
+/**
+ * Cancel a room's timers and remove it from the group's session
+ * @param {number} chatId - Group chat ID
+ */
+function closeStudyRoom(chatId) {
+  const timers = getAllActiveTimers().get(chatId) || {};
   
-  // Generate chart with gradient bars and indicators
-  const chartLines = dailyStats.map(day => {
-    // Calculate bar length (max 15 characters)
-    const barLength = day.minutes > 0 
-      ? Math.max(1, Math.round((day.minutes / maxMinutes) * 15))
-      : 0;
-    
-    // Use different fill characters for a gradient effect based on percentage
-    let bar = '';
-    const percentOfMax = day.minutes / maxMinutes;
-    
-    // Choose bar character based on time study
-    let barChar = '░'; // Default (empty)
-    
-    if (percentOfMax >= 0.8) {
-      barChar = '█'; // 80-100% fill
-    } else if (percentOfMax >= 0.6) {
-      barChar = '▓'; // 60-80% fill
-    } else if (percentOfMax >= 0.3) {
-      barChar = '▒'; // 30-60% fill 
-    } else if (percentOfMax > 0) {
-      barChar = '░'; // 1-30% fill
-    }
-    
-    bar = barChar.repeat(barLength);
-    
-    // Add small visual indicators for time categories
-    let timeIndicator = '';
-    if (day.minutes >= 120) {
-      timeIndicator = '🌟'; // 2+ hours
-    } else if (day.minutes >= 60) {
-      timeIndicator = '⭐'; // 1+ hour 
-    } else if (day.minutes >= 30) {
-      timeIndicator = '🔆'; // 30+ minutes
-    } else if (day.minutes > 0) {
-      timeIndicator = '🔅'; // Some study time
-    } else {
-      timeIndicator = '⚪'; // No study
+  for (const timerType of ['roomUpdate', 'roomEnd']) {
+    if (timers[timerType]) {
+      timers[timerType].cancel();
+      removeTimer(chatId, timerType);
     }
-    
-    return `${day.dayName}: ${timeIndicator} ${bar} ${day.minutes}m`;
-  });
+  }
   
-  return chartLines.join('\n');
+  updateUserSession(chatId, { room: null });
 }
 
-//======================================
-// COMMAND HANDLERS
-//======================================
-
 /**
- * Handler for the /start command
- * @param {Object} msg - Telegram message object
+ * Credit a participant's time in a room to their own stats
+ * @param {Object} room - Study room
+ * @param {Object} participant - Room participant
+ * @param {Date} endTime - When they stopped focusing
+ * @param {boolean} completed - Whether they stayed until the room ended
+ * @returns {number} Minutes credited (0 if less than a minute)
  */
-function handleStartCommand(msg) {
-  const chatId = msg.chat.id;
+function creditRoomParticipant(room, participant, endTime, completed) {
+  const minutes = Math.round((endTime - participant.joinedAt) / 60000);
   
-  bot.sendMessage(
-    chatId,
-    `👋 *Welcome to Study Focus Bot!*\n\n` +
-    `I'll help you stay focused during your study sessions and track your progress.\n\n` +
-    `*Main commands:*\n` +
-    `• /focus - Start a focus timer\n` +
-    `• /tasks - Manage your tasks\n` +
-    `• /notes - Store important study notes\n` +
-    `• /stats - View your study statistics\n` +
-    `• /help - Show all commands\n\n` +
-    `Let's get started by setting up a focus timer or adding some tasks!`,
-    {
-      parse_mode: 'Markdown',
-      ...mainKeyboard()
-    }
-  );
+  // Same rule as stopFocusTimer: less than a minute isn't recorded
+  if (minutes < 1) {
+    return 0;
+  }
+  
+  addCompletedSession(participant.userId, minutes, {
+    startTime: participant.joinedAt,
+    endTime,
+    plannedMinutes: room.duration,
+    pausedMinutes: 0,
+    completed,
+    taskId: null,
+    subjectId: null
+  });
+  
+  // The session may have created the participant's record, see rememberUser
+  const userData = userStore.get(participant.userId);
+  if (!userData.name) {
+    userData.name = participant.name;
+    saveUserData(participant.userId, userData);
+  }
+  
+  return minutes;
 }
 
 /**
- * Handler for the /help command
- * @param {Object} msg - Telegram message object
+ * Start a shared study room in a group chat
+ * @param {number} chatId - Group chat ID
+ * @param {number} duration - Room duration in minutes
+ * @param {Object|null} user - Telegram user who started the room (joins it right away)
+ * @returns {Object|null} Room message info, or null if a room is already running
  */
-function handleHelpCommand(msg) {
-  const chatId = msg.chat.id;
+async function startStudyRoom(chatId, duration, user) {
+  const existing = getUserSession(chatId).room;
+  if (existing) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Study room already running*\n\n` +
+      `There are ${formatTime(Math.max(0, existing.endTime - new Date()))} left in this group's room. Tap *Join* on the room message to focus along.`,
+      {
+        parse_mode: 'Markdown',
+        reply_to_message_id: existing.messageId
+      }
+    );
+    return null;
+  }
+  
+  const startTime = new Date();
+  const room = {
+    startTime,
+    endTime: new Date(startTime.getTime() + duration * 60000),
+    duration,
+    messageId: null,
+    participants: []
+  };
+  
+  // The starter joins unless they're already focusing elsewhere
+  if (user && !getUserSession(user.id).isStudying && !findUserRoom(user.id)) {
+    room.participants.push({ userId: user.id, name: getParticipantName(user), joinedAt: startTime });
+  }
+  
+  const roomMessage = await bot.sendMessage(
+    chatId,
+    generateRoomMessage(room),
+    {
+      parse_mode: 'Markdown',
+      reply_markup: roomKeyboard()
+    }
+  );
+  room.messageId = roomMessage.message_id;
+  
+  if (user && room.participants.length === 0) {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ ${escapeMarkdown(getParticipantName(user))}, you already have a focus session running, so you weren't added to the room.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+  
+  updateUserSession(chatId, { room });
+  scheduleRoomTimers(chatId, room);
+  
+  return {
+    messageId: roomMessage.message_id,
+    startTime,
+    endTime: room.endTime
+  };
+}
+
+/**
+ * Add a user to a group's room
+ * @param {number} chatId - Group chat ID
+ * @param {Object} user - Telegram user
+ * @returns {string} 'joined', 'already' (in this room), 'busy' (focusing elsewhere) or 'none' (no room)
+ */
+function joinStudyRoom(chatId, user) {
+  const room = getUserSession(chatId).room;
+  if (!room) {
+    return 'none';
+  }
+  if (room.participants.some(p => p.userId === user.id)) {
+    return 'already';
+  }
+  if (getUserSession(user.id).isStudying || findUserRoom(user.id)) {
+    return 'busy';
+  }
+  
+  room.participants.push({ userId: user.id, name: getParticipantName(user), joinedAt: new Date() });
+  updateUserSession(chatId, { room });
+  
+  return 'joined';
+}
+
+/**
+ * Remove a user from a group's room, crediting the time they spent in it.
+ * The room closes when its last participant leaves.
+ * @param {number} chatId - Group chat ID
+ * @param {number} userId - Telegram user ID
+ * @returns {number|null} Minutes credited, or null if they weren't in the room
+ */
+function leaveStudyRoom(chatId, userId) {
+  const room = getUserSession(chatId).room;
+  const participant = room ? room.participants.find(p => p.userId === userId) : null;
+  if (!participant) {
+    return null;
+  }
+  
+  const minutes = creditRoomParticipant(room, participant, new Date(), false);
+  room.participants = room.participants.filter(p => p.userId !== userId);
+  
+  if (room.participants.length === 0) {
+    closeStudyRoom(chatId);
+  } else {
+    updateUserSession(chatId, { room });
+  }
+  
+  return minutes;
+}
+
+/**
+ * Finish a room: credit everyone still in it and post the results
+ * @param {number} chatId - Group chat ID
+ */
+async function handleRoomComplete(chatId) {
+  const room = getUserSession(chatId).room;
+  if (!room) {
+    return;
+  }
+  
+  // The room ended at its scheduled time, even if the bot was down then
+  const endTime = new Date(Math.min(Date.now(), room.endTime.getTime()));
+  const results = room.participants.map(p => ({ name: p.name, minutes: creditRoomParticipant(room, p, endTime, true) }));
+  
+  closeStudyRoom(chatId);
+  
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(30) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  
+  const resultLines = results.length > 0
+    ? results.map(r => `⭐ ${escapeMarkdown(r.name)}: *${formatMinutes(r.minutes)}*`).join('\n')
+    : '_Nobody was left in the room._';
+  
+  try {
+    await bot.editMessageText(
+      `👥 *Group Study Room*\n\n✅ Finished after ${room.duration} minutes.`,
+      {
+        chat_id: chatId,
+        message_id: room.messageId,
+        parse_mode: 'Markdown'
+      }
+    );
+  } catch (error) {
+    console.error('Error closing room message:', error.message);
+  }
+  
+  await bot.sendMessage(
+    chatId,
+    `${border}` +
+    `      👥 *ROOM COMPLETE* 👥\n\n` +
+    `The ${room.duration}-minute group session is over!\n\n` +
+    `${resultLines}\n\n` +
+    `Each minute was added to everyone's own /stats.\n` +
+    `Start another room with /focus.\n` +
+    `${borderEnd}`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+//======================================
+// TASK SERVICE
+//======================================
+
+/**
+ * Get all tasks for a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Array} Array of tasks
+ */
+function getUserTaskList(userId) {
+  return sortTasks(getUserTasks(userId));
+}
+
+/**
+ * Get the task priority levels, highest first
+ * @returns {Object} Map of priority -> { emoji, label, rank }
+ */
+function getTaskPriorities() {
+  return {
+    high: { emoji: '🔴', label: 'High', rank: 0 },
+    medium: { emoji: '🟡', label: 'Medium', rank: 1 },
+    low: { emoji: '🟢', label: 'Low', rank: 2 }
+  };
+}
+
+/**
+ * Sort tasks: pending first, then by priority, manual order (see moveTask),
+ * due date (undated last) and ID
+ * @param {Array} tasks - Array of tasks
+ * @returns {Array} Sorted copy of the tasks
+ */
+function sortTasks(tasks) {
+  const priorities = getTaskPriorities();
+  const rank = task => (priorities[task.priority] || priorities.medium).rank;
+  const order = task => task.order || Number.MAX_SAFE_INTEGER;
+  const due = task => task.dueDate || '9999-12-31';
+  
+  return [...tasks].sort((a, b) =>
+    Number(a.completed) - Number(b.completed) ||
+    rank(a) - rank(b) ||
+    order(a) - order(b) ||
+    due(a).localeCompare(due(b)) ||
+    a.id - b.id
+  );
+}
+
+/**
+ * Parse a task description with optional !priority, @due and ~repeat markers
+ * (e.g., "Read ch5 !high @friday", "Review flashcards ~daily")
+ * @param {number} userId - Telegram user ID (due dates follow their timezone)
+ * @param {string} input - Task description
+ * @returns {Object} Parsed { text, priority, dueDate, recurrence }
+ */
+function parseTaskInput(userId, input) {
+  const priorityAliases = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+  let priority = 'medium';
+  let dueDate = null;
+  let repeat = null;
+  
+  // Markers that aren't recognised stay part of the description
+  const words = input.trim().split(/\s+/).filter(word => {
+    if (word.startsWith('~') && parseRecurrence(word.slice(1), 0)) {
+      repeat = word.slice(1);
+      return false;
+    }
+    
+    if (word.startsWith('!') && priorityAliases[word.slice(1).toLowerCase()]) {
+      priority = priorityAliases[word.slice(1).toLowerCase()];
+      return false;
+    }
+    
+    const date = word.startsWith('@') && word.length > 1 ? parseDueDate(userId, word.slice(1)) : null;
+    if (date) {
+      dueDate = date;
+      return false;
+    }
+    
+    return true;
+  });
+  
+  // "Weekly" repeats on the due date's weekday; the first occurrence is due from today
+  const today = userMoment(userId).format('YYYY-MM-DD');
+  const recurrence = repeat
+    ? parseRecurrence(repeat, moment(dueDate || today, 'YYYY-MM-DD').day())
+    : null;
+  if (recurrence && !dueDate) {
+    dueDate = nextOccurrence(recurrence, moment(today, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD'));
+  }
+  
+  return { text: words.join(' '), priority, dueDate, recurrence };
+}
+
+/**
+ * Parse a recurrence rule (daily, weekdays, weekends, weekly or a list such as "mon,thu")
+ * @param {string} input - Recurrence text
+ * @param {number} weeklyDay - Weekday used for "weekly" (0 = Sunday)
+ * @returns {Array|null} Sorted weekdays or null if not recognised
+ */
+function parseRecurrence(input, weeklyDay) {
+  const value = input.toLowerCase();
+  const presets = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6],
+    weekly: [weeklyDay]
+  };
+  
+  if (presets[value]) {
+    return presets[value];
+  }
+  
+  const days = value.split(',').map(name =>
+    name.length >= 3 ? moment.weekdays().findIndex(day => day.toLowerCase().startsWith(name)) : -1
+  );
+  
+  return days.includes(-1) ? null : [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Describe the weekdays a task repeats on (e.g., "Daily", "Every Mon", "Mon, Thu")
+ * @param {Array} days - Weekdays (0 = Sunday)
+ * @returns {string} Description
+ */
+function describeRecurrence(days) {
+  const names = { '0,1,2,3,4,5,6': 'Daily', '1,2,3,4,5': 'Weekdays', '0,6': 'Weekends' };
+  
+  if (names[days.join(',')]) {
+    return names[days.join(',')];
+  }
+  
+  return days.length === 1
+    ? `Every ${moment.weekdaysShort(days[0])}`
+    : days.map(day => moment.weekdaysShort(day)).join(', ');
+}
+
+/**
+ * Roll a recurring task on to its next occurrence after it was completed.
+ * The completion counts for the latest occurrence that has come round (or the
+ * upcoming one if done early); earlier occurrences since the due date were missed.
+ * @param {number} userId - Telegram user ID (dates follow their timezone)
+ * @param {Object} task - Recurring task (updated in place)
+ */
+function advanceRecurringTask(userId, task) {
+  const { days } = task.recurrence;
+  const today = userMoment(userId).format('YYYY-MM-DD');
+  const dueDate = task.dueDate || today;
+  
+  // Walk back from today to the latest occurrence, stopping at the due date
+  const day = moment(dueDate > today ? dueDate : today, 'YYYY-MM-DD');
+  while (!days.includes(day.day()) && day.format('YYYY-MM-DD') > dueDate) {
+    day.subtract(1, 'day');
+  }
+  const occurrence = day.format('YYYY-MM-DD');
+  
+  task.recurrence = {
+    ...task.recurrence,
+    completed: task.recurrence.completed + 1,
+    missed: task.recurrence.missed + countOccurrences(days, dueDate, occurrence)
+  };
+  task.dueDate = nextOccurrence(days, occurrence);
+  task.lastCompletedAt = new Date();
+  
+  // The reminder moves along with the due date, or is dropped if that still leaves it in the past
+  if (task.reminderAt) {
+    const shift = moment(task.dueDate, 'YYYY-MM-DD').diff(moment(dueDate, 'YYYY-MM-DD'), 'days');
+    const reminder = userMoment(userId, task.reminderAt).add(shift, 'days').toDate();
+    task.reminderAt = reminder > new Date() ? reminder : null;
+  }
+  
+  // Each occurrence starts with a fresh checklist
+  for (const subtask of task.subtasks || []) {
+    subtask.completed = false;
+  }
+}
+
+/**
+ * Get the completion record of a recurring task, counting overdue occurrences as missed
+ * @param {number} userId - Telegram user ID
+ * @param {Object} task - Recurring task
+ * @returns {Object} { completed, missed, rate } where rate is a percentage or null before any occurrence
+ */
+function getRecurrenceStats(userId, task) {
+  const today = userMoment(userId).format('YYYY-MM-DD');
+  const overdue = task.dueDate && task.dueDate < today
+    ? countOccurrences(task.recurrence.days, task.dueDate, today)
+    : 0;
+  
+  const completed = task.recurrence.completed;
+  const missed = task.recurrence.missed + overdue;
+  const total = completed + missed;
+  
+  return {
+    completed,
+    missed,
+    rate: total > 0 ? Math.round((completed / total) * 100) : null
+  };
+}
+
+/**
+ * Check whether a pending task is past its due date
+ * @param {number} userId - Telegram user ID
+ * @param {Object} task - Task to check
+ * @returns {boolean} True if the task is overdue
+ */
+function isTaskOverdue(userId, task) {
+  return !task.completed && Boolean(task.dueDate) && task.dueDate < userMoment(userId).format('YYYY-MM-DD');
+}
+
+/**
+ * Describe a task's priority and due date (e.g., "🔴 High priority · 📅 Due Fri 23/10")
+ * @param {number} userId - Telegram user ID
+ * @param {Object} task - Task to describe
+ * @returns {string} Description
+ */
+function describeTaskSchedule(userId, task) {
+  const priority = getTaskPriorities()[task.priority] || getTaskPriorities().medium;
+  const dueText = task.dueDate
+    ? `${isTaskOverdue(userId, task) ? '❗ Overdue since' : '📅 Due'} ${formatDueDate(userId, task.dueDate)}`
+    : '📅 No due date';
+  const repeatText = task.recurrence ? ` · 🔁 ${describeRecurrence(task.recurrence.days)}` : '';
+  
+  return `${priority.emoji} ${priority.label} priority · ${dueText}${repeatText}`;
+}
+
+/**
+ * Create a new task for user
+ * @param {number} userId - Telegram user ID
+ * @param {string} input - Task description with optional !priority, @due and ~repeat markers
+ * @returns {Object|null} The created task or null if the description is empty
+ */
+function createTask(userId, input) {
+  const { text, priority, dueDate, recurrence } = parseTaskInput(userId, input);
+  
+  if (!text) {
+    return null;
+  }
+  
+  return addUserTask(userId, text, { priority, dueDate, recurrence });
+}
+
+/**
+ * Mark a task as complete or incomplete
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ * @returns {Object|null} Updated task or null if not found
+ */
+function toggleTaskCompletion(userId, taskId) {
+  const task = toggleTaskComplete(userId, parseInt(taskId));
+  
+  // Completed tasks don't need reminding
+  if (task && task.completed && task.reminderAt) {
+    setTaskReminder(userId, task.id, null);
+  } else if (task && task.recurrence) {
+    // Rolling over moved or cleared the reminder (see advanceRecurringTask)
+    scheduleTaskReminder(userId, task);
+  }
+  
+  return task;
+}
+
+/**
+ * Replace a task's text, keeping its ID, creation date and completion status
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ * @param {string} text - New task description
+ * @returns {Object|null} Updated task or null if not found
+ */
+function editTask(userId, taskId, text) {
+  return updateUserTask(userId, parseInt(taskId), { text, updatedAt: new Date() });
+}
+
+/**
+ * Tick or untick a subtask, completing the parent task once its whole checklist
+ * is done (and reopening it when an item is unticked again)
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Parent task ID
+ * @param {number} subtaskId - Subtask ID
+ * @returns {Object|null} { task, subtask, parentCompleted } or null if not found
+ */
+function toggleSubtask(userId, taskId, subtaskId) {
+  const subtask = toggleUserSubtask(userId, parseInt(taskId), parseInt(subtaskId));
+  if (!subtask) {
+    return null;
+  }
+  
+  let task = getUserTasks(userId).find(t => t.id === parseInt(taskId));
+  const allDone = task.subtasks.every(st => st.completed);
+  let parentCompleted = false;
+  
+  if (allDone && !task.completed) {
+    task = toggleTaskCompletion(userId, task.id);
+    parentCompleted = true;
+  } else if (!subtask.completed && task.completed) {
+    task = toggleTaskCompletion(userId, task.id);
+  }
+  
+  return { task, subtask, parentCompleted };
+}
+
+/**
+ * Remove a task (moving it to the trash)
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ * @param {boolean} keepCompletedStat - Keep a completed task in the completed-tasks stat
+ * @returns {Object|null} Trash entry for the task, or null if not found
+ */
+function removeTask(userId, taskId, keepCompletedStat = false) {
+  cancelTaskReminder(userId, parseInt(taskId));
+  return deleteUserTask(userId, parseInt(taskId), keepCompletedStat);
+}
+
+/**
+ * Complete several tasks at once (tasks that are already complete are left alone)
+ * @param {number} userId - Telegram user ID
+ * @param {Array} taskIds - Task IDs
+ * @returns {Object} { completed, skipped, missing } - completed tasks, IDs already done, IDs not found
+ */
+function completeTasks(userId, taskIds) {
+  const result = { completed: [], skipped: [], missing: [] };
+  
+  for (const taskId of taskIds) {
+    const task = getUserTasks(userId).find(t => t.id === taskId);
+    
+    if (!task) {
+      result.missing.push(taskId);
+    } else if (task.completed) {
+      result.skipped.push(taskId);
+    } else {
+      result.completed.push(toggleTaskCompletion(userId, taskId));
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Remove several tasks at once (moving them to the trash)
+ * @param {number} userId - Telegram user ID
+ * @param {Array} taskIds - Task IDs
+ * @param {boolean} keepCompletedStat - Keep completed tasks in the completed-tasks stat
+ * @returns {Object} { deleted, missing } - trash entries, IDs not found
+ */
+function removeTasks(userId, taskIds, keepCompletedStat = false) {
+  const result = { deleted: [], missing: [] };
+  
+  for (const taskId of taskIds) {
+    const entry = removeTask(userId, taskId, keepCompletedStat);
+    
+    if (entry) {
+      result.deleted.push(entry);
+    } else {
+      result.missing.push(taskId);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Move every completed task to the trash. This only tidies the list, so the
+ * tasks still count towards the completed-tasks stat.
+ * @param {number} userId - Telegram user ID
+ * @returns {Array} Trash entries of the cleared tasks
+ */
+function clearCompletedTasks(userId) {
+  const completedIds = getUserTasks(userId).filter(t => t.completed).map(t => t.id);
+  return removeTasks(userId, completedIds, true).deleted;
+}
+
+/**
+ * Move a pending task to a new position in the pending list. Tasks stay
+ * grouped by priority, so the position is kept within the task's group.
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ * @param {number} position - Wanted position in the pending list (1-based)
+ * @returns {Object|null} { task, position } with the position it ended up at, or null if no such pending task
+ */
+function moveTask(userId, taskId, position) {
+  const priorities = getTaskPriorities();
+  const rank = task => (priorities[task.priority] || priorities.medium).rank;
+  
+  const pending = getUserTaskList(userId).filter(t => !t.completed);
+  const task = pending.find(t => t.id === taskId);
+  if (!task) {
+    return null;
+  }
+  
+  const group = pending.filter(t => rank(t) === rank(task));
+  const groupStart = pending.indexOf(group[0]);
+  const index = Math.min(Math.max(position - 1 - groupStart, 0), group.length - 1);
+  
+  // Pin the whole group's order so the moved task stays where it was put
+  const reordered = group.filter(t => t !== task);
+  reordered.splice(index, 0, task);
+  reorderUserTasks(userId, reordered.map(t => t.id));
+  
+  return { task, position: groupStart + index + 1 };
+}
+
+/**
+ * Format tasks list as a message
+ * @param {Array} tasks - Array of tasks (sorted, see sortTasks)
+ * @param {number} userId - Telegram user ID (due dates follow their timezone)
+ * @param {number} page - Page of the list to show
+ * @returns {string} Formatted message
+ */
+function formatTasksMessage(tasks, userId, page = 1) {
+  // Create decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
+  if (tasks.length === 0) {
+    return `${border}` +
+           `       📋 *TASK LIST* 📋\n\n` +
+           `No tasks found! 🔍\n\n` +
+           `Add new tasks with:\n` +
+           `/addtask [task description]\n` +
+           `${borderEnd}`;
+  }
+  
+  // Get pending and completed tasks
+  const pendingTasks = tasks.filter(task => !task.completed);
+  const completedTasks = tasks.filter(task => task.completed);
+  
+  // Format tasks with their priority and due date
+  const priorities = getTaskPriorities();
+  const formatTask = (task) => {
+    const priority = priorities[task.priority] || priorities.medium;
+    const icon = task.completed ? '✅' : priority.emoji;
+    
+    // Flag pending tasks that are due or overdue
+    let dueText = '';
+    if (task.dueDate && !task.completed) {
+      dueText = isTaskOverdue(userId, task)
+        ? ` ❗ *Overdue* (${formatDueDate(userId, task.dueDate)})`
+        : ` 📅 ${formatDueDate(userId, task.dueDate)}`;
+    }
+    
+    // Show time focused on the task and whether a reminder is set
+    const timeSpent = task.timeSpent ? ` ⏱ ${task.timeSpent}m` : '';
+    const reminder = task.reminderAt && !task.completed ? ' ⏰' : '';
+    
+    // Show how a recurring task repeats and how reliably it gets done
+    let repeatText = '';
+    if (task.recurrence) {
+      const { rate } = getRecurrenceStats(userId, task);
+      repeatText = ` 🔁 ${describeRecurrence(task.recurrence.days)}${rate !== null ? ` (${rate}%)` : ''}`;
+    }
+    
+    // Show checklist progress, with the items listed under pending tasks
+    const subtasks = task.subtasks || [];
+    const doneCount = subtasks.filter(st => st.completed).length;
+    const checklistText = subtasks.length > 0 ? ` ☑️ ${doneCount}/${subtasks.length}` : '';
+    const subtaskLines = !task.completed
+      ? subtasks.map(st => `\n    ${st.completed ? '✔️' : '▫️'} ${escapeMarkdown(st.text)}`).join('')
+      : '';
+    
+    return `${icon} *${task.id}.* ${escapeMarkdown(task.text)}${checklistText}${dueText}${repeatText}${timeSpent}${reminder}${subtaskLines}`;
+  };
+  
+  // Only the current page is listed; counts and progress cover every task
+  const current = paginate(tasks, page, LIST_PAGE_SIZE);
+  const pagePendingTasks = current.items.filter(task => !task.completed);
+  const pageCompletedTasks = current.items.filter(task => task.completed);
+  const pageText = current.totalPages > 1
+    ? `_Page ${current.page} of ${current.totalPages}_\n\n`
+    : '';
+  
+  // Group pending tasks by priority
+  const pendingTasksList = Object.keys(priorities)
+    .map(key => {
+      const group = pagePendingTasks.filter(task => (priorities[task.priority] ? task.priority : 'medium') === key);
+      return group.length > 0
+        ? `_${priorities[key].label} priority_\n` + group.map(formatTask).join('\n')
+        : null;
+    })
+    .filter(Boolean)
+    .join('\n\n') || (pendingTasks.length > 0 ? '_On earlier pages_' : '');
+  const completedTasksList = pageCompletedTasks.length > 0 
+    ? `\n*✓ Completed Tasks (${completedTasks.length})*\n` + pageCompletedTasks.map(formatTask).join('\n')
+    : '';
+  
+  // Count overdue tasks for the header
+  const overdueCount = pendingTasks.filter(task => isTaskOverdue(userId, task)).length;
+  const overdueText = overdueCount > 0 ? ` · ❗ ${overdueCount} overdue` : '';
+  
+  // Count completed tasks and generate progress bar
+  const completedCount = completedTasks.length;
+  const progress = tasks.length > 0 
+    ? Math.round((completedCount / tasks.length) * 100) 
+    : 0;
+  
+  // Create progress bar
+  const progressBarLength = 20;
+  const filledLength = Math.round((progress / 100) * progressBarLength);
+  const progressBar = '█'.repeat(filledLength) + '░'.repeat(progressBarLength - filledLength);
+  
+  // Status message based on progress
+  let statusMessage = '';
+  if (progress === 100) {
+    statusMessage = '🎉 All tasks complete! Great job!';
+  } else if (progress >= 75) {
+    statusMessage = '🚀 Almost there! Keep going!';
+  } else if (progress >= 50) {
+    statusMessage = '💪 Good progress! Half way there!';
+  } else if (progress >= 25) {
+    statusMessage = '👍 Making progress! Keep it up!';
+  } else {
+    statusMessage = '🏁 Let\'s start checking off those tasks!';
+  }
+  
+  return `${border}` +
+         `       📋 *TASK LIST* 📋\n\n` +
+         `*⏳ Pending Tasks (${pendingTasks.length})*${overdueText}\n` +
+         `${pendingTasksList}\n` +
+         `${completedTasksList}\n\n` +
+         pageText +
+         `*Progress: ${progress}%*\n` +
+         `${progressBar}\n` +
+         `${statusMessage}\n\n` +
+         `*Commands:*\n` +
+         `• /addtask [description] !high @friday ~daily - Add task\n` +
+         `• /complete [ID] - Mark complete\n` +
+         `• /delete [ID] - Delete task\n` +
+         `• /focus [minutes] #[ID] - Focus on a task\n` +
+         `• /remind [ID] [time] - Set a reminder\n` +
+         `• /addsub [ID] [description] - Add a subtask\n` +
+         `${borderEnd}`;
+}
+
+//======================================
+// NOTE SERVICE
+//======================================
+
+/**
+ * Format one page of the notes list as a message
+ * @param {Array} notes - Array of notes
+ * @param {number} userId - Telegram user ID (dates follow their timezone)
+ * @param {number} page - Page of the list to show
+ * @returns {string} Formatted message
+ */
+function formatNotesMessage(notes, userId, page = 1, tag = null) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(30) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  
+  const tagCounts = getNoteTagCounts(notes);
+  const tagCloud = tagCounts.length > 0
+    ? `🏷️ ${tagCounts.map(({ tag: name, count }) => `${name === tag ? `*#${escapeMarkdown(name)}*` : `#${escapeMarkdown(name)}`} (${count})`).join(' · ')}\n\n`
+    : '';
+  
+  if (tag) {
+    notes = filterNotesByTag(notes, tag);
+    
+    if (notes.length === 0) {
+      return `${border}` +
+        `        📝 *YOUR NOTES* 📝\n\n` +
+        tagCloud +
+        `No notes are tagged #${escapeMarkdown(tag)}.\n\n` +
+        `Add #${escapeMarkdown(tag)} to a note's text, or tag it\n` +
+        `from the note's view.\n` +
+        `${borderEnd}`;
+    }
+  }
+  
+  if (notes.length === 0) {
+    return `${border}` +
+      `        📝 *YOUR NOTES* 📝\n\n` +
+      `You don't have any saved notes yet.\n\n` +
+      `To add a note, use the command:\n` +
+      `/addnote [your note content]\n\n` +
+      `Notes are a great way to save important\n` +
+      `information during your study sessions.\n` +
+      `${borderEnd}`;
+  }
+  
+  const current = paginate(notes, page, LIST_PAGE_SIZE);
+  
+  // Long notes are shortened in the list; the full text is one tap away
+  let notesList = '';
+  for (const note of current.items) {
+    const dateStr = formatUserDate(userId, note.createdAt);
+    const attachmentIcon = note.attachment ? `${getAttachmentTypes()[note.attachment.type].emoji} ` : '';
+    notesList += `*${note.id}.* ${attachmentIcon}${escapeMarkdown(note.text.length > 300 ? note.text.substring(0, 300) + '...' : note.text)}\n`;
+    notesList += `   _Added on ${dateStr}_\n\n`;
+  }
+  
+  const pageText = current.totalPages > 1
+    ? `_Page ${current.page} of ${current.totalPages}_\n`
+    : '';
+  const filterText = tag ? `Showing notes tagged *#${escapeMarkdown(tag)}*\n\n` : '';
+  
+  return `${border}` +
+    `        📝 *YOUR NOTES* 📝\n\n` +
+    tagCloud +
+    filterText +
+    notesList +
+    pageText +
+    `${borderEnd}`;
+}
+
+/**
+ * Format a single note as a message
+ * @param {Object} note - Note to show
+ * @param {number} userId - Telegram user ID (dates follow their timezone)
+ * @returns {string} Formatted message
+ */
+function formatNoteMessage(note, userId) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(30) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  
+  const dateStr = formatUserDate(userId, note.createdAt);
+  const editedText = note.updatedAt ? ` · edited ${formatUserDate(userId, note.updatedAt)}` : '';
+  
+  const attachmentText = note.attachment ? `${escapeMarkdown(describeAttachment(note.attachment))} _(sent above)_\n\n` : '';
+  
+  return `${border}` +
+    `        📝 *NOTE #${note.id}* 📝\n\n` +
+    attachmentText +
+    `${escapeMarkdown(note.text)}\n\n` +
+    `_Added on ${dateStr}${editedText}_\n` +
+    `${borderEnd}`;
+}
+
+/**
+ * Get the kinds of attachment a note can have
+ * @returns {Object} Map of attachment type -> { emoji, label, send } (send is the bot method that re-sends it)
+ */
+function getAttachmentTypes() {
+  return {
+    photo: { emoji: '📷', label: 'Photo', send: 'sendPhoto' },
+    document: { emoji: '📄', label: 'Document', send: 'sendDocument' },
+    voice: { emoji: '🎤', label: 'Voice message', send: 'sendVoice' },
+    audio: { emoji: '🎵', label: 'Audio', send: 'sendAudio' },
+    video: { emoji: '🎬', label: 'Video', send: 'sendVideo' }
+  };
+}
+
+/**
+ * Get the file attached to a message, if any
+ * @param {Object} msg - Telegram message object
+ * @returns {Object|null} { type, fileId, name } or null if the message has no supported file
+ */
+function getMessageAttachment(msg) {
+  if (msg.photo && msg.photo.length > 0) {
+    // Telegram sends several sizes, largest last
+    return { type: 'photo', fileId: msg.photo[msg.photo.length - 1].file_id, name: null };
+  }
+  
+  for (const type of ['document', 'voice', 'audio', 'video']) {
+    if (msg[type]) {
+      return { type, fileId: msg[type].file_id, name: msg[type].file_name || msg[type].title || null };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Describe an attachment in a few words (e.g., "📄 lecture3.pdf")
+ * @param {Object} attachment - Note attachment
+ * @returns {string} Description with the attachment's emoji
+ */
+function describeAttachment(attachment) {
+  const type = getAttachmentTypes()[attachment.type];
+  return `${type.emoji} ${attachment.name || type.label}`;
+}
+
+/**
+ * Re-send the file attached to a note
+ * @param {number} chatId - Chat ID
+ * @param {Object} note - Note with an attachment
+ */
+async function sendNoteAttachment(chatId, note) {
+  const type = getAttachmentTypes()[note.attachment.type];
+  await bot[type.send](chatId, note.attachment.fileId);
+}
+
+/**
+ * Count how many notes carry each tag
+ * @param {Array} notes - Array of notes
+ * @returns {Array} { tag, count } pairs, most used first
+ */
+function getNoteTagCounts(notes) {
+  const counts = {};
+  for (const note of notes) {
+    for (const tag of note.tags || []) {
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+  }
+  
+  return Object.keys(counts)
+    .map(tag => ({ tag, count: counts[tag] }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Get the notes that carry a tag
+ * @param {Array} notes - Array of notes
+ * @param {string} tag - Tag without the '#'
+ * @returns {Array} Matching notes
+ */
+function filterNotesByTag(notes, tag) {
+  return notes.filter(note => (note.tags || []).includes(tag));
+}
+
+/**
+ * Add a tag to a note or take it off again. Tags live in the note text, so
+ * tagging appends a #hashtag and untagging drops the '#' but keeps the word.
+ * @param {number} userId - Telegram user ID
+ * @param {number} noteId - Note ID
+ * @param {string} tag - Tag without the '#'
+ * @returns {Object|null} The updated note or null if not found
+ */
+function toggleNoteTag(userId, noteId, tag) {
+  const note = getUserNotes(userId).find(n => n.id === noteId);
+  if (!note) {
+    return null;
+  }
+  
+  // Tag characters have no special meaning in a regular expression
+  const hashtag = new RegExp(`#(${tag})(?![\\p{L}\\p{N}_-])`, 'giu');
+  const text = note.tags.includes(tag)
+    ? note.text.replace(hashtag, '$1')
+    : `${note.text} #${tag}`;
+  
+  return updateUserNote(userId, noteId, { text });
+}
+
+//======================================
+// TRASH SERVICE
+//======================================
+
+// How long the Undo button on a deletion confirmation keeps working
+const UNDO_WINDOW_MINUTES = 5;
+
+/**
+ * Restore a trashed task or note
+ * @param {number} userId - Telegram user ID
+ * @param {number} trashId - Trash entry ID
+ * @returns {Object|null} The restored trash entry, or null if not found
+ */
+function restoreFromTrash(userId, trashId) {
+  const entry = restoreUserTrashItem(userId, trashId);
+  
+  // Reminders were cancelled on deletion; bring back the ones still ahead
+  if (entry && entry.type === 'task' && entry.item.reminderAt) {
+    setTaskReminder(userId, entry.item.id, entry.item.reminderAt > new Date() ? entry.item.reminderAt : null);
+  }
+  
+  return entry;
+}
+
+/**
+ * Check whether a deletion can still be undone from its confirmation message
+ * @param {Object} entry - Trash entry
+ * @returns {boolean} True if the undo window is still open
+ */
+function canUndoDeletion(entry) {
+  return moment().diff(moment(entry.deletedAt), 'minutes', true) < UNDO_WINDOW_MINUTES;
+}
+
+/**
+ * Format the confirmation sent after tasks or notes are deleted
+ * @param {Array} entries - Trash entries of the deleted items
+ * @returns {string} Formatted message
+ */
+function formatDeletedMessage(entries) {
+  const label = entries[0].type === 'task' ? 'Task' : 'Note';
+  const shorten = (text, length) => escapeMarkdown(text.length > length ? text.substring(0, length) + '...' : text);
+  
+  if (entries.length === 1) {
+    return `🗑️ *${label} moved to trash*\n\n` +
+      `${shorten(entries[0].item.text, 100)}\n\n` +
+      `Tap Undo within ${UNDO_WINDOW_MINUTES} minutes, or restore it later from /trash.`;
+  }
+  
+  return `🗑️ *${entries.length} ${label.toLowerCase()}s moved to trash*\n\n` +
+    joinLimitedLines(entries.map(entry => `• ${shorten(entry.item.text, 40)}`)) + '\n\n' +
+    `Tap Undo within ${UNDO_WINDOW_MINUTES} minutes, or restore them later from /trash.`;
+}
+
+/**
+ * Purge trash entries older than each user's retention period
+ */
+function purgeExpiredTrash() {
+  for (const [userId, userData] of userStore.entries()) {
+    if (!userData.trash || userData.trash.length === 0) {
+      continue;
+    }
+    
+    const cutoff = moment().subtract(userData.settings.trashRetentionDays, 'days').toDate();
+    const purged = purgeUserTrash(userId, cutoff);
+    
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired trash item(s) for user ${userId}`);
+    }
+  }
+}
+
+/**
+ * Format the trash as a message
+ * @param {Array} trash - Trash entries (see getUserTrash)
+ * @param {number} userId - Telegram user ID (dates follow their timezone)
+ * @param {number} page - Page of the list to show
+ * @returns {string} Formatted message
+ */
+function formatTrashMessage(trash, userId, page = 1) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
+  const retentionDays = getUserSettings(userId).trashRetentionDays;
+  
+  if (trash.length === 0) {
+    return `${border}` +
+      `         🗑️ *TRASH* 🗑️\n\n` +
+      `The trash is empty.\n\n` +
+      `Deleted tasks and notes stay here for\n` +
+      `${retentionDays} days before they're removed for good.\n` +
+      `${borderEnd}`;
+  }
+  
+  const current = paginate(trash, page, LIST_PAGE_SIZE);
+  
+  let trashList = '';
+  for (const entry of current.items) {
+    const icon = entry.type === 'task' ? '📋' : '📝';
+    const text = entry.item.text;
+    const expiresAt = moment(entry.deletedAt).add(retentionDays, 'days');
+    const daysLeft = Math.max(0, Math.ceil(expiresAt.diff(moment(), 'days', true)));
+    
+    trashList += `${icon} ${escapeMarkdown(text.length > 60 ? text.substring(0, 60) + '...' : text)}\n`;
+    trashList += `   _Deleted ${formatUserDate(userId, entry.deletedAt)} · ${daysLeft === 0 ? 'removed today' : `${daysLeft}d left`}_\n\n`;
+  }
+  
+  const pageText = current.totalPages > 1
+    ? `_Page ${current.page} of ${current.totalPages}_\n\n`
+    : '';
+  
+  return `${border}` +
+    `         🗑️ *TRASH* 🗑️\n\n` +
+    trashList +
+    pageText +
+    `Tap an item to restore it, or ❌ to delete it for good.\n` +
+    `Items are kept for ${retentionDays} days (change in /settings).\n` +
+    `${borderEnd}`;
+}
+
+//======================================
+// SEARCH SERVICE
+//======================================
+
+// Most results listed for one search
+const SEARCH_RESULT_LIMIT = 10;
+
+/**
+ * Split a search query into lowercase words
+ * @param {string} query - Search query
+ * @returns {Array} Unique search words
+ */
+function parseSearchQuery(query) {
+  return [...new Set(String(query).toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * Check whether a text contains every search word (case-insensitive)
+ * @param {string} text - Text to check
+ * @param {Array} words - Search words (see parseSearchQuery)
+ * @returns {boolean} True if all words appear in the text
+ */
+function matchesSearch(text, words) {
+  const lowerText = text.toLowerCase();
+  return words.every(word => lowerText.includes(word));
+}
+
+/**
+ * Search a user's tasks, notes and trash
+ * @param {number} userId - Telegram user ID
+ * @param {string} query - Search query (every word must match)
+ * @returns {Object} { words, tasks, notes, trash } - matching items, tasks in list order
+ */
+function searchUserItems(userId, query) {
+  const words = parseSearchQuery(query);
+  
+  return {
+    words,
+    tasks: getUserTaskList(userId).filter(task => matchesSearch(task.text, words)),
+    notes: [...getUserNotes(userId)]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .filter(note => matchesSearch(note.text, words)),
+    trash: getUserTrash(userId).filter(entry => matchesSearch(entry.item.text, words))
+  };
+}
+
+/**
+ * Make a text bold in Markdown. Escapes don't work inside an entity, so
+ * Markdown characters are left out of the bold part ("2*3" -> "*2*\**3*").
+ * @param {string} text - Text to make bold
+ * @returns {string} Markdown text
+ */
+function boldMarkdown(text) {
+  return text.split(/([_*`\[]+)/)
+    .map((part, i) => (i % 2 === 1 ? escapeMarkdown(part) : part ? `*${part}*` : ''))
+    .join('');
+}
+
+/**
+ * Shorten a text around its first match and mark the matches in bold
+ * @param {string} text - Text to highlight
+ * @param {Array} words - Search words (see parseSearchQuery)
+ * @param {number} maxLength - Longest snippet to show
+ * @returns {string} Markdown snippet with the matches in bold
+ */
+function highlightMatches(text, words, maxLength = 80) {
+  // Collect the matched ranges, merging any that overlap. They're found in the
+  // original text, as lowercasing can change its length (e.g. "İ").
+  const ranges = [];
+  for (const word of words) {
+    const pattern = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  
+  // Show a window of the text starting a little before the first match
+  const start = text.length > maxLength && merged.length > 0
+    ? Math.max(0, Math.min(merged[0][0] - 20, text.length - maxLength))
+    : 0;
+  const end = Math.min(text.length, start + maxLength);
+  
+  let snippet = start > 0 ? '...' : '';
+  let position = start;
+  for (const [from, to] of merged) {
+    if (to <= start || from >= end) {
+      continue;
+    }
+    
+    const matchStart = Math.max(from, start);
+    const matchEnd = Math.min(to, end);
+    snippet += escapeMarkdown(text.substring(position, matchStart));
+    snippet += boldMarkdown(text.substring(matchStart, matchEnd));
+    position = matchEnd;
+  }
+  snippet += escapeMarkdown(text.substring(position, end));
+  
+  return snippet + (end < text.length ? '...' : '');
+}
+
+/**
+ * Format search results as a message
+ * @param {string} query - Search query as typed
+ * @param {Object} results - Results from searchUserItems
+ * @returns {string} Formatted message
+ */
+function formatSearchMessage(query, results) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
+  const total = results.tasks.length + results.notes.length + results.trash.length;
+  
+  if (total === 0) {
+    return `${border}` +
+      `        🔍 *SEARCH* 🔍\n\n` +
+      `No tasks or notes match "${escapeMarkdown(query)}".\n\n` +
+      `Every word has to appear, so try fewer words.\n` +
+      `${borderEnd}`;
+  }
+  
+  // Share the result limit out in order: tasks, then notes, then trash
+  let remaining = SEARCH_RESULT_LIMIT;
+  const take = (items) => {
+    const shown = items.slice(0, remaining);
+    remaining -= shown.length;
+    return shown;
+  };
+  const tasks = take(results.tasks);
+  const notes = take(results.notes);
+  const trash = take(results.trash);
+  
+  let message = `${border}` +
+    `        🔍 *SEARCH* 🔍\n\n` +
+    `${total} result(s) for "${escapeMarkdown(query)}"\n\n`;
+  
+  if (tasks.length > 0) {
+    message += `*📋 Tasks*\n` +
+      tasks.map(task => `${task.completed ? '✅' : '⬜'} ${task.id}. ${highlightMatches(task.text, results.words)}`).join('\n') +
+      `\n\n`;
+  }
+  
+  if (notes.length > 0) {
+    message += `*📝 Notes*\n` +
+      notes.map(note => `${note.id}. ${highlightMatches(note.text, results.words)}`).join('\n') +
+      `\n\n`;
+  }
+  
+  if (trash.length > 0) {
+    message += `*🗑️ In the trash* (restore with /trash)\n` +
+      trash.map(entry => `${entry.type === 'task' ? '📋' : '📝'} ${highlightMatches(entry.item.text, results.words)}`).join('\n') +
+      `\n\n`;
+  }
+  
+  if (total > SEARCH_RESULT_LIMIT) {
+    message += `_...and ${total - SEARCH_RESULT_LIMIT} more. Add words to narrow it down._\n`;
+  }
+  
+  return message + `${borderEnd}`;
+}
+
+//======================================
+// REMINDER SERVICE
+//======================================
+
+/**
+ * Cancel the scheduled reminder job for a task
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ */
+function cancelTaskReminder(userId, taskId) {
+  const key = `${userId}:${taskId}`;
+  
+  if (reminderStore.has(key)) {
+    reminderStore.get(key).cancel();
+    reminderStore.delete(key);
+  }
+}
+
+/**
+ * Schedule the reminder job for a task (replacing any existing one)
+ * @param {number} userId - Telegram user ID
+ * @param {Object} task - Task with a reminderAt time
+ */
+function scheduleTaskReminder(userId, task) {
+  cancelTaskReminder(userId, task.id);
+  
+  if (!task.reminderAt || task.completed) {
+    return;
+  }
+  
+  const job = schedule.scheduleJob(task.reminderAt, () => {
+    sendTaskReminder(userId, task.id).catch(error => {
+      console.error('Error sending task reminder:', error);
+    });
+  });
+  
+  if (job) {
+    reminderStore.set(`${userId}:${task.id}`, job);
+  }
+}
+
+/**
+ * Set or clear a task's reminder
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ * @param {Date|null} remindAt - When to send the reminder, or null to clear it
+ * @returns {Object|null} The updated task or null if not found
+ */
+function setTaskReminder(userId, taskId, remindAt) {
+  const task = updateUserTask(userId, taskId, { reminderAt: remindAt });
+  
+  if (task) {
+    scheduleTaskReminder(userId, task);
+  }
+  
+  return task;
+}
+
+/**
+ * Send a task's reminder and clear it
+ * @param {number} userId - Telegram user ID
+ * @param {number} taskId - Task ID
+ */
+async function sendTaskReminder(userId, taskId) {
+  reminderStore.delete(`${userId}:${taskId}`);
+  
+  const task = getUserTasks(userId).find(t => t.id === taskId);
+  if (!task || task.completed) {
+    return;
+  }
+  
+  updateUserTask(userId, taskId, { reminderAt: null });
+  
+  await bot.sendMessage(
+    userId,
+    `⏰ *Task reminder*\n\n` +
+    `*${task.id}.* ${escapeMarkdown(task.text)}\n` +
+    `${describeTaskSchedule(userId, task)}`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: reminderKeyboard(task.id)
+    }
+  );
+}
+
+/**
+ * Reschedule persisted task reminders after a restart.
+ * Reminders that fell due while the bot was down are sent right away.
+ */
+function restoreTaskReminders() {
+  const now = new Date();
+  let restoredCount = 0;
+  
+  for (const [userId, userData] of userStore.entries()) {
+    for (const task of userData.tasks) {
+      if (!task.reminderAt || task.completed) {
+        continue;
+      }
+      
+      if (task.reminderAt <= now) {
+        sendTaskReminder(userId, task.id).catch(error => {
+          console.error('Error sending missed task reminder:', error);
+        });
+      } else {
+        scheduleTaskReminder(userId, task);
+      }
+      restoredCount++;
+    }
+  }
+  
+  if (restoredCount > 0) {
+    console.log(`Restored ${restoredCount} task reminder(s)`);
+  }
+}
+
+//======================================
+// SUBJECT SERVICE
+//======================================
+
+/**
+ * Guess a progress theme from a subject name
+ * @param {string} name - Subject name
+ * @returns {string} Theme name (see getProgressThemes)
+ */
+function guessSubjectTheme(name) {
+  const keywords = {
+    reading: ['read', 'book', 'literature', 'novel', 'history'],
+    writing: ['writ', 'essay', 'journal', 'thesis'],
+    coding: ['cod', 'program', 'software', 'computer', 'javascript', 'python'],
+    math: ['math', 'calculus', 'algebra', 'geometry', 'statistic', 'physics'],
+    language: ['language', 'english', 'spanish', 'french', 'german', 'vocab', 'grammar']
+  };
+  
+  const lowerName = name.toLowerCase();
+  const theme = Object.keys(keywords).find(key => keywords[key].some(word => lowerName.includes(word)));
+  
+  return theme || 'focus';
+}
+
+/**
+ * Parse /addsubject arguments into a name and theme
+ * (e.g., "Calculus" or "Organic Chemistry reading")
+ * @param {string} input - Text after /addsubject
+ * @returns {Object} Parsed { name, theme }
+ */
+function parseSubjectInput(input) {
+  const words = input.trim().split(/\s+/);
+  const lastWord = words[words.length - 1].toLowerCase();
+  
+  // An explicit theme can be given as the last word
+  if (words.length > 1 && getProgressThemes()[lastWord]) {
+    return { name: words.slice(0, -1).join(' '), theme: lastWord };
+  }
+  
+  const name = words.join(' ');
+  return { name, theme: guessSubjectTheme(name) };
+}
+
+/**
+ * Sum up study time per subject for the last 7 days and all time
+ * @param {number} userId - Telegram user ID
+ * @returns {Array} Breakdown rows { subject, weekMinutes, weekSessions, totalMinutes, totalSessions }
+ */
+function getSubjectBreakdown(userId) {
+  const history = getUserSessionHistory(userId);
+  const weekDates = new Set(
+    getDailyStudyStats({}, 7, getUserSettings(userId).timezone).map(day => day.date)
+  );
+  
+  return getUserSubjects(userId).map(subject => {
+    const row = { subject, weekMinutes: 0, weekSessions: 0, totalMinutes: 0, totalSessions: 0 };
+    
+    for (const entry of history.filter(e => e.subjectId === subject.id)) {
+      // Only the part of a session that fell within the week counts towards it
+      const weekMinutes = Object.entries(entry.days || {})
+        .filter(([date]) => weekDates.has(date))
+        .reduce((sum, [, minutes]) => sum + minutes, 0);
+      
+      row.totalMinutes += entry.minutes;
+      row.totalSessions++;
+      row.weekMinutes += weekMinutes;
+      row.weekSessions += weekMinutes > 0 ? 1 : 0;
+    }
+    
+    return row;
+  });
+}
+
+/**
+ * Format the subject list as a message
+ * @param {Array} subjects - User subjects
+ * @returns {string} Formatted message
+ */
+function formatSubjectsMessage(subjects) {
+  // Create decorative border
+  const border = '┏' + '━'.repeat(30) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  
+  if (subjects.length === 0) {
+    return `${border}` +
+           `        📚 *YOUR SUBJECTS* 📚\n\n` +
+           `You haven't added any subjects yet.\n\n` +
+           `Add one with /addsubject [name] [theme]\n` +
+           `and you'll be asked which subject each\n` +
+           `focus session is for.\n` +
+           `${borderEnd}`;
+  }
+  
+  const themes = getProgressThemes();
+  const subjectLines = subjects.map(subject =>
+    `${themes[subject.theme] || themes.focus} *${subject.id}.* ${escapeMarkdown(subject.name)} _(${subject.theme})_`
+  );
+  
+  return `${border}` +
+         `        📚 *YOUR SUBJECTS* 📚\n\n` +
+         `${subjectLines.join('\n')}\n\n` +
+         `*Commands:*\n` +
+         `• /addsubject [name] [theme] - Add subject\n` +
+         `• /deletesubject [ID] - Delete subject\n` +
+         `_Themes: ${Object.keys(themes).join(', ')}_\n` +
+         `${borderEnd}`;
+}
+
+//======================================
+// STATS SERVICE
+//======================================
+
+/**
+ * Get formatted statistics for a user
+ * @param {number} userId - Telegram user ID
+ * @returns {string} Formatted statistics message
+ */
+function getFormattedStats(userId) {
+  const stats = getUserStats(userId);
+  
+  // Format total study time
+  const totalHours = Math.floor(stats.totalStudyTime / 60);
+  const totalMinutes = stats.totalStudyTime % 60;
+  const totalTimeFormatted = totalHours > 0 
+    ? `${totalHours}h ${totalMinutes}m` 
+    : `${totalMinutes}m`;
+  
+  // Format average session time
+  const avgSessionTime = stats.totalSessions > 0 
+    ? Math.round(stats.totalStudyTime / stats.totalSessions) 
+    : 0;
+  const avgTimeFormatted = `${avgSessionTime}m`;
+  
+  // Get study time for last 7 days
+  const dailyStats = getDailyStudyStats(stats.dailyStudyTime, 7, getUserSettings(userId).timezone);
+  const weeklyTotal = dailyStats.reduce((sum, day) => sum + day.minutes, 0);
+  
+  // Format daily study chart
+  const chart = generateStudyChart(dailyStats);
+  
+  // Generate achievement indicators based on stats
+  const achievements = generateAchievements(stats);
+  
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(30) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  
+  // Calculate productivity score (0-100)
+  const productivityScore = calculateProductivityScore(stats, dailyStats);
+  const productivityBar = generateProductivityBar(productivityScore);
+  
+  // Generate streak information
+  const streakInfo = stats.streak > 1 
+    ? `\n🔥 *Current Streak: ${stats.streak} days*` 
+    : '';
+  
+  // Show how reliably recurring tasks get done
+  const routines = getUserTasks(userId).filter(task => task.recurrence);
+  const routineSection = routines.length > 0
+    ? `\n*Routines*\n` +
+      routines.map(task => {
+        const { completed, missed, rate } = getRecurrenceStats(userId, task);
+        return `🔁 ${escapeMarkdown(task.text)}: ` +
+          (rate !== null ? `${rate}% (${completed}/${completed + missed})` : 'not due yet');
+      }).join('\n') + '\n'
+    : '';
+  
+  // Break the time down by subject for subjects that have been studied
+  const themes = getProgressThemes();
+  const subjectRows = getSubjectBreakdown(userId).filter(row => row.totalSessions > 0);
+  const subjectSection = subjectRows.length > 0
+    ? `\n*By Subject* (last 7 days · all time)\n` +
+      subjectRows.map(row =>
+        `${themes[row.subject.theme] || themes.focus} ${escapeMarkdown(row.subject.name)}: ` +
+        `${formatMinutes(row.weekMinutes)} (${row.weekSessions}) · ` +
+        `${formatMinutes(row.totalMinutes)} (${row.totalSessions})`
+      ).join('\n') + '\n'
+    : '';
+  
+  return `${border}` +
+         `        📊 *STUDY STATISTICS* 📊\n\n` +
+         `⏱ Total study time: *${totalTimeFormatted}*\n` +
+         `🔄 Completed sessions: *${stats.totalSessions}*\n` +
+         `⌛ Average session: *${avgTimeFormatted}*\n` +
+         `✅ Completed tasks: *${stats.totalCompletedTasks}*${streakInfo}\n\n` +
+         `🏆 *Productivity Score:* ${productivityScore}/100\n` +
+         `${productivityBar}\n\n` +
+         `${achievements}\n` +
+         `*Last 7 Days Activity*\n` +
+         `Total: ${weeklyTotal}m\n${chart}\n` +
+         subjectSection +
+         routineSection +
+         `${borderEnd}`;
+}
+
+/**
+ * Format one page of the session history as a message
+ * @param {number} userId - Telegram user ID
+ * @param {Array} entries - History entries on this page (newest first)
+ * @param {number} page - Current page
+ * @param {number} totalPages - Total number of pages
+ * @returns {string} Formatted message
+ */
+function formatHistoryMessage(userId, entries, page, totalPages) {
+  // Create decorative border
+  const border = '┏' + '━'.repeat(30) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(30) + '┛';
+  
+  if (entries.length === 0) {
+    return `${border}` +
+           `       📜 *SESSION HISTORY* 📜\n\n` +
+           `No sessions recorded yet! 🔍\n\n` +
+           `Start a focus session with /focus\n` +
+           `${borderEnd}`;
+  }
+  
+  const entryLines = entries.map(entry => {
+    const start = userMoment(userId, entry.startTime);
+    const end = userMoment(userId, entry.endTime);
+    const status = entry.completed ? '✅ Completed' : '⏹ Stopped early';
+    const pauseText = entry.pausedMinutes > 0 ? ` · ⏸ ${entry.pausedMinutes}m paused` : '';
+    const task = entry.taskId ? getUserTasks(userId).find(t => t.id === entry.taskId) : null;
+    const taskText = task ? `\n   📌 ${escapeMarkdown(task.text)}` : '';
+    const subject = entry.subjectId ? getUserSubjects(userId).find(s => s.id === entry.subjectId) : null;
+    const subjectText = subject ? `\n   📚 ${escapeMarkdown(subject.name)}` : '';
+    
+    return `*#${entry.id}* · ${start.format('D/M/YYYY HH:mm')}–${end.format('HH:mm')}\n` +
+           `   ${status} · ${entry.minutes}/${entry.plannedMinutes}m${pauseText}${subjectText}${taskText}`;
+  });
+  
+  return `${border}` +
+         `       📜 *SESSION HISTORY* 📜\n\n` +
+         `${entryLines.join('\n\n')}\n\n` +
+         `_Page ${page} of ${totalPages}. Tap 🗑️ to remove a wrong entry._\n` +
+         `${borderEnd}`;
+}
+
+/**
+ * Calculate a productivity score based on user's stats
+ * @param {Object} stats - User statistics
+ * @param {Array} dailyStats - Daily study statistics
+ * @returns {number} Productivity score (0-100)
+ */
+function calculateProductivityScore(stats, dailyStats) {
+  // Define maximum values for scoring
+  const maxDailyTime = 120; // 2 hours daily is considered maximum
+  const maxStreak = 7; // 7-day streak is max score
+  const maxSessions = 30; // 30 completed sessions is max
+  const maxCompletedTasks = 50; // 50 completed tasks is max
+  
+  // Calculate scores for different aspects (0-25 each)
+  let activeScore = 0;
+  let streakScore = 0;
+  let sessionScore = 0;
+  let taskScore = 0;
+  
+  // Activity score: Based on average daily study time over the past week
+  const weeklyAvg = dailyStats.reduce((sum, day) => sum + day.minutes, 0) / 7;
+  activeScore = Math.min(25, Math.round((weeklyAvg / maxDailyTime) * 25));
+  
+  // Streak score: Based on current streak
+  streakScore = Math.min(25, Math.round((stats.streak / maxStreak) * 25));
+  
+  // Session score: Based on total completed sessions
+  sessionScore = Math.min(25, Math.round((stats.totalSessions / maxSessions) * 25));
+  
+  // Task score: Based on completed tasks
+  taskScore = Math.min(25, Math.round((stats.totalCompletedTasks / maxCompletedTasks) * 25));
+  
+  return activeScore + streakScore + sessionScore + taskScore;
+}
+
+/**
+ * Generate a visual bar representing productivity score
+ * @param {number} score - Productivity score (0-100)
+ * @returns {string} Visual progress bar
+ */
+function generateProductivityBar(score) {
+  const totalLength = 20;
+  const filledLength = Math.round((score / 100) * totalLength);
+  
+  // Use different characters for different score ranges
+  let barChar = '█';
+  if (score >= 80) barChar = '█'; // High score
+  else if (score >= 50) barChar = '▓'; // Medium score
+  else if (score >= 20) barChar = '▒'; // Low score
+  else barChar = '░'; // Very low score
+  
+  return barChar.repeat(filledLength) + '░'.repeat(totalLength - filledLength);
+}
+
+/**
+ * Generate achievement text based on user stats
+ * @param {Object} stats - User statistics
+ * @returns {string} Achievement text
+ */
+function generateAchievements(stats) {
+  const achievements = [];
+  
+  // Study time achievements
+  if (stats.totalStudyTime >= 600) { // 10+ hours
+    achievements.push('🥇 *Master Scholar*');
+  } else if (stats.totalStudyTime >= 300) { // 5+ hours
+    achievements.push('🥈 *Dedicated Student*');
+  } else if (stats.totalStudyTime >= 60) { // 1+ hour
+    achievements.push('🥉 *Study Starter*');
+  }
+  
+  // Session achievements
+  if (stats.totalSessions >= 20) {
+    achievements.push('🏆 *Session Champion*');
+  } else if (stats.totalSessions >= 10) {
+    achievements.push('🌟 *Consistent Learner*');
+  }
+  
+  // Streak achievements
+  if (stats.streak >= 5) {
+    achievements.push('🔥 *Streak Master*');
+  } else if (stats.streak >= 3) {
+    achievements.push('📆 *Regular Student*');
+  }
+  
+  // Format achievements
+  if (achievements.length > 0) {
+    return `*Achievements:*\n${achievements.join('\n')}\n\n`;
+  }
+  return '';
+}
+
+/**
+ * Get daily study statistics for the specified number of days
+ * @param {Object} dailyData - Object with date keys and minute values
+ * @param {number} days - Number of days to include
+ * @param {string|null} timezone - IANA timezone the days are counted in (server timezone if null)
+ * @returns {Array} Array of daily stats objects
+ */
+function getDailyStudyStats(dailyData, days, timezone = null) {
+  const result = [];
+  const today = timezone ? moment().tz(timezone) : moment();
+  
+  // Generate an array of the last N days in YYYY-MM-DD format
+  for (let i = days - 1; i >= 0; i--) {
+    const date = today.clone().subtract(i, 'days').format('YYYY-MM-DD');
+    const dayName = moment(date).format('ddd');
+    
+    result.push({
+      date,
+      dayName,
+      minutes: dailyData[date] || 0
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Calculate the current streak of consecutive study days
+ * @param {Object} dailyData - Object with date keys and minute values
+ * @param {string} lastDate - Most recent study day (YYYY-MM-DD)
+ * @returns {number} Number of consecutive days ending on lastDate
+ */
+function calculateStreak(dailyData, lastDate) {
+  let streak = 0;
+  const day = moment(lastDate, 'YYYY-MM-DD');
+  
+  while ((dailyData[day.format('YYYY-MM-DD')] || 0) > 0) {
+    streak++;
+    day.subtract(1, 'day');
+  }
+  
+  return streak;
+}
+
+/**
+ * Generate a text-based chart of daily study time
+ * @param {Array} dailyStats - Array of daily stats objects
+ * @returns {string} Text-based chart
+ */
+function generateStudyChart(dailyStats) {
+  // Find the maximum study time to scale the chart
+  const maxMinutes = Math.max(...dailyStats.map(d => d.minutes), 30); // Minimum of 30 for scale
+  
+  // Generate chart with gradient bars and indicators
+  const chartLines = dailyStats.map(day => {
+    // Calculate bar length (max 15 characters)
+    const barLength = day.minutes > 0 
+      ? Math.max(1, Math.round((day.minutes / maxMinutes) * 15))
+      : 0;
+    
+    // Use different fill characters for a gradient effect based on percentage
+    let bar = '';
+    const percentOfMax = day.minutes / maxMinutes;
+    
+    // Choose bar character based on time study
+    let barChar = '░'; // Default (empty)
+    
+    if (percentOfMax >= 0.8) {
+      barChar = '█'; // 80-100% fill
+    } else if (percentOfMax >= 0.6) {
+      barChar = '▓'; // 60-80% fill
+    } else if (percentOfMax >= 0.3) {
+      barChar = '▒'; // 30-60% fill 
+    } else if (percentOfMax > 0) {
+      barChar = '░'; // 1-30% fill
+    }
+    
+    bar = barChar.repeat(barLength);
+    
+    // Add small visual indicators for time categories
+    let timeIndicator = '';
+    if (day.minutes >= 120) {
+      timeIndicator = '🌟'; // 2+ hours
+    } else if (day.minutes >= 60) {
+      timeIndicator = '⭐'; // 1+ hour 
+    } else if (day.minutes >= 30) {
+      timeIndicator = '🔆'; // 30+ minutes
+    } else if (day.minutes > 0) {
+      timeIndicator = '🔅'; // Some study time
+    } else {
+      timeIndicator = '⚪'; // No study
+    }
+    
+    return `${day.dayName}: ${timeIndicator} ${bar} ${day.minutes}m`;
+  });
+  
+  return chartLines.join('\n');
+}
+
+//======================================
+// LEADERBOARD SERVICE
+//======================================
+
+/**
+ * Get the metrics a leaderboard can be ranked by
+ * @returns {Object} Map of metric -> { emoji, label }
+ */
+function getLeaderboardMetrics() {
+  return {
+    minutes: { emoji: '⏱', label: 'Time' },
+    sessions: { emoji: '🔄', label: 'Sessions' },
+    streak: { emoji: '🔥', label: 'Streak' }
+  };
+}
+
+/**
+ * Get a user's study figures for the last 7 days
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} { userId, name, minutes, sessions, streak }
+ */
+function getWeeklyStanding(userId) {
+  const stats = getUserStats(userId);
+  const timezone = getUserSettings(userId).timezone;
+  const dailyStats = getDailyStudyStats(stats.dailyStudyTime, 7, timezone);
+  const weekStart = userMoment(userId).subtract(6, 'days').startOf('day');
+  
+  // The stored streak only changes when a session ends, so count it again from today
+  // (or yesterday, if there's still time to study today)
+  const today = dailyStats[dailyStats.length - 1];
+  const streakDay = today.minutes > 0 ? today.date : dailyStats[dailyStats.length - 2].date;
+  
+  return {
+    userId,
+    name: userStore.get(userId).name || `User ${userId}`,
+    minutes: dailyStats.reduce((sum, day) => sum + day.minutes, 0),
+    sessions: getUserSessionHistory(userId).filter(entry => weekStart.isSameOrBefore(entry.endTime)).length,
+    streak: calculateStreak(stats.dailyStudyTime, streakDay)
+  };
+}
+
+/**
+ * Get the users shown on a chat's leaderboard: a group's members, or a
+ * private user and their friends. Users who opted out are left off.
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Array} User IDs
+ */
+function getLeaderboardMembers(chatId) {
+  initializeUserData(chatId);
+  const chatData = userStore.get(chatId);
+  const userIds = isGroupChat(chatId) ? chatData.members : [chatId, ...chatData.friends];
+  
+  // Members who never used the bot have no record, and nothing to rank
+  return userIds.filter(userId => userStore.has(userId) && getUserSettings(userId).showOnLeaderboard);
+}
+
+/**
+ * Rank standings by a metric (ties go to more study time)
+ * @param {Array} standings - Standings from getWeeklyStanding
+ * @param {string} metric - Metric to rank by
+ * @returns {Array} Sorted standings
+ */
+function rankStandings(standings, metric) {
+  return [...standings].sort((a, b) =>
+    b[metric] - a[metric] ||
+    b.minutes - a.minutes ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Format a chat's weekly leaderboard
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} metric - Metric to rank by
+ * @returns {string} Formatted leaderboard message
+ */
+function formatLeaderboardMessage(chatId, metric) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
+  const metricInfo = getLeaderboardMetrics()[metric];
+  const standings = rankStandings(getLeaderboardMembers(chatId).map(getWeeklyStanding), metric);
+  const medals = ['🥇', '🥈', '🥉'];
+  
+  let body;
+  if (standings.length === 0) {
+    body = isGroupChat(chatId)
+      ? `Nobody here is on the leaderboard yet.\nMembers appear once they study with the bot.\n`
+      : `You're hidden from leaderboards.\nTurn *Show me on leaderboards* back on in /settings.\n`;
+  } else {
+    body = standings.map((standing, i) =>
+      `${medals[i] || `*${i + 1}.*`} ${escapeMarkdown(standing.name)}\n` +
+      `    ⏱ ${formatMinutes(standing.minutes)} · 🔄 ${standing.sessions} · 🔥 ${standing.streak}d`
+    ).join('\n') + '\n';
+  }
+  
+  const footer = isGroupChat(chatId)
+    ? `_Hide yourself with the leaderboard option in /settings._\n`
+    : `_Add friends with /leaderboard invite, manage them with /leaderboard friends._\n`;
+  
+  return `${border}` +
+         `   🏆 *WEEKLY LEADERBOARD* 🏆\n\n` +
+         `_Last 7 days, ranked by ${metricInfo.label.toLowerCase()}_\n\n` +
+         body + '\n' +
+         footer +
+         `${borderEnd}`;
+}
+
+/**
+ * Format the list of a user's friends
+ * @param {number} userId - Telegram user ID
+ * @returns {string} Formatted friends message
+ */
+function formatFriendsMessage(userId) {
+  const friendIds = userStore.get(userId).friends;
+  
+  if (friendIds.length === 0) {
+    return `🤝 *Your friends*\n\n` +
+      `You haven't added any friends yet.\n` +
+      `Get a link to send them with /leaderboard invite.`;
+  }
+  
+  return `🤝 *Your friends*\n\n` +
+    friendIds.map(friendId => `• ${escapeMarkdown((userStore.get(friendId) || {}).name || `User ${friendId}`)}`).join('\n') +
+    `\n\nRemoving a friend takes you off each other's leaderboard.`;
+}
+
+/**
+ * Post the weekly leaderboard to every group and to users with friends,
+ * where at least one person on it studied this week
+ */
+async function postWeeklyLeaderboards() {
+  for (const chatId of userStore.keys()) {
+    const members = getLeaderboardMembers(chatId);
+    
+    // Private users only get a summary when they have friends on it
+    if (!isGroupChat(chatId) && (members.length < 2 || members[0] !== chatId)) {
+      continue;
+    }
+    if (!members.some(userId => getWeeklyStanding(userId).minutes > 0)) {
+      continue;
+    }
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        `📅 *Weekly summary*\n\n` + formatLeaderboardMessage(chatId, 'minutes'),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: leaderboardKeyboard('minutes')
+        }
+      );
+    } catch (error) {
+      console.error(`Error posting weekly leaderboard to ${chatId}:`, error.message);
+    }
+  }
+}
+
+//======================================
+// PARTNER SERVICE
+//======================================
+
+// Sessions from this many days back are used to work out a user's usual study time
+const USUAL_TIME_LOOKBACK_DAYS = 14;
+
+/**
+ * Send a message about a user to their accountability partner
+ * @param {number} userId - Telegram user ID
+ * @param {string} activity - What they did, completing "<name> ..."
+ */
+function notifyPartner(userId, activity) {
+  const userData = userStore.get(userId);
+  if (!userData || !userData.partnerId) {
+    return;
+  }
+  
+  const name = escapeMarkdown(userData.name || 'Your partner');
+  bot.sendMessage(
+    userData.partnerId,
+    `🤝 *${name}* ${activity}`,
+    { parse_mode: 'Markdown' }
+  ).catch(error => {
+    console.error('Error notifying accountability partner:', error.message);
+  });
+}
+
+/**
+ * Work out when a user usually starts studying: the median time of their
+ * first session on each day they studied recently
+ * @param {number} userId - Telegram user ID
+ * @returns {number|null} Minutes after midnight in the user's timezone, or null with too little history
+ */
+function getUsualStudyTime(userId) {
+  const since = userMoment(userId).subtract(USUAL_TIME_LOOKBACK_DAYS, 'days').startOf('day');
+  const firstStarts = {};
+  
+  for (const entry of getUserSessionHistory(userId)) {
+    const start = userMoment(userId, entry.startTime);
+    if (start.isBefore(since)) {
+      continue;
+    }
+    
+    const date = start.format('YYYY-MM-DD');
+    const minutes = start.hours() * 60 + start.minutes();
+    if (firstStarts[date] === undefined || minutes < firstStarts[date]) {
+      firstStarts[date] = minutes;
+    }
+  }
+  
+  // A couple of sessions aren't a habit yet
+  const times = Object.values(firstStarts).sort((a, b) => a - b);
+  if (times.length < 3) {
+    return null;
+  }
+  
+  return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Format minutes after midnight as a clock time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time as HH:MM
+ */
+function formatTimeOfDay(minutes) {
+  return `${padZero(Math.floor(minutes / 60))}:${padZero(minutes % 60)}`;
+}
+
+/**
+ * Nudge partnered users who haven't studied today by their usual time (at most once a day).
+ * Runs hourly, so the nudge comes within an hour after their usual time.
+ */
+async function sendPartnerNudges() {
+  for (const [userId, userData] of userStore.entries()) {
+    if (!userData.partnerId || userData.session.isStudying) {
+      continue;
+    }
+    
+    const now = userMoment(userId);
+    const today = now.format('YYYY-MM-DD');
+    const usualTime = getUsualStudyTime(userId);
+    
+    if (usualTime === null ||
+        now.hours() * 60 + now.minutes() < usualTime ||
+        userData.lastPartnerNudge === today ||
+        (userData.stats.dailyStudyTime[today] || 0) > 0) {
+      continue;
+    }
+    
+    userData.lastPartnerNudge = today;
+    saveUserData(userId, userData);
+    
+    const partnerData = userStore.get(userData.partnerId);
+    const partnerName = escapeMarkdown((partnerData && partnerData.name) || 'Your partner');
+    const partnerMinutes = partnerData ? partnerData.stats.dailyStudyTime[userMoment(userData.partnerId).format('YYYY-MM-DD')] || 0 : 0;
+    
+    try {
+      await bot.sendMessage(
+        userId,
+        `🔔 *Time to study!*\n\n` +
+        `You usually start around *${formatTimeOfDay(usualTime)}*, and you haven't studied yet today.\n` +
+        (partnerMinutes > 0
+          ? `${partnerName} has already put in ${formatMinutes(partnerMinutes)} today. Don't let them study alone!`
+          : `${partnerName} is counting on you!`),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: `🎯 Start ${getUserSettings(userId).focusDuration}-min session`, callback_data: `focus_${getUserSettings(userId).focusDuration}` }]
+            ]
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`Error sending partner nudge to ${userId}:`, error.message);
+    }
+  }
+}
+
+//======================================
+// EXPORT SERVICE
+//======================================
+
+// Version of the exported data layout, bumped when it changes
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Get the supported export formats
+ * @returns {Object} Map of format -> { label, description, extension, contentType }
+ */
+function getExportFormats() {
+  return {
+    json: { label: 'JSON', description: 'Full backup', extension: 'json', contentType: 'application/json' },
+    csv: { label: 'CSV', description: 'For spreadsheets', extension: 'csv', contentType: 'text/csv' },
+    md: { label: 'Markdown', description: 'Readable notes and tasks', extension: 'md', contentType: 'text/markdown' }
+  };
+}
+
+/**
+ * Collect everything stored for a user
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} Export data (tasks, notes, subjects, sessions, stats and settings)
+ */
+function buildExportData(userId) {
+  return {
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    tasks: getUserTasks(userId),
+    notes: getUserNotes(userId),
+    subjects: getUserSubjects(userId),
+    sessions: getUserSessionHistory(userId),
+    stats: getUserStats(userId),
+    settings: getUserSettings(userId)
+  };
+}
+
+/**
+ * Build a CSV table
+ * @param {Array} columns - [header, value getter] pairs
+ * @param {Array} rows - Items to turn into rows
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  const csvValue = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    
+    // Spreadsheets run text starting with these as a formula, so it's quoted with a '
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [columns.map(([header]) => csvValue(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, getValue]) => csvValue(getValue(row))).join(','));
+  }
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the CSV export, one file per table
+ * @param {number} userId - Telegram user ID
+ * @param {Object} data - Export data (see buildExportData)
+ * @returns {Array} Files as { name, content }
+ */
+function buildCsvExport(userId, data) {
+  const subjectNames = new Map(data.subjects.map(subject => [subject.id, subject.name]));
+  const localTime = (date) => (date ? userMoment(userId, date).format('YYYY-MM-DD HH:mm') : '');
+  
+  const statsRows = [
+    ['total_study_minutes', data.stats.totalStudyTime],
+    ['total_sessions', data.stats.totalSessions],
+    ['longest_session_minutes', data.stats.longestSession],
+    ['completed_tasks', data.stats.totalCompletedTasks],
+    ['streak_days', data.stats.streak],
+    ['last_study_date', localTime(data.stats.lastStudyDate)]
+  ];
+  
+  return [
+    {
+      name: 'tasks',
+      content: toCsv([
+        ['id', task => task.id],
+        ['text', task => task.text],
+        ['completed', task => task.completed],
+        ['priority', task => task.priority],
+        ['due_date', task => task.dueDate],
+        ['repeats', task => (task.recurrence ? describeRecurrence(task.recurrence.days) : '')],
+        ['subtasks_done', task => task.subtasks.filter(subtask => subtask.completed).length],
+        ['subtasks_total', task => task.subtasks.length],
+        ['time_spent_minutes', task => task.timeSpent || 0],
+        ['created_at', task => localTime(task.createdAt)]
+      ], data.tasks)
+    },
+    {
+      name: 'notes',
+      content: toCsv([
+        ['id', note => note.id],
+        ['text', note => note.text],
+        ['tags', note => note.tags.join(' ')],
+        ['attachment', note => (note.attachment ? note.attachment.type : '')],
+        ['created_at', note => localTime(note.createdAt)],
+        ['updated_at', note => localTime(note.updatedAt)]
+      ], data.notes)
+    },
+    {
+      name: 'sessions',
+      content: toCsv([
+        ['id', entry => entry.id],
+        ['start', entry => localTime(entry.startTime)],
+        ['end', entry => localTime(entry.endTime)],
+        ['minutes', entry => entry.minutes],
+        ['planned_minutes', entry => entry.plannedMinutes],
+        ['paused_minutes', entry => entry.pausedMinutes],
+        ['completed', entry => entry.completed],
+        ['task_id', entry => entry.taskId],
+        ['subject', entry => subjectNames.get(entry.subjectId) || '']
+      ], data.sessions)
+    },
+    {
+      name: 'daily_study_time',
+      content: toCsv([
+        ['date', ([date]) => date],
+        ['minutes', ([, minutes]) => minutes]
+      ], Object.entries(data.stats.dailyStudyTime).sort(([a], [b]) => a.localeCompare(b)))
+    },
+    {
+      name: 'stats',
+      content: toCsv([
+        ['metric', ([metric]) => metric],
+        ['value', ([, value]) => value]
+      ], statsRows)
+    }
+  ];
+}
+
+/**
+ * Build the Markdown export
+ * @param {number} userId - Telegram user ID
+ * @param {Object} data - Export data (see buildExportData)
+ * @returns {string} Markdown document
+ */
+function buildMarkdownExport(userId, data) {
+  const priorities = getTaskPriorities();
+  const subjectNames = new Map(data.subjects.map(subject => [subject.id, subject.name]));
+  const localTime = (date) => userMoment(userId, date).format('YYYY-MM-DD HH:mm');
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [];
+  
+  lines.push('# Study Focus export', '');
+  lines.push(`_Exported ${localTime(new Date())}_`, '');
+  
+  lines.push('## Stats', '');
+  lines.push(`- Total study time: ${formatMinutes(data.stats.totalStudyTime)}`);
+  lines.push(`- Sessions: ${data.stats.totalSessions}`);
+  lines.push(`- Longest session: ${formatMinutes(data.stats.longestSession)}`);
+  lines.push(`- Completed tasks: ${data.stats.totalCompletedTasks}`);
+  lines.push(`- Current streak: ${data.stats.streak} day(s)`, '');
+  
+  lines.push('## Tasks', '');
+  if (data.tasks.length === 0) {
+    lines.push('_No tasks_', '');
+  }
+  for (const task of sortTasks(data.tasks)) {
+    const details = [
+      (priorities[task.priority] || priorities.medium).label + ' priority',
+      task.dueDate ? `due ${task.dueDate}` : null,
+      task.recurrence ? `repeats ${describeRecurrence(task.recurrence.days)}` : null
+    ].filter(Boolean).join(', ');
+    
+    lines.push(`- [${task.completed ? 'x' : ' '}] ${task.text} _(${details})_`);
+    for (const subtask of task.subtasks) {
+      lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`);
+    }
+  }
+  if (data.tasks.length > 0) {
+    lines.push('');
+  }
+  
+  lines.push('## Notes', '');
+  if (data.notes.length === 0) {
+    lines.push('_No notes_', '');
+  }
+  for (const note of data.notes) {
+    lines.push(`### Note ${note.id} · ${localTime(note.createdAt)}`, '');
+    if (note.attachment) {
+      lines.push(`_${describeAttachment(note.attachment)} (view it in the bot with /notes)_`, '');
+    }
+    lines.push(note.text, '');
+  }
+  
+  lines.push('## Study sessions', '');
+  if (data.sessions.length === 0) {
+    lines.push('_No sessions_', '');
+  } else {
+    lines.push('| Start | Minutes | Subject | Task |', '| --- | --- | --- | --- |');
+    for (const entry of data.sessions) {
+      const task = entry.taskId ? data.tasks.find(t => t.id === entry.taskId) : null;
+      lines.push(`| ${localTime(entry.startTime)} | ${entry.minutes} | ${cell(subjectNames.get(entry.subjectId) || '')} | ${cell(task ? task.text : '')} |`);
+    }
+    lines.push('');
+  }
+  
+  lines.push('## Daily study time', '');
+  const days = Object.entries(data.stats.dailyStudyTime).sort(([a], [b]) => a.localeCompare(b));
+  if (days.length === 0) {
+    lines.push('_No study time yet_');
+  } else {
+    lines.push('| Date | Study time |', '| --- | --- |');
+    for (const [date, minutes] of days) {
+      lines.push(`| ${date} | ${formatMinutes(minutes)} |`);
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Send a user's data as document attachments
+ * @param {number} chatId - Chat ID
+ * @param {string} format - Export format (see getExportFormats)
+ */
+async function sendExport(chatId, format) {
+  const { extension, contentType, label } = getExportFormats()[format];
+  const data = buildExportData(chatId);
+  const date = userMoment(chatId).format('YYYY-MM-DD');
+  
+  let files;
+  if (format === 'json') {
+    files = [{ name: 'backup', content: JSON.stringify(data, null, 2) }];
+  } else if (format === 'csv') {
+    files = buildCsvExport(chatId, data);
+  } else {
+    files = [{ name: 'export', content: buildMarkdownExport(chatId, data) }];
+  }
+  
+  for (const [index, file] of files.entries()) {
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(file.content, 'utf8'),
+      index === 0 ? { caption: `📦 Your study data (${label}) · ${date}` } : {},
+      { filename: `study-focus-${file.name}-${date}.${extension}`, contentType }
+    );
+  }
+}
+
+//======================================
+// IMPORT SERVICE
+//======================================
+
+// Largest file accepted by /import, in bytes
+const IMPORT_MAX_FILE_SIZE = 1024 * 1024;
+
+// Parsed imports waiting for the user to confirm the preview, keyed by user ID
+const pendingImports = new Map();
+
+/**
+ * Create an empty import result
+ * @param {string} source - Where the data comes from (shown in the preview)
+ * @returns {Object} { source, tasks, notes, subjects, sessions, skipped }
+ */
+function createImport(source) {
+  return { source, tasks: [], notes: [], subjects: [], sessions: [], skipped: 0 };
+}
+
+/**
+ * Create an imported task in the stored task shape
+ * @param {Object} fields - Known task fields (text is required)
+ * @returns {Object} Task ready for importUserData
+ */
+function createImportedTask(fields) {
+  return {
+    id: null,
+    completed: false,
+    priority: 'medium',
+    dueDate: null,
+    recurrence: null,
+    subtasks: [],
+    createdAt: null,
+    ...fields
+  };
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of cell strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse the bot's own JSON backup (see buildExportData)
+ * @param {number} userId - Telegram user ID (used for sessions saved without days)
+ * @param {string} content - File content
+ * @returns {Object} Import result, or { error } if the file isn't a valid backup
+ */
+function parseBackupImport(userId, content) {
+  let backup;
+  try {
+    backup = JSON.parse(content);
+  } catch (error) {
+    return { error: 'The file is not valid JSON.' };
+  }
+  
+  if (!backup || typeof backup !== 'object' || !Array.isArray(backup.tasks) || !Array.isArray(backup.notes)) {
+    return { error: 'The JSON file is not a Study Focus backup (made with /export json).' };
+  }
+  if (backup.version > EXPORT_FORMAT_VERSION) {
+    return { error: 'The backup was made by a newer version of the bot.' };
+  }
+  
+  const result = createImport('Study Focus backup');
+  const toDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+  };
+  const hasText = (item) => item && typeof item.text === 'string' && item.text.trim() !== '';
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && moment(value, 'YYYY-MM-DD', true).isValid();
+  
+  // Backup values end up in stats, so anything that isn't a plain number is rejected
+  const count = (value, max = Infinity) => (
+    typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max ? value : null
+  );
+  const id = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+  
+  const toRecurrence = (recurrence) => {
+    const days = recurrence && Array.isArray(recurrence.days)
+      ? [...new Set(recurrence.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))]
+      : [];
+    
+    return days.length > 0
+      ? { days, completed: Math.round(count(recurrence.completed) || 0), missed: Math.round(count(recurrence.missed) || 0) }
+      : null;
+  };
+  
+  const toAttachment = (attachment) => (
+    attachment &&
+    typeof attachment.fileId === 'string' &&
+    Object.prototype.hasOwnProperty.call(getAttachmentTypes(), attachment.type)
+      ? { type: attachment.type, fileId: attachment.fileId, name: typeof attachment.name === 'string' ? attachment.name : null }
+      : null
+  );
+  
+  // Minutes per day must be a valid day and add up to the session, otherwise they're worked out again
+  const toDays = (days, minutes) => {
+    if (!days || typeof days !== 'object') {
+      return null;
+    }
+    
+    const entries = Object.entries(days);
+    const valid = entries.length > 0 && entries.every(([date, value]) => isDay(date) && count(value) !== null);
+    const total = entries.reduce((sum, [, value]) => sum + (Number(value) || 0), 0);
+    
+    return valid && total === minutes ? { ...days } : null;
+  };
+  
+  for (const task of backup.tasks) {
+    if (!hasText(task)) {
+      result.skipped++;
+      continue;
+    }
+    
+    result.tasks.push(createImportedTask({
+      id: id(task.id),
+      text: task.text.trim(),
+      completed: Boolean(task.completed),
+      priority: Object.prototype.hasOwnProperty.call(getTaskPriorities(), task.priority) ? task.priority : 'medium',
+      dueDate: isDay(task.dueDate) ? task.dueDate : null,
+      recurrence: toRecurrence(task.recurrence),
+      subtasks: Array.isArray(task.subtasks)
+        ? task.subtasks.filter(hasText).map((subtask, i) => ({ id: i + 1, text: subtask.text.trim(), completed: Boolean(subtask.completed) }))
+        : [],
+      timeSpent: Math.round(count(task.timeSpent) || 0),
+      createdAt: toDate(task.createdAt),
+      updatedAt: toDate(task.updatedAt),
+      lastCompletedAt: toDate(task.lastCompletedAt)
+    }));
+  }
+  
+  for (const note of backup.notes) {
+    if (!hasText(note)) {
+      result.skipped++;
+      continue;
+    }
+    
+    result.notes.push({
+      text: note.text.trim(),
+      attachment: toAttachment(note.attachment),
+      createdAt: toDate(note.createdAt),
+      updatedAt: toDate(note.updatedAt)
+    });
+  }
+  
+  for (const subject of backup.subjects || []) {
+    if (subject && typeof subject.name === 'string' && subject.name.trim() !== '') {
+      result.subjects.push({
+        id: id(subject.id),
+        name: subject.name.trim(),
+        theme: Object.prototype.hasOwnProperty.call(getProgressThemes(), subject.theme) ? subject.theme : 'focus',
+        createdAt: toDate(subject.createdAt)
+      });
+    }
+  }
+  
+  for (const entry of backup.sessions || []) {
+    const startTime = toDate(entry && entry.startTime);
+    const endTime = toDate(entry && entry.endTime);
+    const minutes = entry ? count(entry.minutes, 24 * 60) : null;
+    
+    // A session can't end in the future or hold more minutes than it lasted
+    if (!startTime || !endTime || endTime < startTime || endTime > new Date() ||
+        !Number.isInteger(minutes) || minutes === 0 || minutes > Math.ceil((endTime - startTime) / 60000)) {
+      result.skipped++;
+      continue;
+    }
+    
+    result.sessions.push({
+      startTime,
+      endTime,
+      minutes,
+      plannedMinutes: count(entry.plannedMinutes, 24 * 60) || minutes,
+      pausedMinutes: count(entry.pausedMinutes, 24 * 60) || 0,
+      completed: entry.completed !== false,
+      taskId: id(entry.taskId),
+      subjectId: id(entry.subjectId),
+      days: toDays(entry.days, minutes) || splitMinutesByDay(userId, startTime, endTime, minutes)
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Parse a CSV export from Todoist, Trello or the bot itself (see buildCsvExport)
+ * @param {number} userId - Telegram user ID (dates follow their timezone)
+ * @param {string} content - File content
+ * @returns {Object} Import result, or { error } if the columns aren't recognised
+ */
+function parseCsvImport(userId, content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    return { error: 'The CSV file is empty.' };
+  }
+  
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (row, name) => {
+    const index = columns.indexOf(name);
+    // Undo the ' that toCsv puts before text that looks like a formula
+    return index === -1 || row[index] === undefined ? '' : row[index].trim().replace(/^'(?=[=+\-@])/, '');
+  };
+  const dueDate = (value) => (value ? parseDueDate(userId, value.substring(0, 10)) : null);
+  
+  if (columns.includes('type') && columns.includes('content')) {
+    // Todoist: priority 1 is the most urgent, 4 means no priority
+    const result = createImport('Todoist CSV');
+    const priorities = { 1: 'high', 2: 'medium', 3: 'low', 4: 'medium' };
+    let parent = null;
+    
+    for (const row of rows) {
+      const text = column(row, 'content');
+      if (column(row, 'type') !== 'task' || !text) {
+        result.skipped++;
+        continue;
+      }
+      
+      // Indented tasks are sub-tasks of the task above
+      if (parseInt(column(row, 'indent')) > 1 && parent) {
+        parent.subtasks.push({ id: parent.subtasks.length + 1, text, completed: false });
+        continue;
+      }
+      
+      parent = createImportedTask({
+        text,
+        priority: priorities[column(row, 'priority')] || 'medium',
+        dueDate: dueDate(column(row, 'date'))
+      });
+      result.tasks.push(parent);
+    }
+    
+    return result;
+  }
+  
+  if (columns.includes('card name')) {
+    const result = createImport('Trello CSV');
+    
+    for (const row of rows) {
+      const text = column(row, 'card name');
+      if (!text || column(row, 'archived').toLowerCase() === 'true') {
+        result.skipped++;
+        continue;
+      }
+      
+      result.tasks.push(createImportedTask({
+        text,
+        completed: column(row, 'due complete').toLowerCase() === 'true' || /\b(done|complete|completed)\b/i.test(column(row, 'list name')),
+        priority: /\b(high|urgent|important)\b/i.test(column(row, 'labels')) ? 'high' : 'medium',
+        dueDate: dueDate(column(row, 'due date'))
+      }));
+    }
+    
+    return result;
+  }
+  
+  if (columns.includes('text') && columns.includes('completed')) {
+    const result = createImport('Study Focus tasks CSV');
+    
+    for (const row of rows) {
+      const text = column(row, 'text');
+      if (!text) {
+        result.skipped++;
+        continue;
+      }
+      
+      result.tasks.push(createImportedTask({
+        text,
+        completed: column(row, 'completed') === 'true',
+        priority: getTaskPriorities()[column(row, 'priority')] ? column(row, 'priority') : 'medium',
+        dueDate: dueDate(column(row, 'due_date'))
+      }));
+    }
+    
+    return result;
+  }
+  
+  if (columns.includes('text') && columns.includes('tags')) {
+    const result = createImport('Study Focus notes CSV');
+    
+    for (const row of rows) {
+      const text = column(row, 'text');
+      if (text) {
+        result.notes.push({ text, attachment: null, createdAt: null });
+      } else {
+        result.skipped++;
+      }
+    }
+    
+    return result;
+  }
+  
+  return { error: 'The CSV columns weren\'t recognised. Todoist and Trello exports are supported.' };
+}
+
+/**
+ * Parse a plain-text or Markdown list with one task per line. Bullets and
+ * [ ]/[x] checkboxes are understood, indented lines become subtasks, and the
+ * usual !priority, @due and ~repeat markers work. For the bot's own Markdown
+ * export (see buildMarkdownExport) only the Tasks section is read.
+ * @param {number} userId - Telegram user ID (due dates follow their timezone)
+ * @param {string} content - File content
+ * @returns {Object} Import result
+ */
+function parseTextImport(userId, content) {
+  const lines = content.split(/\r?\n/);
+  const isExport = lines.find(line => line.trim() !== '') === '# Study Focus export';
+  const result = createImport(isExport ? 'Study Focus Markdown export' : 'Text list');
+  const priorities = Object.entries(getTaskPriorities());
+  let section = null;
+  let parent = null;
+  
+  for (const line of lines) {
+    const heading = line.match(/^##\s+(.+)$/);
+    if (heading) {
+      section = heading[1].trim();
+      continue;
+    }
+    if (isExport && section !== 'Tasks') {
+      continue; // Stats, notes and session tables aren't tasks
+    }
+    if (line.trim() === '' || /^\s*(#|\||_)/.test(line)) {
+      continue; // Blank lines, headings, tables and italic remarks
+    }
+    
+    const indented = /^\s{2,}/.test(line);
+    const checkbox = line.match(/^\s*(?:[-*•+]\s+|\d+[.)]\s+)?\[([ xX])\]\s*/);
+    const details = line.match(/\s+_\(([^)]*)\)_$/); // Details added by the Markdown export
+    const text = line
+      .replace(/^\s*(?:[-*•+]\s+|\d+[.)]\s+)?(?:\[[ xX]\]\s*)?/, '')
+      .replace(/\s+_\([^)]*\)_$/, '')
+      .trim();
+    const completed = Boolean(checkbox && checkbox[1] !== ' ');
+    
+    if (!text) {
+      result.skipped++;
+      continue;
+    }
+    
+    if (indented && parent) {
+      parent.subtasks.push({ id: parent.subtasks.length + 1, text, completed });
+      continue;
+    }
+    
+    // Exported task text is stored as-is, so read the priority and due date from its details
+    if (isExport) {
+      const detailText = details ? details[1] : '';
+      const priority = priorities.find(([, info]) => detailText.startsWith(`${info.label} priority`));
+      const dueDate = detailText.match(/\bdue (\d{4}-\d{2}-\d{2})\b/);
+      
+      parent = createImportedTask({
+        text,
+        completed,
+        priority: priority ? priority[0] : 'medium',
+        dueDate: dueDate ? dueDate[1] : null
+      });
+      result.tasks.push(parent);
+      continue;
+    }
+    
+    const parsed = parseTaskInput(userId, text);
+    if (!parsed.text) {
+      result.skipped++;
+      continue;
+    }
+    
+    parent = createImportedTask({
+      text: parsed.text,
+      completed,
+      priority: parsed.priority,
+      dueDate: parsed.dueDate,
+      recurrence: parsed.recurrence ? { days: parsed.recurrence, completed: 0, missed: 0 } : null
+    });
+    result.tasks.push(parent);
+  }
+  
+  return result;
+}
+
+/**
+ * Work out a file's format and parse it
+ * @param {number} userId - Telegram user ID
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} content - File content
+ * @returns {Object} Import result, or { error } if nothing could be imported
+ */
+function parseImportFile(userId, fileName, content) {
+  content = content.replace(/^\uFEFF/, '');
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  
+  let result;
+  if (extension === 'json' || content.trim().startsWith('{')) {
+    result = parseBackupImport(userId, content);
+  } else if (extension === 'csv') {
+    result = parseCsvImport(userId, content);
+  } else {
+    result = parseTextImport(userId, content);
+  }
+  
+  if (!result.error && result.tasks.length + result.notes.length + result.sessions.length === 0) {
+    return { error: 'No tasks, notes or sessions were found in the file.' };
+  }
+  
+  return result;
+}
+
+/**
+ * Download a file the user sent
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<string>} File content as text
+ */
+function downloadImportFile(fileId) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = bot.getFileStream(fileId);
+    
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+/**
+ * Format the preview shown before an import is applied
+ * @param {Object} data - Parsed import
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {string} Formatted message
+ */
+function formatImportPreview(data, fileName) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
+  const completedCount = data.tasks.filter(task => task.completed).length;
+  const sessionMinutes = data.sessions.reduce((total, entry) => total + entry.minutes, 0);
+  
+  const lines = [];
+  if (data.tasks.length > 0) {
+    lines.push(`📋 ${data.tasks.length} task(s)${completedCount > 0 ? ` (${completedCount} completed)` : ''}`);
+  }
+  if (data.notes.length > 0) {
+    lines.push(`📝 ${data.notes.length} note(s)`);
+  }
+  if (data.subjects.length > 0) {
+    lines.push(`📚 ${data.subjects.length} subject(s)`);
+  }
+  if (data.sessions.length > 0) {
+    lines.push(`⏱️ ${data.sessions.length} session(s), ${formatMinutes(sessionMinutes)} in total`);
+  }
+  if (data.skipped > 0) {
+    lines.push(`⏭️ ${data.skipped} row(s) skipped`);
+  }
+  
+  const examples = data.tasks.length > 0
+    ? `\n*First tasks:*\n` + data.tasks.slice(0, 5).map(task => `${task.completed ? '✅' : '⬜'} ${escapeMarkdown(task.text.substring(0, 50))}`).join('\n') + '\n'
+    : '';
+  
+  return `${border}` +
+    `      📥 *IMPORT PREVIEW* 📥\n\n` +
+    `${escapeMarkdown(data.source)} · ${escapeMarkdown(fileName || 'file')}\n\n` +
+    lines.join('\n') + '\n' +
+    examples +
+    `\nEverything is added next to your current data; nothing is replaced.\n` +
+    `${borderEnd}`;
+}
+
+//======================================
+// COMMAND HANDLERS
+//======================================
+
+/**
+ * Handler for the /start command (invite links add a payload, e.g. /start friend_<code>)
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleStartCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const payload = (match && match[1]) || '';
+  
+  await bot.sendMessage(
+    chatId,
+    `👋 *Welcome to Study Focus Bot!*\n\n` +
+    `I'll help you stay focused during your study sessions and track your progress.\n\n` +
+    `*Main commands:*\n` +
+    `• /focus - Start a focus timer\n` +
+    `• /tasks - Manage your tasks\n` +
+    `• /notes - Store important study notes\n` +
+    `• /stats - View your study statistics\n` +
+    `• /help - Show all commands\n\n` +
+    `Let's get started by setting up a focus timer or adding some tasks!`,
+    {
+      parse_mode: 'Markdown',
+      ...mainKeyboard(chatId)
+    }
+  );
+  
+  if (payload.startsWith('friend_')) {
+    await handleFriendInvite(msg, payload.substring('friend_'.length));
+  } else if (payload.startsWith('partner_')) {
+    await handlePartnerInvite(msg, payload.substring('partner_'.length));
+  }
+}
+
+/**
+ * Accept an accountability partner invite link
+ * @param {Object} msg - Telegram message object
+ * @param {string} code - Invite code from the link
+ */
+async function handlePartnerInvite(msg, code) {
+  const chatId = msg.chat.id;
+  const inviterId = findUserByInviteCode(code, 'partner');
+  
+  if (!inviterId || isGroupChat(chatId)) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Invite not valid*\n\n` +
+      `Ask your friend to send you a new link from /partner.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (inviterId === chatId) {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ That's your own partner link. Share it with a friend instead!`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  rememberUser(chatId, msg.from);
+  const inviterData = userStore.get(inviterId);
+  const currentPartner = userStore.get(chatId).partnerId;
+  const inviterName = escapeMarkdown(inviterData.name || 'your friend');
+  
+  if (currentPartner === inviterId) {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ You and ${inviterName} are already accountability partners.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (currentPartner || inviterData.partnerId) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Already paired*\n\n` +
+      (currentPartner
+        ? `You already have an accountability partner. End that partnership with /partner first.`
+        : `${inviterName} already has an accountability partner.`),
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  setUserPartner(chatId, inviterId);
+  
+  await bot.sendMessage(
+    chatId,
+    `🤝 *You and ${inviterName} are now accountability partners!*\n\n` +
+    `You'll hear when the other starts or finishes a session, and get a nudge if you haven't studied by your usual time.`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  try {
+    await bot.sendMessage(
+      inviterId,
+      `🤝 *${escapeMarkdown(getParticipantName(msg.from))} is now your accountability partner!*\n\nSee how you're both doing with /partner.`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    console.error('Error notifying inviter:', error.message);
+  }
+}
+
+/**
+ * Accept a friend invite link
+ * @param {Object} msg - Telegram message object
+ * @param {string} code - Invite code from the link
+ */
+async function handleFriendInvite(msg, code) {
+  const chatId = msg.chat.id;
+  const inviterId = findUserByInviteCode(code);
+  
+  if (!inviterId || isGroupChat(chatId)) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Invite not valid*\n\n` +
+      `Ask your friend to send you a new link from /leaderboard invite.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (inviterId === chatId) {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ That's your own invite link. Share it with a friend instead!`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  rememberUser(chatId, msg.from);
+  const added = addUserFriend(chatId, inviterId);
+  const inviterName = escapeMarkdown(userStore.get(inviterId).name || 'your friend');
+  
+  await bot.sendMessage(
+    chatId,
+    added
+      ? `🤝 *You and ${inviterName} are now friends!*\n\nSee how you compare with /leaderboard.`
+      : `ℹ️ You and ${inviterName} are already friends.`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  if (added) {
+    try {
+      await bot.sendMessage(
+        inviterId,
+        `🤝 *${escapeMarkdown(getParticipantName(msg.from))} accepted your invite!*\n\nYou're now on each other's /leaderboard.`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error('Error notifying inviter:', error.message);
+    }
+  }
+}
+
+/**
+ * Handler for the /help command
+ * @param {Object} msg - Telegram message object
+ */
+function handleHelpCommand(msg) {
+  const chatId = msg.chat.id;
+  
+  bot.sendMessage(
+    chatId,
+    `*📚 Study Focus Bot Help*\n\n` +
+    `*Timer Commands:*\n` +
+    `• /focus [minutes] - Start a focus timer (default options: 25, 45, 60 min)\n` +
+    `• /focus [minutes] #[task ID] - Focus on a specific task\n` +
+    `• /custom_time [duration] - Start a custom timer with specific duration\n` +
+    `• /stop - Stop the current timer\n` +
+    `• /pause - Pause the current timer\n` +
+    `• /resume - Resume a paused timer\n` +
+    `• /pomodoro [cycles]x[minutes] [short] [long] - Start a pomodoro cycle (default 4x25, 5 min breaks, 15 min long break)\n` +
+    `• In a group, /focus opens a study room everyone can join; each member's minutes go to their own /stats, and /stop leaves the room\n\n` +
+    `*Task Commands:*\n` +
+    `• /tasks - View your task list\n` +
+    `• /addtask [description] [!priority] [@due] [~repeat] - Add a new task (e.g. \`/addtask Read ch5 !high @friday\`)\n` +
+    `  Repeat with ~daily, ~weekdays, ~weekly or ~mon,thu\n` +
+    `• /complete [ID] - Mark a task as complete or incomplete (several: \`/complete 2 5 7\`)\n` +
+    `• /edittask [ID] [text] - Change a task's text\n` +
+    `• /delete [ID] - Delete a task (several: \`/delete 3-6\`)\n` +
+    `• /clearcompleted - Move all completed tasks to the trash\n` +
+    `• /move [ID] [position] - Reorder your pending tasks\n` +
+    `• /remind [ID] [time] - Get reminded about a task (e.g. \`/remind 3 tomorrow 18:00\`)\n` +
+    `• /addsub [ID] [description] - Add a subtask to a task's checklist\n` +
+    `• /delsub [ID] [subtask ID] - Delete a subtask\n\n` +
+    `*Notes Commands:*\n` +
+    `• /notes - View your saved notes (\`/notes #biology\` shows one tag)\n` +
+    `• /addnote [content] - Save a new note; #hashtags in it become tags\n` +
+    `• /editnote [ID] [text] - Change a note's text\n` +
+    `• /deletenote [ID] - Delete a saved note\n` +
+    `• /trash - Restore or permanently delete removed tasks and notes\n` +
+    `• /search [words] - Find tasks and notes by their text\n\n` +
+    `*Subject Commands:*\n` +
+    `• /subjects - View your study subjects\n` +
+    `• /addsubject [name] [theme] - Add a subject (themes: reading, writing, coding, math, language)\n` +
+    `• /deletesubject [ID] - Delete a subject\n\n` +
+    `*Statistics:*\n` +
+    `• /stats - View your study statistics\n` +
+    `• /history - Browse and correct your past sessions\n` +
+    `• /leaderboard - Weekly ranking of this group, or of you and your friends\n` +
+    `• /leaderboard invite - Get a link that adds a friend to your leaderboard\n` +
+    `• /leaderboard friends - See your friends and remove them\n` +
+    `• /partner - Pair up with an accountability partner who hears about your sessions\n\n` +
+    `*Other Commands:*\n` +
+    `• /settings - Adjust timer lengths, limits and messages\n` +
+    `• /timezone [name or offset] - Set your timezone for daily stats\n` +
+    `• /export [json|csv|md] - Download your tasks, notes, sessions and stats\n` +
+    `• /import - Add tasks and notes from a backup, Todoist, Trello or a text list\n` +
+    `• /start - Start the bot\n` +
+    `• /help - Show this help message`,
+    {
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+/**
+ * Handler for the /focus command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleFocusCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const settings = getUserSettings(chatId);
+  const maxDuration = settings.maxSessionLength;
+  
+  // Pull an optional task reference (e.g. "25 #3") out of the arguments
+  const taskMatch = (match[1] || '').match(/(?:^|\s)#(\d+)\s*$/);
+  const taskId = taskMatch ? parseInt(taskMatch[1], 10) : null;
+  const durationInput = taskMatch ? match[1].slice(0, taskMatch.index).trim() : match[1]; // Any text after /focus
+  
+  if (taskId && !getUserTasks(chatId).some(t => t.id === taskId)) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `No task found with ID ${taskId}.\n` +
+      `Use /tasks to see all your tasks.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (durationInput || taskId) {
+    // If duration is provided, try to parse it (a task on its own uses the default length)
+    const duration = durationInput ? parseDuration(durationInput) : settings.focusDuration;
+    
+    if (duration && duration > 0 && duration <= maxDuration) { // Limit to the user's maximum session length
+      const result = await startFocusTimer(chatId, duration, { taskId, startedBy: msg.from });
+      // If result is null, a timer is already running (message is shown in startFocusTimer)
+    } else {
+      // Create a decorative error message
+      const border = '┏' + '━'.repeat(28) + '┓\n';
+      const borderEnd = '┗' + '━'.repeat(28) + '┛';
+      
+      bot.sendMessage(
+        chatId,
+        `${border}` +
+        `     ⚠️ *INVALID DURATION* ⚠️\n\n` +
+        `Please specify a valid duration between 1 and ${maxDuration} minutes.\n\n` +
+        `*Valid formats:*\n` +
+        `• Minutes only: \`25\`\n` +
+        `• Minutes with "m": \`45m\`\n` +
+        `• Hours with "h": \`1h\`\n` +
+        `• Hours and minutes: \`1h30m\`\n` +
+        `${borderEnd}`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+  } else {
+    // If no duration is provided, show enhanced duration options
+    const standardOptions = [
+      [
+        { text: '🕒 25 min', callback_data: 'focus_25' },
+        { text: '⏱ 45 min', callback_data: 'focus_45' },
+        { text: '⏰ 60 min', callback_data: 'focus_60' }
+      ],
+      [
+        { text: '📚 Study Session (90 min)', callback_data: 'focus_90' },
+        { text: '📖 Deep Work (120 min)', callback_data: 'focus_120' }
+      ],
+      [
+        { text: '⚙️ Custom Durations...', callback_data: 'focus_custom' }
+      ],
+      [
+        { text: '⌨️ Enter Specific Time', callback_data: 'focus_specific_time' }
+      ]
+    ];
+    
+    // Create a decorative border
+    const border = '┏' + '━'.repeat(30) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    
+    bot.sendMessage(
+      chatId,
+      `${border}` +
+      `       ⏱ *TIMER SELECTION* ⏱\n\n` +
+      `Choose how long you want to focus:\n\n` +
+      `• Standard options (25, 45, 60 min)\n` +
+      `• Longer sessions (90, 120 min)\n` +
+      `• Custom durations menu\n` +
+      `• Enter a specific time\n` +
+      `${borderEnd}`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: standardOptions
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Handler for the /stop command
+ * @param {Object} msg - Telegram message object
+ */
+async function handleStopFocusCommand(msg) {
+  const chatId = msg.chat.id;
+  const session = getUserSession(chatId);
+  
+  // In a group, /stop takes the sender out of the room
+  if (isGroupChat(chatId)) {
+    try {
+      await leaveRoom(chatId, msg.from);
+    } catch (error) {
+      console.error('Error in handleStopFocusCommand:', error);
+      
+      try {
+        await bot.sendMessage(
+          chatId,
+          "⚠️ *Error*\n\nThere was a problem leaving the study room. Please try again.",
+          { parse_mode: 'Markdown' }
+        );
+      } catch (msgError) {
+        console.error('Error sending error notification:', msgError.message);
+      }
+    }
+    return;
+  }
+  
+  if (session.isStudying || session.pomodoro) {
+    stopPomodoro(chatId);
+    stopFocusTimer(chatId);
+    bot.sendMessage(
+      chatId,
+      `⏹ *Timer stopped*\n\n` +
+      `Your focus session has been stopped.`,
+      {
+        parse_mode: 'Markdown',
+        ...mainKeyboard(chatId)
+      }
+    );
+  } else {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ You don't have an active focus timer.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /pause command
+ * @param {Object} msg - Telegram message object
+ */
+async function handlePauseFocusCommand(msg) {
+  const chatId = msg.chat.id;
+  
+  const paused = await pauseFocusTimer(chatId);
+  
+  if (paused) {
+    bot.sendMessage(
+      chatId,
+      `⏸ *Timer paused*\n\n` +
+      `Your focus session has been paused. Use /resume to continue.`,
+      { parse_mode: 'Markdown' }
+    );
+  } else {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ You don't have an active focus timer or it's already paused.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /resume command
+ * @param {Object} msg - Telegram message object
+ */
+async function handleResumeFocusCommand(msg) {
+  const chatId = msg.chat.id;
+  
+  const resumed = await resumeFocusTimer(chatId);
+  
+  if (resumed) {
+    bot.sendMessage(
+      chatId,
+      `▶️ *Timer resumed*\n\n` +
+      `Your focus session has been resumed.`,
+      { parse_mode: 'Markdown' }
+    );
+  } else {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ You don't have a paused focus timer.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for focus timer keyboard callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} duration - Focus duration in minutes
+ * @param {Object} user - Telegram user who pressed the button (joins the room in group chats)
+ */
+async function handleFocusCallback(callbackQueryId, chatId, duration, user = null) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  if (duration === 'custom') {
+    // Create a more interactive custom timer selection
+    const customDurations = [
+      [
+        { text: '15 min', callback_data: 'focus_15' },
+        { text: '20 min', callback_data: 'focus_20' },
+        { text: '30 min', callback_data: 'focus_30' }
+      ],
+      [
+        { text: '40 min', callback_data: 'focus_40' },
+        { text: '50 min', callback_data: 'focus_50' },
+        { text: '70 min', callback_data: 'focus_70' }
+      ],
+      [
+        { text: '80 min', callback_data: 'focus_80' },
+        { text: '90 min', callback_data: 'focus_90' },
+        { text: '120 min', callback_data: 'focus_120' }
+      ],
+      [
+        { text: 'Specific Duration ⌨️', callback_data: 'focus_specific_time' }
+      ]
+    ];
+    
+    // Send a message with custom duration options
+    bot.sendMessage(
+      chatId,
+      `⏱ *Custom Timer Selection*\n\n` +
+      `Choose from additional durations or select "Specific Duration" to enter a precise time:`,
+      { 
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: customDurations
+        }
+      }
+    );
+    return;
+  } else if (duration === 'specific_time') {
+    // Set a flag in the user session that they're entering a custom duration
+    updateUserSession(chatId, {
+      awaitingCustomDuration: true,
+      awaitingTaskInput: false,
+      awaitingNoteInput: false,
+      awaitingTaskEdit: null,
+      awaitingNoteEdit: null,
+      awaitingNoteTag: null,
+      awaitingImport: false
+    });
+    
+    // Create a decorative message
+    const border = '┏' + '━'.repeat(30) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    
+    bot.sendMessage(
+      chatId,
+      `${border}` +
+      `      ⌨️ *CUSTOM DURATION* ⌨️\n\n` +
+      `Please enter your desired study time.\n\n` +
+      `*Formats accepted:*\n` +
+      `• Minutes only: \`35\`\n` +
+      `• Minutes with "m": \`35m\`\n` +
+      `• Hours with "h": \`1h\`\n` +
+      `• Hours and minutes: \`1h20m\`\n\n` +
+      `*Limits:* 1-${getUserSettings(chatId).maxSessionLength} minutes\n` +
+      `${borderEnd}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const maxDuration = getUserSettings(chatId).maxSessionLength;
+  if (parseInt(duration) > maxDuration) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Session too long*\n\n` +
+      `Your maximum session length is ${maxDuration} minutes. You can change it in /settings.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await startFocusTimer(chatId, parseInt(duration), { startedBy: user });
+}
+
+/**
+ * Handler for stop focus callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ */
+async function handleStopFocusCallback(callbackQueryId, chatId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  stopPomodoro(chatId);
+  stopFocusTimer(chatId);
+  
+  bot.sendMessage(
+    chatId,
+    `⏹ *Timer stopped*\n\n` +
+    `Your focus session has been stopped.`,
+    {
+      parse_mode: 'Markdown',
+      ...mainKeyboard(chatId)
+    }
+  );
+}
+
+/**
+ * Take a user out of a group's room and tell the group
+ * @param {number} chatId - Group chat ID
+ * @param {Object} user - Telegram user who is leaving
+ */
+async function leaveRoom(chatId, user) {
+  const name = escapeMarkdown(getParticipantName(user));
+  const room = getUserSession(chatId).room;
+  const minutes = leaveStudyRoom(chatId, user.id);
+  
+  if (minutes === null) {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ ${name}, you're not in a study room here.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const roomOpen = Boolean(getUserSession(chatId).room);
+  await bot.sendMessage(
+    chatId,
+    `👋 *${name}* left the room` +
+    (minutes > 0 ? ` after ${formatMinutes(minutes)} of focus.` : '.') +
+    (roomOpen ? '' : `\n\nThe room is now empty and has been closed.`),
+    { parse_mode: 'Markdown' }
+  );
+  
+  if (roomOpen) {
+    await updateRoomMessage(chatId);
+  } else {
+    try {
+      await bot.editMessageText(`👥 *Group Study Room*\n\n⏹ Closed early.`, {
+        chat_id: chatId,
+        message_id: room.messageId,
+        parse_mode: 'Markdown'
+      });
+    } catch (error) {
+      console.error('Error closing room message:', error.message);
+    }
+  }
+}
+
+/**
+ * Handler for the Join and Leave buttons under a room message
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Group chat ID
+ * @param {Object} user - Telegram user who pressed the button
+ * @param {boolean} joining - True for Join, false for Leave
+ */
+async function handleRoomCallback(callbackQueryId, chatId, user, joining) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  if (!joining) {
+    await leaveRoom(chatId, user);
+    return;
+  }
+  
+  const name = escapeMarkdown(getParticipantName(user));
+  const status = joinStudyRoom(chatId, user);
+  
+  if (status === 'joined') {
+    await updateRoomMessage(chatId);
+  } else if (status === 'busy') {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ ${name}, you already have a focus session running. Stop it first to join this room.`,
+      { parse_mode: 'Markdown' }
+    );
+  } else if (status === 'none') {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ This room has finished. Start a new one with /focus.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for pause focus callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ */
+async function handlePauseFocusCallback(callbackQueryId, chatId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const paused = await pauseFocusTimer(chatId);
+  
+  if (!paused) {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ Unable to pause. Your timer may already be paused.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for resume focus callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ */
+async function handleResumeFocusCallback(callbackQueryId, chatId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const resumed = await resumeFocusTimer(chatId);
+  
+  if (!resumed) {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ Unable to resume. You may not have a paused timer.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /pomodoro command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handlePomodoroCommand(msg, match) {
+  const chatId = msg.chat.id;
+  
+  if (isGroupChat(chatId)) {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ Pomodoro cycles are personal. Use /focus here to start a group study room, or /pomodoro in a private chat with me.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const settings = getUserSettings(chatId);
+  const config = parsePomodoroArgs(match[1], settings);
+  
+  if (!config) {
+    // Create a decorative error message
+    const border = '┏' + '━'.repeat(28) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(28) + '┛';
+    
+    bot.sendMessage(
+      chatId,
+      `${border}` +
+      `   ⚠️ *INVALID POMODORO* ⚠️\n\n` +
+      `Use \`/pomodoro [cycles]x[minutes] [short] [long]\`\n\n` +
+      `*Examples:*\n` +
+      `• \`/pomodoro\` - ${settings.longBreakInterval}×${settings.focusDuration} min, ${settings.breakDuration} min breaks, 15 min long break\n` +
+      `• \`/pomodoro 3x50 10 30\`\n\n` +
+      `*Limits:* 1-12 cycles, 1-${settings.maxSessionLength} min focus, 1-60 min breaks\n` +
+      `${borderEnd}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const result = await startPomodoro(chatId, config);
+  
+  // With subjects, the confirmation is sent once one has been picked
+  if (result && !result.pending) {
+    await sendPomodoroStarted(chatId, config);
+  }
+}
+
+/**
+ * Confirm that a pomodoro cycle has started
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} config - Pomodoro configuration
+ */
+async function sendPomodoroStarted(chatId, config) {
+  await bot.sendMessage(
+    chatId,
+    `🍅 *Pomodoro started*\n\n` +
+    `${config.cycles} × ${config.focusDuration} min focus, ` +
+    `${config.shortBreak} min short breaks and a ${config.longBreak} min long break.\n` +
+    `Breaks and the next cycles start automatically. Use /stop to end the pomodoro.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Handler for skip pomodoro break callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ */
+async function handlePomodoroSkipCallback(callbackQueryId, chatId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const pomodoro = getUserSession(chatId).pomodoro;
+  
+  if (!pomodoro || pomodoro.phase !== 'break') {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ You are not on a pomodoro break.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await handlePomodoroBreakEnd(chatId);
+}
+
+/**
+ * Handler for extend pomodoro break callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} minutes - Minutes to add to the break
+ */
+async function handlePomodoroExtendCallback(callbackQueryId, chatId, minutes) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const breakEndTime = extendPomodoroBreak(chatId, minutes);
+  
+  if (breakEndTime) {
+    bot.sendMessage(
+      chatId,
+      `➕ *Break extended by ${minutes} minutes*\n\n` +
+      `Your break now ends at *${userMoment(chatId, breakEndTime).format('HH:mm')}*.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: pomodoroBreakKeyboard()
+      }
+    );
+  } else {
+    bot.sendMessage(
+      chatId,
+      `ℹ️ You are not on a pomodoro break.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for stop pomodoro callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ */
+async function handlePomodoroStopCallback(callbackQueryId, chatId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  stopPomodoro(chatId);
+  stopFocusTimer(chatId);
+  
+  bot.sendMessage(
+    chatId,
+    `⏹ *Pomodoro stopped*\n\n` +
+    `Your pomodoro cycle has been stopped. Start a new one any time with /pomodoro.`,
+    {
+      parse_mode: 'Markdown',
+      ...mainKeyboard(chatId)
+    }
+  );
+}
+
+/**
+ * Confirm that a custom timer has started
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} duration - Timer duration in minutes
+ */
+async function sendCustomTimerStarted(chatId, duration) {
+  // Border for the confirmation message
+  const border = '┏' + '━'.repeat(25) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(25) + '┛';
+  
+  await bot.sendMessage(
+    chatId,
+    `${border}` +
+    `   ✅ *CUSTOM TIMER STARTED* ✅\n\n` +
+    `Successfully started a *${duration}-minute* timer.\n` +
+    `Stay focused and productive!\n` +
+    `${borderEnd}`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Handler for the /custom_time command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleCustomTimeCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const durationStr = match[1]; // Get the duration from the command
+  const maxDuration = getUserSettings(chatId).maxSessionLength;
+  
+  console.log(`Custom time command received from ${chatId} with duration: ${durationStr}`);
+  
+  // If no duration provided, prompt user for input
+  if (!durationStr) {
+    // Set the flag for awaiting custom duration
+    updateUserSession(chatId, {
+      awaitingCustomDuration: true,
+      awaitingTaskInput: false,
+      awaitingNoteInput: false,
+      awaitingTaskEdit: null,
+      awaitingNoteEdit: null,
+      awaitingNoteTag: null,
+      awaitingImport: false
+    });
+    console.log(`Setting awaitingCustomDuration to true for user ${chatId} via command`);
+    
+    // Create a decorative border
+    const border = '┏' + '━'.repeat(30) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    
+    await bot.sendMessage(
+      chatId,
+      `${border}` +
+      `     ⌨️ *CUSTOM FOCUS TIMER* ⌨️\n\n` +
+      `Please enter your desired study time now.\n\n` +
+      `*Formats accepted:*\n` +
+      `• Minutes only: \`35\`\n` +
+      `• Minutes with "m": \`35m\`\n` +
+      `• Hours with "h": \`1h\`\n` +
+      `• Hours and minutes: \`1h20m\`\n\n` +
+      `*Valid range:* 1-${maxDuration} minutes\n` +
+      `${borderEnd}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  // Parse the provided duration
+  const duration = parseDuration(durationStr);
+  console.log(`Parsed duration: ${duration} minutes from command parameter`);
+  
+  // Validate the duration
+  if (duration && duration >= 1 && duration <= maxDuration) {
+    // Valid duration within limits, start the timer
+    const result = await startFocusTimer(chatId, duration, { startedBy: msg.from, customTimer: true });
+    
+    // Only show confirmation if timer was successfully started (the subject picker confirms it later)
+    if (result && !result.pending) {
+      await sendCustomTimerStarted(chatId, duration);
+    }
+  } else {
+    // Invalid duration
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Invalid Duration*\n\n` +
+      `Please provide a valid duration between 1 and ${maxDuration} minutes.\n` +
+      `You entered: "${durationStr}"\n\n` +
+      `Try again with the /custom_time command followed by a valid duration.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /tasks command
+ * @param {Object} msg - Telegram message object
+ */
+function handleListTasksCommand(msg) {
+  const chatId = msg.chat.id;
+  const tasks = getUserTaskList(chatId);
+  
+  bot.sendMessage(
+    chatId,
+    formatTasksMessage(tasks, chatId),
+    { 
+      parse_mode: 'Markdown',
+      reply_markup: taskKeyboard(tasks)
+    }
+  );
+}
+
+/**
+ * Handler for the /addtask command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleAddTaskCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const taskText = match[1]; // This will capture the text after /addtask
+  
+  if (!taskText || taskText.trim() === '') {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task description is required*\n\n` +
+      `Please provide a description for your task.\n` +
+      `Example: \`/addtask Read chapter 5\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const newTask = createTask(chatId, taskText.trim());
+  
+  if (!newTask) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task description is required*\n\n` +
+      `Please provide a description as well as the priority or due date.\n` +
+      `Example: \`/addtask Read chapter 5 !high @friday\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  bot.sendMessage(
+    chatId,
+    `✅ *Task added*\n\n` +
+    `Task ${newTask.id}: ${escapeMarkdown(newTask.text)}\n` +
+    `${describeTaskSchedule(chatId, newTask)}\n\n` +
+    `Use /tasks to see all your tasks.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Handler for the /complete command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleCompleteTaskCommand(msg, match) {
+  try {
+    const chatId = msg.chat.id;
+    
+    // If no task ID is provided, show task list with buttons
+    if (!match[1]) {
+      const tasks = getUserTaskList(chatId);
+      
+      if (tasks.length === 0) {
+        bot.sendMessage(
+          chatId,
+          `📋 *No tasks found*\n\n` +
+          `You don't have any tasks to complete yet.\n` +
+          `Use /addtask [description] to add a new task.`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      const taskButtons = tasks.map(task => {
+        const status = task.completed ? '✅' : '⬜';
+        return [
+          { 
+            text: `${status} ${task.id}. ${task.text.substring(0, 30)}${task.text.length > 30 ? '...' : ''}`, 
+            callback_data: `complete_task_${task.id}`
+          }
+        ];
+      });
+      
+      // Add a cancel button
+      taskButtons.push([{ text: '❌ Cancel', callback_data: 'refresh_tasks' }]);
+      
+      bot.sendMessage(
+        chatId,
+        `🔄 *Select a task to mark as complete/incomplete*\n\n` +
+        `Tap on a task to toggle its completion status:`,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: taskButtons
+          }
+        }
+      );
+      return;
+    }
+    
+    const taskIds = parseIdList(match[1]); // One or more IDs after /complete
+    
+    if (!taskIds) {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Invalid task ID*\n\n` +
+        `Please provide valid task IDs.\n` +
+        `Example: \`/complete 1\` or \`/complete 2 5 7\``,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (taskIds.length > 1) {
+      const result = completeTasks(chatId, taskIds);
+      const completedList = result.completed.map(task =>
+        `✅ *${task.id}.* ${escapeMarkdown(task.text.length > 40 ? task.text.substring(0, 40) + '...' : task.text)}` +
+        (task.recurrence ? ` · 🔁 next ${formatDueDate(chatId, task.dueDate)}` : '')
+      );
+      
+      await bot.sendMessage(
+        chatId,
+        `✓ *${result.completed.length} task(s) completed*\n\n` +
+        (completedList.length > 0 ? joinLimitedLines(completedList) + '\n\n' : '') +
+        (result.skipped.length > 0 ? `Already complete: ${result.skipped.join(', ')}\n` : '') +
+        (result.missing.length > 0 ? `Not found: ${result.missing.join(', ')}\n` : '') +
+        `\nUse /tasks to see all your tasks.`,
+        {
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '📋 View Task List', callback_data: 'refresh_tasks' }]
+            ]
+          }
+        }
+      );
+      return;
+    }
+    
+    const taskId = taskIds[0];
+    
+    console.log(`Attempting to toggle completion for task ID: ${taskId}`);
+    const updatedTask = toggleTaskCompletion(chatId, taskId);
+    
+    if (updatedTask) {
+      // Recurring tasks stay pending, rolled on to their next occurrence
+      const status = updatedTask.completed || updatedTask.recurrence ? 'completed' : 'marked as incomplete';
+      const nextText = updatedTask.recurrence
+        ? `🔁 Next due ${formatDueDate(chatId, updatedTask.dueDate)}\n`
+        : '';
+      bot.sendMessage(
+        chatId,
+        `✓ *Task ${status}*\n\n` +
+        `Task ${updatedTask.id}: ${escapeMarkdown(updatedTask.text)}\n` +
+        `${nextText}\n` +
+        `Use /tasks to see all your tasks.`,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '📋 View Task List', callback_data: 'refresh_tasks' }]
+            ]
+          }
+        }
+      );
+    } else {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Task not found*\n\n` +
+        `No task found with ID ${taskId}.\n` +
+        `Use /tasks to see all your tasks.`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+  } catch (error) {
+    console.error(`Error in handleCompleteTaskCommand: ${error.message}`);
+    bot.sendMessage(
+      msg.chat.id,
+      `⚠️ *Error*\n\nThere was a problem processing your request. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /delete command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleDeleteTaskCommand(msg, match) {
+  try {
+    const chatId = msg.chat.id;
+    
+    // If no task ID is provided, show task list with delete buttons
+    if (!match[1]) {
+      const tasks = getUserTaskList(chatId);
+      
+      if (tasks.length === 0) {
+        bot.sendMessage(
+          chatId,
+          `📋 *No tasks found*\n\n` +
+          `You don't have any tasks to delete yet.\n` +
+          `Use /addtask [description] to add a new task.`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      const taskButtons = tasks.map(task => {
+        const status = task.completed ? '✅' : '⬜';
+        return [
+          { 
+            text: `${status} ${task.id}. ${task.text.substring(0, 25)}${task.text.length > 25 ? '...' : ''}`, 
+            callback_data: `delete_task_${task.id}`
+          }
+        ];
+      });
+      
+      // Add a cancel button
+      taskButtons.push([{ text: '❌ Cancel', callback_data: 'refresh_tasks' }]);
+      
+      bot.sendMessage(
+        chatId,
+        `🗑️ *Select a task to delete*\n\n` +
+        `Tap on a task to delete it.\n` +
+        `Deleted tasks can be restored from /trash.`,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: taskButtons
+          }
+        }
+      );
+      return;
+    }
+    
+    const taskIds = parseIdList(match[1]); // One or more IDs after /delete
+    
+    if (!taskIds) {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Invalid task ID*\n\n` +
+        `Please provide valid task IDs.\n` +
+        `Example: \`/delete 1\` or \`/delete 3-6\``,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    if (taskIds.length > 1) {
+      const result = removeTasks(chatId, taskIds);
+      
+      if (result.deleted.length === 0) {
+        bot.sendMessage(
+          chatId,
+          `⚠️ *Tasks not found*\n\n` +
+          `No tasks found with IDs ${result.missing.join(', ')}.\n` +
+          `Use /tasks to see all your tasks.`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      await bot.sendMessage(
+        chatId,
+        formatDeletedMessage(result.deleted) +
+        (result.missing.length > 0 ? `\n\nNot found: ${result.missing.join(', ')}` : ''),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: undoKeyboard(result.deleted, 'refresh_tasks')
+        }
+      );
+      return;
+    }
+    
+    const taskId = taskIds[0];
+    
+    console.log(`Attempting to delete task ID: ${taskId}`);
+    const deleted = removeTask(chatId, taskId);
+    
+    if (deleted) {
+      bot.sendMessage(
+        chatId,
+        formatDeletedMessage([deleted]),
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: undoKeyboard([deleted], 'refresh_tasks')
+        }
+      );
+    } else {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Task not found*\n\n` +
+        `No task found with ID ${taskId}.\n` +
+        `Use /tasks to see all your tasks.`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+  } catch (error) {
+    console.error(`Error in handleDeleteTaskCommand: ${error.message}`);
+    bot.sendMessage(
+      msg.chat.id,
+      `⚠️ *Error*\n\nThere was a problem processing your request. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /clearcompleted command
+ * @param {Object} msg - Telegram message object
+ */
+async function handleClearCompletedCommand(msg) {
+  try {
+    const chatId = msg.chat.id;
+    const cleared = clearCompletedTasks(chatId);
+    
+    if (cleared.length === 0) {
+      bot.sendMessage(
+        chatId,
+        `📋 *Nothing to clear*\n\n` +
+        `You don't have any completed tasks.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    await bot.sendMessage(
+      chatId,
+      formatDeletedMessage(cleared),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: undoKeyboard(cleared, 'refresh_tasks')
+      }
+    );
+  } catch (error) {
+    console.error(`Error in handleClearCompletedCommand: ${error.message}`);
+    bot.sendMessage(
+      msg.chat.id,
+      `⚠️ *Error*\n\nThere was a problem clearing your completed tasks. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /move command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleMoveTaskCommand(msg, match) {
+  try {
+    const chatId = msg.chat.id;
+    
+    if (!match[1] || !match[2]) {
+      bot.sendMessage(
+        chatId,
+        `↕️ *Move a task*\n\n` +
+        `Put a pending task where you want it in your list:\n` +
+        `\`/move [ID] [position]\`\n\n` +
+        `Example: \`/move 7 1\` makes task 7 the first one.\n` +
+        `Tasks stay grouped by priority, so a task moves within its group.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const taskId = parseInt(match[1]);
+    const position = parseInt(match[2]);
+    const task = getUserTasks(chatId).find(t => t.id === taskId);
+    
+    if (!task) {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Task not found*\n\n` +
+        `No task found with ID ${taskId}.\n` +
+        `Use /tasks to see all your tasks.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    } else if (task.completed) {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Task already completed*\n\n` +
+        `Only pending tasks can be moved.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const result = moveTask(chatId, taskId, position);
+    const priority = getTaskPriorities()[task.priority] || getTaskPriorities().medium;
+    const keptText = result.position !== position
+      ? `\n${priority.emoji} It stays with the ${priority.label.toLowerCase()} priority tasks; change its priority with ✏️ to move it further.\n`
+      : '';
+    const tasks = getUserTaskList(chatId);
+    
+    await bot.sendMessage(
+      chatId,
+      `↕️ *Task moved*\n\n` +
+      `Task ${task.id} is now number ${result.position} in your pending list.\n` +
+      keptText,
+      { parse_mode: 'Markdown' }
+    );
+    
+    await bot.sendMessage(
+      chatId,
+      formatTasksMessage(tasks, chatId),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: taskKeyboard(tasks)
+      }
+    );
+  } catch (error) {
+    console.error(`Error in handleMoveTaskCommand: ${error.message}`);
+    bot.sendMessage(
+      msg.chat.id,
+      `⚠️ *Error*\n\nThere was a problem moving your task. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for task completion callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} taskId - Task ID
+ */
+async function handleCompleteTaskCallback(callbackQueryId, chatId, taskId) {
+  try {
+    bot.answerCallbackQuery(callbackQueryId);
+    
+    console.log(`Toggling completion for task ID: ${taskId} via callback`);
+    const updatedTask = toggleTaskCompletion(chatId, taskId);
+    
+    if (updatedTask) {
+      const tasks = getUserTaskList(chatId);
+      
+      try {
+        await bot.sendMessage(
+          chatId,
+          formatTasksMessage(tasks, chatId),
+          { 
+            parse_mode: 'Markdown',
+            reply_markup: taskKeyboard(tasks)
+          }
+        );
+      } catch (error) {
+        console.error('Error sending updated task list:', error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`Error in handleCompleteTaskCallback: ${error.message}`);
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ *Error*\n\nThere was a problem completing your task. Please try again.",
+        { parse_mode: 'Markdown' }
+      );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
+    }
+  }
+}
+
+/**
+ * Handler for the "Mark task complete?" button after a focus session.
+ * Unlike the task list's toggle it only ever completes the task, and the
+ * button is removed so a second tap can't roll a recurring task on again.
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {Object} message - Session completion message the button is on
+ * @param {number} taskId - Task ID
+ */
+async function handleSessionTaskDoneCallback(callbackQueryId, chatId, message, taskId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  try {
+    const task = getUserTasks(chatId).find(t => t.id === taskId);
+    
+    if (task && !task.completed) {
+      toggleTaskCompletion(chatId, taskId);
+    }
+    
+    const keyboard = ((message.reply_markup || {}).inline_keyboard || [])
+      .filter(row => !row.some(button => button.callback_data === `session_task_done_${taskId}`));
+    await bot.editMessageReplyMarkup(
+      { inline_keyboard: keyboard },
+      { chat_id: chatId, message_id: message.message_id }
+    );
+    
+    const tasks = getUserTaskList(chatId);
+    await bot.sendMessage(
+      chatId,
+      formatTasksMessage(tasks, chatId),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: taskKeyboard(tasks)
+      }
+    );
+  } catch (error) {
+    console.error('Error in handleSessionTaskDoneCallback:', error);
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ *Error*\n\nThere was a problem completing your task. Please try again.",
+        { parse_mode: 'Markdown' }
+      );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
+    }
+  }
+}
+
+/**
+ * Handler for task focus callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} taskId - Task ID
+ */
+async function handleTaskFocusCallback(callbackQueryId, chatId, taskId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const task = getUserTasks(chatId).find(t => t.id === taskId);
+  
+  if (!task) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `The task you selected could not be found.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await startFocusTimer(chatId, getUserSettings(chatId).focusDuration, { taskId });
+}
+
+/**
+ * Handler for the task edit menu (showing it, or changing priority/due date)
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Message ID to edit
+ * @param {number} taskId - Task ID
+ * @param {Object|null} changes - Fields to update, or null to just show the menu
+ */
+async function handleTaskEditCallback(callbackQueryId, chatId, messageId, taskId, changes) {
+  try {
+    bot.answerCallbackQuery(callbackQueryId);
+    
+    let task;
+    if (!changes) {
+      task = getUserTasks(chatId).find(t => t.id === taskId);
+    } else if ('reminderAt' in changes) {
+      task = setTaskReminder(chatId, taskId, changes.reminderAt);
+    } else {
+      task = updateUserTask(chatId, taskId, changes);
+    }
+    
+    if (!task) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Task not found*\n\n` +
+        `The task you selected could not be found.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const reminderText = task.reminderAt
+      ? `⏰ Reminder ${formatUserDate(chatId, task.reminderAt)} ${userMoment(chatId, task.reminderAt).format('HH:mm')}`
+      : '🔕 No reminder';
+    
+    const message = `✏️ *Edit task ${task.id}*\n\n` +
+      `${escapeMarkdown(task.text)}\n` +
+      `${describeTaskSchedule(chatId, task)}\n` +
+      `${reminderText}\n\n` +
+      `Choose a new priority, due date or reminder:`;
+    
+    // Open the menu as a new message, then update it in place
+    if (changes) {
+      await bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: taskEditKeyboard(task)
+      });
+    } else {
+      await bot.sendMessage(chatId, message, {
+        parse_mode: 'Markdown',
+        reply_markup: taskEditKeyboard(task)
+      });
+    }
+  } catch (error) {
+    console.error('Error in handleTaskEditCallback:', error);
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Error*\n\n` +
+      `Something went wrong while updating the task. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Ask for the new text of a task
+ * @param {number} chatId - Chat ID
+ * @param {number} taskId - Task ID
+ */
+async function promptTaskEdit(chatId, taskId) {
+  const task = getUserTasks(chatId).find(t => t.id === taskId);
+  
+  if (!task) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `No task found with ID ${taskId}.\n` +
+      `Use /tasks to see all your tasks.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  updateUserSession(chatId, {
+    awaitingTaskEdit: task.id,
+    awaitingNoteEdit: null,
+    awaitingNoteTag: null,
+    awaitingTaskInput: false,
+    awaitingNoteInput: false,
+    awaitingCustomDuration: false,
+    awaitingImport: false
+  });
+  
+  await bot.sendMessage(
+    chatId,
+    `✏️ *Editing task ${task.id}*\n\n` +
+    `Current text:\n${escapeMarkdown(task.text)}\n\n` +
+    `Send the new text for this task.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Replace a task's text and confirm the change
+ * @param {number} chatId - Chat ID
+ * @param {number} taskId - Task ID
+ * @param {string} text - New task description
+ */
+async function saveTaskEdit(chatId, taskId, text) {
+  if (!text || text.trim() === '') {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Empty Task*\n\n` +
+      `Task description cannot be empty. Please try again with a valid description.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const task = editTask(chatId, taskId, text.trim());
+  
+  if (!task) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `No task found with ID ${taskId}.\n` +
+      `Use /tasks to see all your tasks.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await bot.sendMessage(
+    chatId,
+    `✏️ *Task updated*\n\n` +
+    `Task ${task.id}: ${escapeMarkdown(task.text)}`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📋 View Task List', callback_data: 'refresh_tasks' }]
+        ]
+      }
+    }
+  );
+}
+
+/**
+ * Handler for the /edittask command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleEditTaskCommand(msg, match) {
+  const chatId = msg.chat.id;
+  
+  if (!match[1]) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task ID is required*\n\n` +
+      `Please provide the ID of the task to edit and its new text.\n` +
+      `Example: \`/edittask 3 Read chapter 6\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const taskId = parseInt(match[1], 10);
+  
+  // Without new text, ask for it
+  if (!match[2]) {
+    await promptTaskEdit(chatId, taskId);
+    return;
+  }
+  
+  await saveTaskEdit(chatId, taskId, match[2]);
+}
+
+/**
+ * Ask for the new text of a note
+ * @param {number} chatId - Chat ID
+ * @param {number} noteId - Note ID
+ */
+async function promptNoteEdit(chatId, noteId) {
+  const note = getUserNotes(chatId).find(n => n.id === noteId);
+  
+  if (!note) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Note not found*\n\n` +
+      `No note found with ID ${noteId}.\n` +
+      `Use /notes to see all your notes.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  updateUserSession(chatId, {
+    awaitingNoteEdit: note.id,
+    awaitingTaskEdit: null,
+    awaitingNoteTag: null,
+    awaitingTaskInput: false,
+    awaitingNoteInput: false,
+    awaitingCustomDuration: false,
+    awaitingImport: false
+  });
+  
+  await bot.sendMessage(
+    chatId,
+    `✏️ *Editing note ${note.id}*\n\n` +
+    `Current text:\n${escapeMarkdown(note.text)}\n\n` +
+    `Send the new text for this note.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Replace a note's text and confirm the change
+ * @param {number} chatId - Chat ID
+ * @param {number} noteId - Note ID
+ * @param {string} text - New note content
+ */
+async function saveNoteEdit(chatId, noteId, text) {
+  if (!text || text.trim() === '') {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Empty Note*\n\n` +
+      `Note content cannot be empty. Please try again with valid content.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const note = updateUserNote(chatId, noteId, { text: text.trim(), updatedAt: new Date() });
+  
+  if (!note) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Note not found*\n\n` +
+      `No note found with ID ${noteId}.\n` +
+      `Use /notes to see all your notes.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await bot.sendMessage(
+    chatId,
+    `✏️ *Note updated*\n\n` +
+    `Note ${note.id}: ${escapeMarkdown(note.text.length > 50 ? note.text.substring(0, 50) + '...' : note.text)}`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '📝 View Notes', callback_data: 'notes' }]
+        ]
+      }
+    }
+  );
+}
+
+/**
+ * Handler for the /editnote command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+async function handleEditNoteCommand(msg, match) {
+  const chatId = msg.chat.id;
+  
+  if (!match[1]) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Note ID is required*\n\n` +
+      `Please provide the ID of the note to edit and its new text.\n` +
+      `Example: \`/editnote 2 Formula sheet is on page 40\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const noteId = parseInt(match[1], 10);
+  
+  // Without new text, ask for it
+  if (!match[2]) {
+    await promptNoteEdit(chatId, noteId);
+    return;
+  }
+  
+  await saveNoteEdit(chatId, noteId, match[2]);
+}
+
+/**
+ * Handler for the /addsub command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleAddSubtaskCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const taskId = match[1] ? parseInt(match[1], 10) : null;
+  const text = match[2]; // This will capture the text after the task ID
+  
+  if (!taskId || !text || text.trim() === '') {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task ID and description are required*\n\n` +
+      `Please provide the task to add to and a description for the subtask.\n` +
+      `Example: \`/addsub 4 Write introduction\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const subtask = addUserSubtask(chatId, taskId, text.trim());
+  
+  if (!subtask) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `No task found with ID ${taskId}.\n` +
+      `Use /tasks to see all your tasks.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const task = getUserTasks(chatId).find(t => t.id === taskId);
+  const doneCount = task.subtasks.filter(st => st.completed).length;
+  
+  bot.sendMessage(
+    chatId,
+    `✅ *Subtask added*\n\n` +
+    `Task ${task.id}: ${escapeMarkdown(task.text)} (☑️ ${doneCount}/${task.subtasks.length})\n` +
+    `▫️ ${subtask.id}. ${escapeMarkdown(subtask.text)}\n\n` +
+    `Tick it off from the /tasks list.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Handler for the /delsub command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleDeleteSubtaskCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const taskId = parseInt(match[1], 10);
+  const subtaskId = parseInt(match[2], 10);
+  
+  if (deleteUserSubtask(chatId, taskId, subtaskId)) {
+    bot.sendMessage(
+      chatId,
+      `🗑️ *Subtask deleted*\n\n` +
+      `Subtask ${subtaskId} of task ${taskId} has been deleted.`,
+      { parse_mode: 'Markdown' }
+    );
+  } else {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Subtask not found*\n\n` +
+      `No subtask ${subtaskId} found on task ${taskId}.\n` +
+      `Use /tasks to see all your tasks.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for subtask toggle callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Task list message ID
+ * @param {number} taskId - Parent task ID
+ * @param {number} subtaskId - Subtask ID
+ */
+async function handleSubtaskToggleCallback(callbackQueryId, chatId, messageId, taskId, subtaskId) {
+  try {
+    // Stay on the page the task was shown on
+    const taskIndex = getUserTaskList(chatId).findIndex(t => t.id === taskId);
+    const page = Math.floor(Math.max(0, taskIndex) / LIST_PAGE_SIZE) + 1;
+    
+    const result = toggleSubtask(chatId, taskId, subtaskId);
+    
+    bot.answerCallbackQuery(callbackQueryId);
+    
+    if (!result) {
+      return;
+    }
+    
+    // Refresh the task list in place. The query is already answered by the
+    // dispatcher, so the completion notice goes in the message, not a toast.
+    const tasks = getUserTaskList(chatId);
+    const notice = result.parentCompleted
+      ? `🎉 *All subtasks done, task ${taskId} completed!*\n\n`
+      : '';
+    await bot.editMessageText(
+      notice + formatTasksMessage(tasks, chatId, page),
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: taskKeyboard(tasks, page)
+      }
+    );
+  } catch (error) {
+    console.error('Error in handleSubtaskToggleCallback:', error);
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Error*\n\n` +
+      `Something went wrong while updating the subtask. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /remind command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleRemindCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const taskId = match[1] ? parseInt(match[1], 10) : null;
+  const timeInput = match[2];
+  
+  // Without arguments, list the reminders that are set
+  if (!taskId) {
+    const reminders = getUserTaskList(chatId).filter(task => task.reminderAt && !task.completed);
+    const reminderLines = reminders
+      .sort((a, b) => a.reminderAt - b.reminderAt)
+      .map(task =>
+        `⏰ ${formatUserDate(chatId, task.reminderAt)} ${userMoment(chatId, task.reminderAt).format('HH:mm')} · ` +
+        `*${task.id}.* ${escapeMarkdown(task.text)}`
+      );
+    
+    bot.sendMessage(
+      chatId,
+      `⏰ *Task reminders*\n\n` +
+      (reminderLines.length > 0 ? `${reminderLines.join('\n')}\n\n` : `No reminders set.\n\n`) +
+      `Set one with \`/remind [task ID] [time]\`, e.g.\n` +
+      `• \`/remind 3 tomorrow 18:00\`\n` +
+      `• \`/remind 3 fri 9:30\`\n` +
+      `• \`/remind 3 in 2h\`\n` +
+      `Use \`/remind 3 off\` to remove one.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const task = getUserTasks(chatId).find(t => t.id === taskId);
+  if (!task) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `No task found with ID ${taskId}.\n` +
+      `Use /tasks to see all your tasks.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (timeInput && timeInput.trim().toLowerCase() === 'off') {
+    setTaskReminder(chatId, taskId, null);
+    bot.sendMessage(
+      chatId,
+      `🔕 *Reminder removed*\n\n` +
+      `Task ${task.id}: ${escapeMarkdown(task.text)}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const remindAt = timeInput ? parseReminderTime(chatId, timeInput) : null;
+  
+  if (!remindAt || remindAt <= new Date()) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Invalid reminder time*\n\n` +
+      `Please give a time in the future.\n\n` +
+      `*Valid formats:*\n` +
+      `• Time today: \`18:00\`\n` +
+      `• Day and time: \`tomorrow 18:00\`, \`fri 9:30\`, \`25/10 18:00\`\n` +
+      `• From now: \`in 30m\`, \`in 2h\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  setTaskReminder(chatId, taskId, remindAt);
+  
+  bot.sendMessage(
+    chatId,
+    `⏰ *Reminder set*\n\n` +
+    `Task ${task.id}: ${escapeMarkdown(task.text)}\n` +
+    `I'll remind you on ${formatUserDate(chatId, remindAt)} at ${userMoment(chatId, remindAt).format('HH:mm')}.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Handler for reminder snooze callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Reminder message ID
+ * @param {number} taskId - Task ID
+ * @param {number} minutes - Minutes to snooze for
+ */
+async function handleReminderSnoozeCallback(callbackQueryId, chatId, messageId, taskId, minutes) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const task = setTaskReminder(chatId, taskId, new Date(Date.now() + minutes * 60000));
+  
+  if (!task) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `The task you selected could not be found.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await bot.editMessageText(
+    `💤 *Snoozed*\n\n` +
+    `I'll remind you about *${task.id}.* ${escapeMarkdown(task.text)} again at ${userMoment(chatId, task.reminderAt).format('HH:mm')}.`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+/**
+ * Handler for reminder done callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Reminder message ID
+ * @param {number} taskId - Task ID
+ */
+async function handleReminderDoneCallback(callbackQueryId, chatId, messageId, taskId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const task = getUserTasks(chatId).find(t => t.id === taskId);
+  
+  if (!task) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Task not found*\n\n` +
+      `The task you selected could not be found.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (!task.completed) {
+    toggleTaskCompletion(chatId, taskId);
+  }
+  
+  await bot.editMessageText(
+    `✅ *Task done*\n\n` +
+    `*${task.id}.* ${escapeMarkdown(task.text)}\n\n` +
+    `Nice work! 🎉`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+/**
+ * Handler for task deletion callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} taskId - Task ID
+ */
+async function handleDeleteTaskCallback(callbackQueryId, chatId, taskId) {
+  try {
+    bot.answerCallbackQuery(callbackQueryId);
+    
+    console.log(`Deleting task ID: ${taskId} via callback`);
+    const deleted = removeTask(chatId, taskId);
+    
+    if (deleted) {
+      const tasks = getUserTaskList(chatId);
+      
+      try {
+        await bot.sendMessage(
+          chatId,
+          formatDeletedMessage([deleted]),
+          {
+            parse_mode: 'Markdown',
+            reply_markup: undoKeyboard([deleted], 'refresh_tasks')
+          }
+        );
+        
+        await bot.sendMessage(
+          chatId,
+          formatTasksMessage(tasks, chatId),
+          { 
+            parse_mode: 'Markdown',
+            reply_markup: taskKeyboard(tasks)
+          }
+        );
+      } catch (error) {
+        console.error('Error sending updated task list:', error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`Error in handleDeleteTaskCallback: ${error.message}`);
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ *Error*\n\nThere was a problem deleting your task. Please try again.",
+        { parse_mode: 'Markdown' }
+      );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
+    }
+  }
+}
+
+/**
+ * Handler for the /subjects command
+ * @param {Object} msg - Telegram message object
+ */
+function handleListSubjectsCommand(msg) {
+  const chatId = msg.chat.id;
+  const subjects = getUserSubjects(chatId);
+  
+  bot.sendMessage(
+    chatId,
+    formatSubjectsMessage(subjects),
+    {
+      parse_mode: 'Markdown',
+      reply_markup: subjectsKeyboard(subjects)
+    }
+  );
+}
+
+/**
+ * Handler for the /addsubject command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleAddSubjectCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const input = match[1]; // This will capture the text after /addsubject
+  
+  if (!input || input.trim() === '') {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Subject name is required*\n\n` +
+      `Please provide a name for your subject, optionally followed by a theme.\n` +
+      `Example: \`/addsubject Calculus math\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const { name, theme } = parseSubjectInput(input);
+  
+  if (getUserSubjects(chatId).some(s => s.name.toLowerCase() === name.toLowerCase())) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Subject already exists*\n\n` +
+      `You already have a subject called *${escapeMarkdown(name)}*.\n` +
+      `Use /subjects to see all your subjects.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const newSubject = addUserSubject(chatId, name, theme);
+  
+  bot.sendMessage(
+    chatId,
+    `✅ *Subject added*\n\n` +
+    `${getProgressThemes()[theme]} Subject ${newSubject.id}: ${escapeMarkdown(newSubject.name)} _(${theme})_\n\n` +
+    `You'll be asked to pick a subject when you start a focus session.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Handler for the /deletesubject command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleDeleteSubjectCommand(msg, match) {
+  const chatId = msg.chat.id;
+  
+  // Without an ID, show the subject list with its delete buttons
+  if (!match[1]) {
+    handleListSubjectsCommand(msg);
+    return;
+  }
+  
+  const subjectId = parseInt(match[1], 10);
+  
+  if (deleteUserSubject(chatId, subjectId)) {
+    bot.sendMessage(
+      chatId,
+      `🗑️ *Subject deleted*\n\n` +
+      `Subject ${subjectId} has been deleted.`,
+      { parse_mode: 'Markdown' }
+    );
+  } else {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Subject not found*\n\n` +
+      `No subject found with ID ${subjectId}.\n` +
+      `Use /subjects to see all your subjects.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the subject picker shown before a focus session
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} subjectId - Picked subject ID (0 for no subject)
+ * @param {number} duration - Session duration in minutes
+ * @param {number} taskId - Task to attribute the session to (0 for none)
+ * @param {boolean} pomodoro - Whether the session is part of the active pomodoro cycle
+ * @param {boolean} customTimer - Whether to confirm the start as a custom timer
+ * @param {Date} shownAt - When the picker was sent
+ */
+async function handleSubjectPickCallback(callbackQueryId, chatId, subjectId, duration, taskId, pomodoro, customTimer, shownAt) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const session = getUserSession(chatId);
+  
+  // An old picker shouldn't start a session long after it was asked for
+  if (Date.now() - shownAt > SUBJECT_PICK_TIMEOUT_MINUTES * 60000) {
+    await bot.sendMessage(
+      chatId,
+      `⌛ *Subject picker expired*\n\n` +
+      `Start a new session with /focus${pomodoro ? ' or /pomodoro' : ''}.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (pomodoro) {
+    if (!session.pomodoro) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *No active pomodoro*\n\n` +
+        `Start a new one with /pomodoro`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    // Remember the subject for the remaining cycles
+    updateUserSession(chatId, { pomodoro: { ...session.pomodoro, subjectId: subjectId || null } });
+  }
+  
+  const result = await startFocusTimer(chatId, duration, {
+    pomodoro,
+    taskId: taskId || null,
+    subjectId: subjectId || null
+  });
+  
+  if (!result) {
+    return;
+  }
+  
+  // Send the confirmation the command held back while the picker was open
+  const pomodoroState = getUserSession(chatId).pomodoro;
+  if (pomodoro && pomodoroState && pomodoroState.currentCycle === 1) {
+    await sendPomodoroStarted(chatId, pomodoroState);
+  } else if (customTimer) {
+    await sendCustomTimerStarted(chatId, duration);
+  }
+}
+
+/**
+ * Handler for subject deletion callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Subject list message ID
+ * @param {number} subjectId - Subject ID
+ */
+async function handleDeleteSubjectCallback(callbackQueryId, chatId, messageId, subjectId) {
+  try {
+    bot.answerCallbackQuery(callbackQueryId);
+    
+    deleteUserSubject(chatId, subjectId);
+    
+    // Refresh the subject list in place
+    const subjects = getUserSubjects(chatId);
+    await bot.editMessageText(
+      formatSubjectsMessage(subjects),
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: subjectsKeyboard(subjects)
+      }
+    );
+  } catch (error) {
+    console.error('Error in handleDeleteSubjectCallback:', error);
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Error*\n\n` +
+      `Something went wrong while deleting the subject. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /notes command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleListNotesCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const notes = getUserNotes(chatId);
+  
+  if (match && match[1] && !normalizeTag(match[1])) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Invalid tag*\n\n` +
+      `Tags use letters, numbers, _ and - (up to 20 characters).\n` +
+      `Example: \`/notes #biology\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  const tag = match && match[1] ? normalizeTag(match[1]) : null;
+  
+  bot.sendMessage(
+    chatId,
+    formatNotesMessage(notes, chatId, 1, tag),
+    { 
+      parse_mode: 'Markdown',
+      reply_markup: notesKeyboard(notes, 1, tag)
+    }
+  );
+}
+
+/**
+ * Handler for the /addnote command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleAddNoteCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const noteText = match[1]; // This will capture the text after /addnote
+  const attachment = getMessageAttachment(msg); // Set when /addnote is a file's caption
+  
+  if ((!noteText || noteText.trim() === '') && !attachment) {
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Note content is required*\n\n` +
+      `Please provide content for your note.\n` +
+      `Example: \`/addnote Important formula: E=mc²\`\n` +
+      `You can also send a photo, document or voice message with /addnote as its caption.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  try {
+    const newNote = attachment
+      ? addUserNote(chatId, (noteText || '').trim() || getAttachmentTypes()[attachment.type].label, attachment)
+      : addUserNote(chatId, noteText.trim());
+    
+    // Create a decorative border
+    const border = '┏' + '━'.repeat(28) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(28) + '┛';
+    
+    bot.sendMessage(
+      chatId,
+      `${border}` +
+      `     ✅ *NOTE ADDED* ✅\n\n` +
+      `Note ${newNote.id}: ${newNote.attachment ? `${getAttachmentTypes()[newNote.attachment.type].emoji} ` : ''}${escapeMarkdown(newNote.text)}\n\n` +
+      `Use /notes to see all your notes.\n` +
+      `${borderEnd}`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    console.error(`Error in handleAddNoteCommand: ${error.message}`);
+    bot.sendMessage(
+      chatId,
+      `⚠️ *Error saving note*\n\n` +
+      `There was a problem saving your note. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Handler for the /deletenote command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
+ */
+function handleDeleteNoteCommand(msg, match) {
+  try {
+    const chatId = msg.chat.id;
+    
+    // If no note ID is provided, show notes list with delete buttons
+    if (!match[1]) {
+      const notes = getUserNotes(chatId);
+      
+      if (notes.length === 0) {
+        bot.sendMessage(
+          chatId,
+          `📝 *No notes found*\n\n` +
+          `You don't have any notes to delete yet.\n` +
+          `Use /addnote [content] to add a new note.`,
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+      
+      // Create note buttons with delete options
+      const noteButtons = [];
+      for (const note of notes) {
+        noteButtons.push([
+          { 
+            text: `🗑️ Delete: ${note.text.substring(0, 30)}${note.text.length > 30 ? '...' : ''}`, 
+            callback_data: `delete_note_${note.id}` 
+          }
+        ]);
+      }
+      
+      // Add cancel button
+      noteButtons.push([
+        { text: '❌ Cancel', callback_data: 'notes' }
+      ]);
+      
+      bot.sendMessage(
+        chatId,
+        `*Select a note to delete:*\n\n` +
+        `Please choose which note you want to delete:`,
+        { 
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: noteButtons
+          }
+        }
+      );
+      return;
+    }
+    
+    // If note ID is provided, delete it directly
+    const noteId = parseInt(match[1], 10);
+    
+    if (isNaN(noteId)) {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Invalid note ID*\n\n` +
+        `Please provide a valid note ID.\n` +
+        `Example: \`/deletenote 1\``,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    const deleted = deleteUserNote(chatId, noteId);
+    
+    if (deleted) {
+      bot.sendMessage(
+        chatId,
+        formatDeletedMessage([deleted]),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: undoKeyboard([deleted], 'notes')
+        }
+      );
+    } else {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Note not found*\n\n` +
+        `Could not find a note with ID ${noteId}.\n` +
+        `Use /notes to see all your notes with their IDs.`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+  } catch (error) {
+    console.error(`Error in handleDeleteNoteCommand: ${error.message}`);
+    bot.sendMessage(
+      msg.chat.id,
+      `⚠️ *Error deleting note*\n\n` +
+      `There was a problem processing your request. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+}
+
+/**
+ * Format the settings menu message
+ * @param {Object} settings - User settings
+ * @returns {string} Formatted settings message
+ */
+function formatSettingsMessage(settings) {
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
+  return `${border}` +
+         `        ⚙️ *SETTINGS* ⚙️\n\n` +
+         `🎯 Default focus: *${settings.focusDuration} min*\n` +
+         `☕ Break length: *${settings.breakDuration} min*\n` +
+         `🍅 Long break every *${settings.longBreakInterval}* sessions\n` +
+         `⏳ Maximum session: *${settings.maxSessionLength} min*\n` +
+         `💬 Motivational messages: *${settings.motivationalMessages ? 'On' : 'Off'}*\n` +
+         `🔔 Sound notifications: *${settings.soundNotifications ? 'On' : 'Off'}*\n` +
+         `🗑️ Keep deleted items: *${settings.trashRetentionDays} days*\n` +
+         `🏆 Show me on leaderboards: *${settings.showOnLeaderboard ? 'On' : 'Off'}*\n` +
+         `🌍 Timezone: ${escapeMarkdown(settings.timezone || 'Server default')} (change with /timezone)\n\n` +
+         `Use the buttons below to adjust your settings.\n` +
+         `${borderEnd}`;
+}
+
+/**
+ * Handler for the /settings command
+ * @param {Object} msg - Telegram message object
+ */
+function handleSettingsCommand(msg) {
+  const chatId = msg.chat.id;
+  const settings = getUserSettings(chatId);
   
   bot.sendMessage(
     chatId,
-    `*📚 Study Focus Bot Help*\n\n` +
-    `*Timer Commands:*\n` +
-    `• /focus [minutes] - Start a focus timer (default options: 25, 45, 60 min)\n` +
-    `• /custom_time [duration] - Start a custom timer with specific duration\n` +
-    `• /stop - Stop the current timer\n` +
-    `• /pause - Pause the current timer\n` +
-    `• /resume - Resume a paused timer\n\n` +
-    `*Task Commands:*\n` +
-    `• /tasks - View your task list\n` +
-    `• /addtask [description] - Add a new task\n` +
-    `• /complete [ID] - Mark a task as complete or incomplete\n` +
-    `• /delete [ID] - Delete a task\n\n` +
-    `*Notes Commands:*\n` +
-    `• /notes - View your saved notes\n` +
-    `• /addnote [content] - Save a new note\n` +
-    `• /deletenote [ID] - Delete a saved note\n\n` +
-    `*Statistics:*\n` +
-    `• /stats - View your study statistics\n\n` +
-    `*Other Commands:*\n` +
-    `• /start - Start the bot\n` +
-    `• /help - Show this help message`,
+    formatSettingsMessage(settings),
     {
-      parse_mode: 'Markdown'
+      parse_mode: 'Markdown',
+      reply_markup: settingsKeyboard(settings)
     }
   );
 }
 
 /**
- * Handler for the /focus command
- * @param {Object} msg - Telegram message object
- * @param {Array} match - Regex match array
+ * Handler for settings menu callbacks
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the settings message to update
+ * @param {string} action - Callback action (e.g., settings_inc_focusDuration)
  */
-async function handleFocusCommand(msg, match) {
-  const chatId = msg.chat.id;
-  const durationInput = match[1]; // This will capture any text after /focus
+async function handleSettingsCallback(callbackQueryId, chatId, messageId, action) {
+  bot.answerCallbackQuery(callbackQueryId);
   
-  if (durationInput) {
-    // If duration is provided, try to parse it
-    const duration = parseDuration(durationInput);
+  const [, operation, key] = action.split('_');
+  const settings = getUserSettings(chatId);
+  const limits = getSettingsLimits();
+  
+  if (operation === 'noop') {
+    return;
+  } else if (operation === 'reset') {
+    // The timezone is set separately through /timezone, and a privacy choice shouldn't be undone by a reset
+    updateUserSettings(chatId, { ...getDefaultSettings(), timezone: settings.timezone, showOnLeaderboard: settings.showOnLeaderboard });
+  } else if (operation === 'toggle' && typeof settings[key] === 'boolean') {
+    updateUserSettings(chatId, { [key]: !settings[key] });
+  } else if ((operation === 'inc' || operation === 'dec') && limits[key]) {
+    const { min, max, step } = limits[key];
+    const value = Math.min(max, Math.max(min, settings[key] + (operation === 'inc' ? step : -step)));
+    const update = { [key]: value };
     
-    if (duration && duration > 0 && duration <= 120) { // Limit to 2 hours max
-      const result = await startFocusTimer(chatId, duration);
-      // If result is null, a timer is already running (message is shown in startFocusTimer)
-    } else {
-      // Create a decorative error message
-      const border = '┏' + '━'.repeat(28) + '┓\n';
-      const borderEnd = '┗' + '━'.repeat(28) + '┛';
-      
-      bot.sendMessage(
-        chatId,
-        `${border}` +
-        `     ⚠️ *INVALID DURATION* ⚠️\n\n` +
-        `Please specify a valid duration between 1 and 120 minutes.\n\n` +
-        `*Valid formats:*\n` +
-        `• Minutes only: \`25\`\n` +
-        `• Minutes with "m": \`45m\`\n` +
-        `• Hours with "h": \`1h\`\n` +
-        `• Hours and minutes: \`1h30m\`\n` +
-        `${borderEnd}`,
-        { parse_mode: 'Markdown' }
-      );
+    // Keep the default focus length within the maximum session length
+    if (key === 'maxSessionLength' && settings.focusDuration > value) {
+      update.focusDuration = value;
+    } else if (key === 'focusDuration' && value > settings.maxSessionLength) {
+      update.focusDuration = settings.maxSessionLength;
     }
-  } else {
-    // If no duration is provided, show enhanced duration options
-    const standardOptions = [
-      [
-        { text: '🕒 25 min', callback_data: 'focus_25' },
-        { text: '⏱ 45 min', callback_data: 'focus_45' },
-        { text: '⏰ 60 min', callback_data: 'focus_60' }
-      ],
-      [
-        { text: '📚 Study Session (90 min)', callback_data: 'focus_90' },
-        { text: '📖 Deep Work (120 min)', callback_data: 'focus_120' }
-      ],
-      [
-        { text: '⚙️ Custom Durations...', callback_data: 'focus_custom' }
-      ],
-      [
-        { text: '⌨️ Enter Specific Time', callback_data: 'focus_specific_time' }
-      ]
-    ];
     
-    // Create a decorative border
-    const border = '┏' + '━'.repeat(30) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    if (Object.keys(update).every(name => update[name] === settings[name])) {
+      return; // Already at the limit
+    }
     
-    bot.sendMessage(
-      chatId,
-      `${border}` +
-      `       ⏱ *TIMER SELECTION* ⏱\n\n` +
-      `Choose how long you want to focus:\n\n` +
-      `• Standard options (25, 45, 60 min)\n` +
-      `• Longer sessions (90, 120 min)\n` +
-      `• Custom durations menu\n` +
-      `• Enter a specific time\n` +
-      `${borderEnd}`,
+    updateUserSettings(chatId, update);
+  } else {
+    return;
+  }
+  
+  const updatedSettings = getUserSettings(chatId);
+  
+  try {
+    await bot.editMessageText(
+      formatSettingsMessage(updatedSettings),
       {
+        chat_id: chatId,
+        message_id: messageId,
         parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: standardOptions
-        }
+        reply_markup: settingsKeyboard(updatedSettings)
       }
     );
+  } catch (error) {
+    console.error('Error updating settings message:', error.message);
   }
 }
 
 /**
- * Handler for the /stop command
+ * Handler for the /timezone command
  * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
  */
-function handleStopFocusCommand(msg) {
+function handleTimezoneCommand(msg, match) {
   const chatId = msg.chat.id;
-  const session = getUserSession(chatId);
+  const timezoneInput = match[1];
   
-  if (session.isStudying) {
-    stopFocusTimer(chatId);
+  if (!timezoneInput) {
+    const settings = getUserSettings(chatId);
+    
+    // Create a decorative border
+    const border = '┏' + '━'.repeat(28) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(28) + '┛';
+    
     bot.sendMessage(
       chatId,
-      `⏹ *Timer stopped*\n\n` +
-      `Your focus session has been stopped.`,
+      `${border}` +
+      `        🌍 *TIMEZONE* 🌍\n\n` +
+      `Current timezone: ${escapeMarkdown(settings.timezone || 'Server default')}\n` +
+      `Your local time: *${userMoment(chatId).format('HH:mm')}*\n\n` +
+      `Your timezone decides which day your study time counts towards.\n\n` +
+      `*Set it with:*\n` +
+      `• A name: \`/timezone Europe/Berlin\`\n` +
+      `• An offset: \`/timezone UTC+3\`\n` +
+      `• Or share your location below\n` +
+      `${borderEnd}`,
       {
         parse_mode: 'Markdown',
-        ...mainKeyboard()
+        reply_markup: {
+          keyboard: [[{ text: '📍 Share location', request_location: true }]],
+          resize_keyboard: true,
+          one_time_keyboard: true
+        }
       }
     );
-  } else {
+    return;
+  }
+  
+  const timezone = parseTimezone(timezoneInput);
+  
+  if (!timezone) {
     bot.sendMessage(
       chatId,
-      `ℹ️ You don't have an active focus timer.`,
+      `⚠️ *Unknown timezone*\n\n` +
+      `"${escapeMarkdown(timezoneInput)}" is not a timezone I recognize.\n` +
+      `Try a name like \`Europe/Berlin\` or an offset like \`UTC+3\`.`,
       { parse_mode: 'Markdown' }
     );
+    return;
   }
+  
+  setUserTimezone(chatId, timezone);
 }
 
 /**
- * Handler for the /pause command
+ * Handler for location messages (used to derive the user's timezone)
  * @param {Object} msg - Telegram message object
  */
-async function handlePauseFocusCommand(msg) {
+function handleLocationMessage(msg) {
   const chatId = msg.chat.id;
   
-  const paused = await pauseFocusTimer(chatId);
+  // Approximate the UTC offset from longitude (15° per hour). Zone borders and
+  // daylight saving time aren't known this way, so the user is told to check it.
+  const offsetHours = Math.max(-12, Math.min(14, Math.round(msg.location.longitude / 15)));
   
-  if (paused) {
-    bot.sendMessage(
-      chatId,
-      `⏸ *Timer paused*\n\n` +
-      `Your focus session has been paused. Use /resume to continue.`,
-      { parse_mode: 'Markdown' }
-    );
-  } else {
-    bot.sendMessage(
-      chatId,
-      `ℹ️ You don't have an active focus timer or it's already paused.`,
-      { parse_mode: 'Markdown' }
-    );
+  setUserTimezone(
+    chatId,
+    timezoneFromOffset(offsetHours * 60),
+    `📍 This is only an estimate from your location, without daylight saving time.\n` +
+    `If your local time is off, set your zone by name, e.g. \`/timezone Europe/Madrid\`.`
+  );
+}
+
+/**
+ * Save a user's timezone and confirm it
+ * @param {number} chatId - Chat ID
+ * @param {string} timezone - IANA timezone name
+ * @param {string} [note] - Extra line for the confirmation
+ */
+function setUserTimezone(chatId, timezone, note = '') {
+  updateUserSettings(chatId, { timezone });
+  
+  bot.sendMessage(
+    chatId,
+    `✅ *Timezone updated*\n\n` +
+    `Your timezone is now ${escapeMarkdown(timezone)}.\n` +
+    `Your local time: *${userMoment(chatId).format('HH:mm')}*` +
+    (note ? `\n\n${note}` : ''),
+    {
+      parse_mode: 'Markdown',
+      ...mainKeyboard(chatId)
+    }
+  );
+}
+
+function handleStatsCommand(msg) {
+  const chatId = msg.chat.id;
+  
+  bot.sendMessage(
+    chatId,
+    getFormattedStats(chatId),
+    { 
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '📋 Tasks', callback_data: 'tasks' },
+            { text: '📝 Notes', callback_data: 'notes' }
+          ],
+          [
+            { text: '🔄 Refresh', callback_data: 'stats' }
+          ]
+        ]
+      }
+    }
+  );
+}
+
+/**
+ * Build the history message and keyboard for a page
+ * @param {number} chatId - Chat ID
+ * @param {number} page - Requested page
+ * @returns {Object} { text, keyboard }
+ */
+function buildHistoryPage(chatId, page) {
+  const history = getUserSessionHistory(chatId).slice().reverse();
+  const current = paginate(history, page, LIST_PAGE_SIZE);
+  
+  return {
+    text: formatHistoryMessage(chatId, current.items, current.page, current.totalPages),
+    keyboard: historyKeyboard(current.items, current.page, current.totalPages)
+  };
+}
+
+/**
+ * Handler for the /history command
+ * @param {Object} msg - Telegram message object
+ */
+function handleHistoryCommand(msg) {
+  const chatId = msg.chat.id;
+  const { text, keyboard } = buildHistoryPage(chatId, 1);
+  
+  bot.sendMessage(
+    chatId,
+    text,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    }
+  );
+}
+
+/**
+ * Handler for history page navigation callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the history message to update
+ * @param {number} page - Page to show
+ */
+async function handleHistoryPageCallback(callbackQueryId, chatId, messageId, page) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const { text, keyboard } = buildHistoryPage(chatId, page);
+  
+  try {
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    });
+  } catch (error) {
+    console.error('Error updating history message:', error.message);
   }
 }
 
 /**
- * Handler for the /resume command
- * @param {Object} msg - Telegram message object
+ * Handler for task list page navigation
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the task list message to update
+ * @param {number} page - Page to show
  */
-async function handleResumeFocusCommand(msg) {
-  const chatId = msg.chat.id;
+async function handleTasksPageCallback(callbackQueryId, chatId, messageId, page) {
+  bot.answerCallbackQuery(callbackQueryId);
   
-  const resumed = await resumeFocusTimer(chatId);
+  const tasks = getUserTaskList(chatId);
   
-  if (resumed) {
-    bot.sendMessage(
-      chatId,
-      `▶️ *Timer resumed*\n\n` +
-      `Your focus session has been resumed.`,
-      { parse_mode: 'Markdown' }
-    );
-  } else {
-    bot.sendMessage(
-      chatId,
-      `ℹ️ You don't have a paused focus timer.`,
-      { parse_mode: 'Markdown' }
-    );
+  try {
+    await bot.editMessageText(formatTasksMessage(tasks, chatId, page), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: taskKeyboard(tasks, page)
+    });
+  } catch (error) {
+    console.error('Error updating task list message:', error.message);
   }
 }
 
 /**
- * Handler for focus timer keyboard callback
+ * Handler for notes list page navigation
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
- * @param {number} duration - Focus duration in minutes
+ * @param {number} messageId - ID of the notes list message to update
+ * @param {number} page - Page to show
+ * @param {string|null} tag - Only show notes with this tag
  */
-async function handleFocusCallback(callbackQueryId, chatId, duration) {
+async function handleNotesPageCallback(callbackQueryId, chatId, messageId, page, tag = null) {
   bot.answerCallbackQuery(callbackQueryId);
   
-  if (duration === 'custom') {
-    // Create a more interactive custom timer selection
-    const customDurations = [
-      [
-        { text: '15 min', callback_data: 'focus_15' },
-        { text: '20 min', callback_data: 'focus_20' },
-        { text: '30 min', callback_data: 'focus_30' }
-      ],
-      [
-        { text: '40 min', callback_data: 'focus_40' },
-        { text: '50 min', callback_data: 'focus_50' },
-        { text: '70 min', callback_data: 'focus_70' }
-      ],
-      [
-        { text: '80 min', callback_data: 'focus_80' },
-        { text: '90 min', callback_data: 'focus_90' },
-        { text: '120 min', callback_data: 'focus_120' }
-      ],
-      [
-        { text: 'Specific Duration ⌨️', callback_data: 'focus_specific_time' }
-      ]
-    ];
+  const notes = getUserNotes(chatId);
+  
+  try {
+    await bot.editMessageText(formatNotesMessage(notes, chatId, page, tag), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: notesKeyboard(notes, page, tag)
+    });
+  } catch (error) {
+    console.error('Error updating notes message:', error.message);
+  }
+}
+
+/**
+ * Handler for history entry deletion callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the history message to update
+ * @param {number} entryId - History entry ID
+ * @param {number} page - Page the entry was shown on
+ */
+async function handleDeleteHistoryCallback(callbackQueryId, chatId, messageId, entryId, page) {
+  try {
+    bot.answerCallbackQuery(callbackQueryId);
     
-    // Send a message with custom duration options
-    bot.sendMessage(
-      chatId,
-      `⏱ *Custom Timer Selection*\n\n` +
-      `Choose from additional durations or select "Specific Duration" to enter a precise time:`,
-      { 
-        parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: customDurations
-        }
-      }
-    );
-    return;
-  } else if (duration === 'specific_time') {
-    // Set a flag in the user session that they're entering a custom duration
-    updateUserSession(chatId, { awaitingCustomDuration: true });
+    const deleted = deleteSessionHistoryEntry(chatId, entryId);
     
-    // Create a decorative message
-    const border = '┏' + '━'.repeat(30) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    if (!deleted) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Session not found*\n\n` +
+        `The session you tried to delete could not be found.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
     
-    bot.sendMessage(
-      chatId,
-      `${border}` +
-      `      ⌨️ *CUSTOM DURATION* ⌨️\n\n` +
-      `Please enter your desired study time.\n\n` +
-      `*Formats accepted:*\n` +
-      `• Minutes only: \`35\`\n` +
-      `• Minutes with "m": \`35m\`\n` +
-      `• Hours with "h": \`1h\`\n` +
-      `• Hours and minutes: \`1h20m\`\n\n` +
-      `*Limits:* 1-120 minutes\n` +
-      `${borderEnd}`,
-      { parse_mode: 'Markdown' }
-    );
-    return;
+    await handleHistoryPageCallback(callbackQueryId, chatId, messageId, page);
+  } catch (error) {
+    console.error('Error deleting history entry:', error.message);
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ *Error*\n\nThere was a problem deleting the session. Please try again later.",
+        { parse_mode: 'Markdown' }
+      );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
+    }
   }
-  
-  await startFocusTimer(chatId, parseInt(duration));
 }
 
 /**
- * Handler for stop focus callback
+ * Handler for stats callback
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
  */
-async function handleStopFocusCallback(callbackQueryId, chatId) {
+async function handleStatsCallback(callbackQueryId, chatId) {
   bot.answerCallbackQuery(callbackQueryId);
   
-  stopFocusTimer(chatId);
-  
   bot.sendMessage(
     chatId,
-    `⏹ *Timer stopped*\n\n` +
-    `Your focus session has been stopped.`,
-    {
-      parse_mode: 'Markdown',
-      ...mainKeyboard()
-    }
+    getFormattedStats(chatId),
+    { parse_mode: 'Markdown' }
   );
 }
 
 /**
- * Handler for pause focus callback
+ * Handler for tasks callback
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
  */
-async function handlePauseFocusCallback(callbackQueryId, chatId) {
+async function handleTasksCallback(callbackQueryId, chatId) {
   bot.answerCallbackQuery(callbackQueryId);
   
-  const paused = await pauseFocusTimer(chatId);
+  const tasks = getUserTaskList(chatId);
   
-  if (!paused) {
-    bot.sendMessage(
-      chatId,
-      `ℹ️ Unable to pause. Your timer may already be paused.`,
-      { parse_mode: 'Markdown' }
-    );
-  }
+  bot.sendMessage(
+    chatId,
+    formatTasksMessage(tasks, chatId),
+    { 
+      parse_mode: 'Markdown',
+      reply_markup: taskKeyboard(tasks)
+    }
+  );
 }
 
 /**
- * Handler for resume focus callback
+ * Handler for add task callback
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
  */
-async function handleResumeFocusCallback(callbackQueryId, chatId) {
-  bot.answerCallbackQuery(callbackQueryId);
-  
-  const resumed = await resumeFocusTimer(chatId);
-  
-  if (!resumed) {
-    bot.sendMessage(
-      chatId,
-      `ℹ️ Unable to resume. You may not have a paused timer.`,
-      { parse_mode: 'Markdown' }
-    );
-  }
-}
-
-/**
- * Handler for the /custom_time command
- * @param {Object} msg - Telegram message object
- * @param {Array} match - Regex match array
- */
-async function handleCustomTimeCommand(msg, match) {
-  const chatId = msg.chat.id;
-  const durationStr = match[1]; // Get the duration from the command
-  
-  console.log(`Custom time command received from ${chatId} with duration: ${durationStr}`);
-  
-  // If no duration provided, prompt user for input
-  if (!durationStr) {
-    // Set the flag for awaiting custom duration
-    updateUserSession(chatId, { awaitingCustomDuration: true });
-    console.log(`Setting awaitingCustomDuration to true for user ${chatId} via command`);
+async function handleAddTaskCallback(callbackQueryId, chatId) {
+  try {
+    // Update user session to indicate waiting for task input
+    updateUserSession(chatId, {
+      awaitingTaskInput: true,
+      awaitingCustomDuration: false,
+      awaitingNoteInput: false,
+      awaitingTaskEdit: null,
+      awaitingNoteEdit: null,
+      awaitingNoteTag: null,
+      awaitingImport: false
+    });
     
     // Create a decorative border
     const border = '┏' + '━'.repeat(30) + '┓\n';
     const borderEnd = '┗' + '━'.repeat(30) + '┛';
     
+    // Send prompt message
     await bot.sendMessage(
       chatId,
       `${border}` +
-      `     ⌨️ *CUSTOM FOCUS TIMER* ⌨️\n\n` +
-      `Please enter your desired study time now.\n\n` +
-      `*Formats accepted:*\n` +
-      `• Minutes only: \`35\`\n` +
-      `• Minutes with "m": \`35m\`\n` +
-      `• Hours with "h": \`1h\`\n` +
-      `• Hours and minutes: \`1h20m\`\n\n` +
-      `*Valid range:* 1-120 minutes\n` +
+      `       ➕ *ADD NEW TASK* ➕\n\n` +
+      `Please enter your task description. Be as specific as possible for better task management.\n\n` +
+      `*Examples:*\n` +
+      `• Read chapter 3 of physics textbook\n` +
+      `• Complete math homework problems 1-10\n` +
+      `• Study for tomorrow's history quiz\n\n` +
+      `_Add !high, !medium or !low for a priority, @friday, @tomorrow or @25/10 for a due date and ~daily, ~weekdays or ~mon,thu to repeat it._\n` +
       `${borderEnd}`,
       { parse_mode: 'Markdown' }
     );
-    return;
-  }
-  
-  // Parse the provided duration
-  const duration = parseDuration(durationStr);
-  console.log(`Parsed duration: ${duration} minutes from command parameter`);
-  
-  // Validate the duration
-  if (duration && duration >= 1 && duration <= 120) {
-    // Valid duration within limits, start the timer
-    const result = await startFocusTimer(chatId, duration);
+  } catch (error) {
+    console.error('Error handling add task callback:', error.message);
     
-    // Only show confirmation if timer was successfully started
-    if (result) {
-      // Border for the confirmation message
-      const border = '┏' + '━'.repeat(25) + '┓\n';
-      const borderEnd = '┗' + '━'.repeat(25) + '┛';
-      
+    try {
       await bot.sendMessage(
         chatId,
-        `${border}` +
-        `   ✅ *CUSTOM TIMER STARTED* ✅\n\n` +
-        `Successfully started a *${duration}-minute* timer.\n` +
-        `Stay focused and productive!\n` +
-        `${borderEnd}`,
+        "⚠️ *Error*\n\nThere was a problem processing your request. Please try using the command `/addtask [description]` instead.",
         { parse_mode: 'Markdown' }
       );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
     }
-  } else {
-    // Invalid duration
+  }
+}
+
+/**
+ * Handler for refresh tasks callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ */
+async function handleRefreshTasksCallback(callbackQueryId, chatId) {
+  try {
+    // Get updated task list
+    const tasks = getUserTaskList(chatId);
+    
+    // Send updated task list with inline buttons
     await bot.sendMessage(
       chatId,
-      `⚠️ *Invalid Duration*\n\n` +
-      `Please provide a valid duration between 1 and 120 minutes.\n` +
-      `You entered: "${durationStr}"\n\n` +
-      `Try again with the /custom_time command followed by a valid duration.`,
-      { parse_mode: 'Markdown' }
+      formatTasksMessage(tasks, chatId),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: taskKeyboard(tasks)
+      }
     );
+  } catch (error) {
+    console.error('Error refreshing tasks:', error.message);
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ *Error*\n\nThere was a problem refreshing your task list. Please try using the command `/tasks` instead.",
+        { parse_mode: 'Markdown' }
+      );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
+    }
   }
 }
 
 /**
- * Handler for the /tasks command
- * @param {Object} msg - Telegram message object
+ * Handler for notes callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
  */
-function handleListTasksCommand(msg) {
-  const chatId = msg.chat.id;
-  const tasks = getUserTaskList(chatId);
+async function handleNotesCallback(callbackQueryId, chatId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const notes = getUserNotes(chatId);
   
   bot.sendMessage(
     chatId,
-    formatTasksMessage(tasks),
+    formatNotesMessage(notes, chatId),
     { 
       parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '➕ Add New Task', callback_data: 'add_task' }],
-          [
-            { text: '🔄 Refresh List', callback_data: 'refresh_tasks' },
-            { text: '📊 Stats', callback_data: 'stats' }
-          ]
-        ]
-      }
+      reply_markup: notesKeyboard(notes)
     }
   );
 }
 
 /**
- * Handler for the /addtask command
- * @param {Object} msg - Telegram message object
- * @param {Array} match - Regex match array
+ * Handler for add note callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
  */
-function handleAddTaskCommand(msg, match) {
-  const chatId = msg.chat.id;
-  const taskText = match[1]; // This will capture the text after /addtask
-  
-  if (!taskText || taskText.trim() === '') {
-    bot.sendMessage(
+async function handleAddNoteCallback(callbackQueryId, chatId) {
+  try {
+    // Update user session to indicate waiting for note input
+    updateUserSession(chatId, {
+      awaitingNoteInput: true,
+      awaitingCustomDuration: false,
+      awaitingTaskInput: false,
+      awaitingTaskEdit: null,
+      awaitingNoteEdit: null,
+      awaitingNoteTag: null,
+      awaitingImport: false
+    });
+    
+    // Create a decorative border
+    const border = '┏' + '━'.repeat(30) + '┓\n';
+    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    
+    // Send prompt message
+    await bot.sendMessage(
       chatId,
-      `⚠️ *Task description is required*\n\n` +
-      `Please provide a description for your task.\n` +
-      `Example: \`/addtask Read chapter 5\``,
+      `${border}` +
+      `       ➕ *ADD NEW NOTE* ➕\n\n` +
+      `Please enter the content for your note. You can add any important information you want to remember.\n` +
+      `You can also send a photo, document or voice message; its caption becomes the note text.\n\n` +
+      `*Examples:*\n` +
+      `• Exam topics: History (1800-1900), Economics\n` +
+      `• Physics formula: F = ma\n` +
+      `• Research project ideas for science class\n` +
+      `${borderEnd}`,
       { parse_mode: 'Markdown' }
     );
-    return;
+  } catch (error) {
+    console.error('Error handling add note callback:', error.message);
+    
+    try {
+      await bot.sendMessage(
+        chatId,
+        "⚠️ *Error*\n\nThere was a problem processing your request. Please try using the command `/addnote [content]` instead.",
+        { parse_mode: 'Markdown' }
+      );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
+    }
   }
-  
-  const newTask = createTask(chatId, taskText.trim());
-  
-  bot.sendMessage(
-    chatId,
-    `✅ *Task added*\n\n` +
-    `Task ${newTask.id}: ${newTask.text}\n\n` +
-    `Use /tasks to see all your tasks.`,
-    { parse_mode: 'Markdown' }
-  );
 }
 
 /**
- * Handler for the /complete command
- * @param {Object} msg - Telegram message object
- * @param {Array} match - Regex match array
+ * Handler for refresh notes callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
  */
-function handleCompleteTaskCommand(msg, match) {
+async function handleRefreshNotesCallback(callbackQueryId, chatId) {
   try {
-    const chatId = msg.chat.id;
+    // Get updated notes list
+    const notes = getUserNotes(chatId);
     
-    // If no task ID is provided, show task list with buttons
-    if (!match[1]) {
-      const tasks = getUserTaskList(chatId);
-      
-      if (tasks.length === 0) {
-        bot.sendMessage(
-          chatId,
-          `📋 *No tasks found*\n\n` +
-          `You don't have any tasks to complete yet.\n` +
-          `Use /addtask [description] to add a new task.`,
-          { parse_mode: 'Markdown' }
-        );
-        return;
+    // Send updated notes list with inline buttons
+    await bot.sendMessage(
+      chatId,
+      formatNotesMessage(notes, chatId),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: notesKeyboard(notes)
       }
-      
-      const taskButtons = tasks.map(task => {
-        const status = task.completed ? '✅' : '⬜';
-        return [
-          { 
-            text: `${status} ${task.id}. ${task.text.substring(0, 30)}${task.text.length > 30 ? '...' : ''}`, 
-            callback_data: `complete_task_${task.id}`
-          }
-        ];
-      });
-      
-      // Add a cancel button
-      taskButtons.push([{ text: '❌ Cancel', callback_data: 'refresh_tasks' }]);
-      
-      bot.sendMessage(
-        chatId,
-        `🔄 *Select a task to mark as complete/incomplete*\n\n` +
-        `Tap on a task to toggle its completion status:`,
-        { 
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: taskButtons
-          }
-        }
-      );
-      return;
-    }
-    
-    const taskId = parseInt(match[1]); // This will capture the ID after /complete
-    
-    if (isNaN(taskId)) {
-      bot.sendMessage(
-        chatId,
-        `⚠️ *Invalid task ID*\n\n` +
-        `Please provide a valid task ID.\n` +
-        `Example: \`/complete 1\``,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
-    
-    console.log(`Attempting to toggle completion for task ID: ${taskId}`);
-    const updatedTask = toggleTaskCompletion(chatId, taskId);
+    );
+  } catch (error) {
+    console.error('Error refreshing notes:', error.message);
     
-    if (updatedTask) {
-      const status = updatedTask.completed ? 'completed' : 'marked as incomplete';
-      bot.sendMessage(
-        chatId,
-        `✓ *Task ${status}*\n\n` +
-        `Task ${updatedTask.id}: ${updatedTask.text}\n\n` +
-        `Use /tasks to see all your tasks.`,
-        { 
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '📋 View Task List', callback_data: 'refresh_tasks' }]
-            ]
-          }
-        }
-      );
-    } else {
-      bot.sendMessage(
+    try {
+      await bot.sendMessage(
         chatId,
-        `⚠️ *Task not found*\n\n` +
-        `No task found with ID ${taskId}.\n` +
-        `Use /tasks to see all your tasks.`,
+        "⚠️ *Error*\n\nThere was a problem refreshing your notes. Please try using the command `/notes` instead.",
         { parse_mode: 'Markdown' }
       );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
     }
-  } catch (error) {
-    console.error(`Error in handleCompleteTaskCommand: ${error.message}`);
-    bot.sendMessage(
-      msg.chat.id,
-      `⚠️ *Error*\n\nThere was a problem processing your request. Please try again.`,
-      { parse_mode: 'Markdown' }
-    );
   }
 }
 
 /**
- * Handler for the /delete command
- * @param {Object} msg - Telegram message object
- * @param {Array} match - Regex match array
+ * Handler for view note callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} noteId - Note ID
  */
-function handleDeleteTaskCommand(msg, match) {
+async function handleViewNoteCallback(callbackQueryId, chatId, noteId) {
   try {
-    const chatId = msg.chat.id;
-    
-    // If no task ID is provided, show task list with delete buttons
-    if (!match[1]) {
-      const tasks = getUserTaskList(chatId);
-      
-      if (tasks.length === 0) {
-        bot.sendMessage(
-          chatId,
-          `📋 *No tasks found*\n\n` +
-          `You don't have any tasks to delete yet.\n` +
-          `Use /addtask [description] to add a new task.`,
-          { parse_mode: 'Markdown' }
-        );
-        return;
-      }
-      
-      const taskButtons = tasks.map(task => {
-        const status = task.completed ? '✅' : '⬜';
-        return [
-          { 
-            text: `${status} ${task.id}. ${task.text.substring(0, 25)}${task.text.length > 25 ? '...' : ''}`, 
-            callback_data: `delete_task_${task.id}`
-          }
-        ];
-      });
-      
-      // Add a cancel button
-      taskButtons.push([{ text: '❌ Cancel', callback_data: 'refresh_tasks' }]);
-      
-      bot.sendMessage(
-        chatId,
-        `🗑️ *Select a task to delete*\n\n` +
-        `Tap on a task to delete it.\n` +
-        `⚠️ *Warning:* This action cannot be undone!`,
-        { 
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: taskButtons
-          }
-        }
-      );
-      return;
-    }
+    bot.answerCallbackQuery(callbackQueryId);
     
-    const taskId = parseInt(match[1]); // This will capture the ID after /delete
+    const notes = getUserNotes(chatId);
+    const note = notes.find(n => n.id === noteId);
     
-    if (isNaN(taskId)) {
-      bot.sendMessage(
+    if (!note) {
+      await bot.sendMessage(
         chatId,
-        `⚠️ *Invalid task ID*\n\n` +
-        `Please provide a valid task ID.\n` +
-        `Example: \`/delete 1\``,
+        `⚠️ *Note not found*\n\n` +
+        `The note you requested could not be found.`,
         { parse_mode: 'Markdown' }
       );
       return;
     }
     
-    console.log(`Attempting to delete task ID: ${taskId}`);
-    const deleted = removeTask(chatId, taskId);
-    
-    if (deleted) {
-      bot.sendMessage(
-        chatId,
-        `🗑️ *Task deleted*\n\n` +
-        `Task ${taskId} has been deleted.\n\n` +
-        `Use /tasks to see all your remaining tasks.`,
-        { 
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: '📋 View Task List', callback_data: 'refresh_tasks' }]
-            ]
-          }
-        }
-      );
-    } else {
-      bot.sendMessage(
+    if (note.attachment) {
+      try {
+        await sendNoteAttachment(chatId, note);
+      } catch (error) {
+        // Still show the note if Telegram no longer has the file
+        console.error('Error sending note attachment:', error.message);
+      }
+    }
+    
+    await bot.sendMessage(
+      chatId,
+      formatNoteMessage(note, chatId),
+      { 
+        parse_mode: 'Markdown',
+        reply_markup: noteKeyboard(note, notes)
+      }
+    );
+  } catch (error) {
+    console.error('Error viewing note:', error.message);
+    
+    try {
+      await bot.sendMessage(
         chatId,
-        `⚠️ *Task not found*\n\n` +
-        `No task found with ID ${taskId}.\n` +
-        `Use /tasks to see all your tasks.`,
+        "⚠️ *Error*\n\nThere was a problem viewing the note. Please try again later.",
         { parse_mode: 'Markdown' }
       );
+    } catch (msgError) {
+      console.error('Error sending error notification:', msgError.message);
     }
-  } catch (error) {
-    console.error(`Error in handleDeleteTaskCommand: ${error.message}`);
-    bot.sendMessage(
-      msg.chat.id,
-      `⚠️ *Error*\n\nThere was a problem processing your request. Please try again.`,
-      { parse_mode: 'Markdown' }
-    );
   }
 }
 
 /**
- * Handler for task completion callback
+ * Handler for delete note callback
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
- * @param {number} taskId - Task ID
+ * @param {number} noteId - Note ID
  */
-async function handleCompleteTaskCallback(callbackQueryId, chatId, taskId) {
+async function handleDeleteNoteCallback(callbackQueryId, chatId, noteId) {
   try {
     bot.answerCallbackQuery(callbackQueryId);
     
-    console.log(`Toggling completion for task ID: ${taskId} via callback`);
-    const updatedTask = toggleTaskCompletion(chatId, taskId);
+    const deleted = deleteUserNote(chatId, noteId);
     
-    if (updatedTask) {
-      const tasks = getUserTaskList(chatId);
+    if (deleted) {
+      await bot.sendMessage(
+        chatId,
+        formatDeletedMessage([deleted]),
+        {
+          parse_mode: 'Markdown',
+          reply_markup: undoKeyboard([deleted], 'notes')
+        }
+      );
       
-      try {
-        await bot.sendMessage(
-          chatId,
-          formatTasksMessage(tasks),
-          { 
-            parse_mode: 'Markdown',
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '➕ Add New Task', callback_data: 'add_task' }],
-                [
-                  { text: '🔄 Refresh List', callback_data: 'refresh_tasks' },
-                  { text: '📊 Stats', callback_data: 'stats' }
-                ]
-              ]
-            }
-          }
-        );
-      } catch (error) {
-        console.error('Error sending updated task list:', error.message);
-      }
+      // Show updated notes list
+      await handleNotesCallback(callbackQueryId, chatId);
+    } else {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Note not found*\n\n` +
+        `The note you tried to delete could not be found.`,
+        { parse_mode: 'Markdown' }
+      );
     }
   } catch (error) {
-    console.error(`Error in handleCompleteTaskCallback: ${error.message}`);
+    console.error('Error deleting note:', error.message);
     
     try {
       await bot.sendMessage(
         chatId,
-        "⚠️ *Error*\n\nThere was a problem completing your task. Please try again.",
+        "⚠️ *Error*\n\nThere was a problem deleting the note. Please try again later.",
         { parse_mode: 'Markdown' }
       );
     } catch (msgError) {
@@ -2311,49 +9697,50 @@ async function handleCompleteTaskCallback(callbackQueryId, chatId, taskId) {
 }
 
 /**
- * Handler for task deletion callback
+ * Handler for the Undo button on a deletion confirmation
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
- * @param {number} taskId - Task ID
+ * @param {number} messageId - ID of the confirmation message to update
+ * @param {number} firstId - Trash entry ID of the first deleted item
+ * @param {number} lastId - Trash entry ID of the last deleted item (IDs from one deletion are consecutive)
  */
-async function handleDeleteTaskCallback(callbackQueryId, chatId, taskId) {
+async function handleUndoDeleteCallback(callbackQueryId, chatId, messageId, firstId, lastId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
   try {
-    bot.answerCallbackQuery(callbackQueryId);
-    
-    console.log(`Deleting task ID: ${taskId} via callback`);
-    const deleted = removeTask(chatId, taskId);
+    const entries = getUserTrash(chatId)
+      .filter(entry => entry.id >= firstId && entry.id <= lastId)
+      .sort((a, b) => a.id - b.id);
+    const several = lastId > firstId;
+    let message;
     
-    if (deleted) {
-      const tasks = getUserTaskList(chatId);
-      
-      try {
-        await bot.sendMessage(
-          chatId,
-          formatTasksMessage(tasks),
-          { 
-            parse_mode: 'Markdown',
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: '➕ Add New Task', callback_data: 'add_task' }],
-                [
-                  { text: '🔄 Refresh List', callback_data: 'refresh_tasks' },
-                  { text: '📊 Stats', callback_data: 'stats' }
-                ]
-              ]
-            }
-          }
-        );
-      } catch (error) {
-        console.error('Error sending updated task list:', error.message);
-      }
+    if (entries.length === 0) {
+      message = `⚠️ *Nothing to undo*\n\n` +
+        `${several ? 'These items were' : 'This item was'} already restored or removed from the trash.`;
+    } else if (!canUndoDeletion(entries[0])) {
+      message = `⌛ *Undo expired*\n\n` +
+        `The ${UNDO_WINDOW_MINUTES} minute undo window has passed.\n` +
+        `You can still restore ${several ? 'the items' : 'the item'} from /trash.`;
+    } else {
+      const restored = entries.map(entry => restoreFromTrash(chatId, entry.id));
+      const label = restored[0].type === 'task' ? 'Task' : 'Note';
+      const shorten = (text) => escapeMarkdown(text.length > 40 ? text.substring(0, 40) + '...' : text);
+      message = `↩️ *${restored.length > 1 ? `${restored.length} ${label.toLowerCase()}s` : label} restored*\n\n` +
+        joinLimitedLines(restored.map(entry => `*${entry.item.id}.* ${shorten(entry.item.text)}`));
     }
+    
+    await bot.editMessageText(message, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown'
+    });
   } catch (error) {
-    console.error(`Error in handleDeleteTaskCallback: ${error.message}`);
+    console.error('Error in handleUndoDeleteCallback:', error);
     
     try {
       await bot.sendMessage(
         chatId,
-        "⚠️ *Error*\n\nThere was a problem deleting your task. Please try again.",
+        "⚠️ *Error*\n\nThere was a problem restoring the item. Please try again.",
         { parse_mode: 'Markdown' }
       );
     } catch (msgError) {
@@ -2363,297 +9750,293 @@ async function handleDeleteTaskCallback(callbackQueryId, chatId, taskId) {
 }
 
 /**
- * Handler for the /notes command
+ * Handler for the /trash command
  * @param {Object} msg - Telegram message object
  */
-function handleListNotesCommand(msg) {
+function handleTrashCommand(msg) {
   const chatId = msg.chat.id;
-  const notes = getUserNotes(chatId);
-  
-  let message;
-  
-  // Create a decorative border
-  const border = '┏' + '━'.repeat(30) + '┓\n';
-  const borderEnd = '┗' + '━'.repeat(30) + '┛';
-  
-  if (notes.length === 0) {
-    message = `${border}` +
-      `        📝 *YOUR NOTES* 📝\n\n` +
-      `You don't have any saved notes yet.\n\n` +
-      `To add a note, use the command:\n` +
-      `/addnote [your note content]\n\n` +
-      `Notes are a great way to save important\n` +
-      `information during your study sessions.\n` +
-      `${borderEnd}`;
-  } else {
-    let notesList = '';
-    for (const note of notes) {
-      const date = new Date(note.createdAt);
-      const dateStr = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
-      notesList += `*${note.id}.* ${note.text}\n`;
-      notesList += `   _Added on ${dateStr}_\n\n`;
-    }
-    
-    message = `${border}` +
-      `        📝 *YOUR NOTES* 📝\n\n` +
-      notesList +
-      `${borderEnd}`;
-  }
+  const trash = getUserTrash(chatId);
   
   bot.sendMessage(
     chatId,
-    message,
-    { 
+    formatTrashMessage(trash, chatId),
+    {
       parse_mode: 'Markdown',
-      reply_markup: notesKeyboard(notes)
+      reply_markup: trashKeyboard(trash)
     }
   );
 }
 
 /**
- * Handler for the /addnote command
- * @param {Object} msg - Telegram message object
- * @param {Array} match - Regex match array
+ * Handler for trash menu callbacks
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the trash message to update
+ * @param {string} action - Callback action (e.g., trash_restore_3_1)
  */
-function handleAddNoteCommand(msg, match) {
-  const chatId = msg.chat.id;
-  const noteText = match[1]; // This will capture the text after /addnote
+async function handleTrashCallback(callbackQueryId, chatId, messageId, action) {
+  bot.answerCallbackQuery(callbackQueryId);
   
-  if (!noteText || noteText.trim() === '') {
-    bot.sendMessage(
-      chatId,
-      `⚠️ *Note content is required*\n\n` +
-      `Please provide content for your note.\n` +
-      `Example: \`/addnote Important formula: E=mc²\``,
-      { parse_mode: 'Markdown' }
-    );
-    return;
-  }
+  const [, operation, value, pageValue] = action.split('_');
+  let page = parseInt(pageValue) || 1;
   
   try {
-    const newNote = addUserNote(chatId, noteText.trim());
+    if (operation === 'page') {
+      page = parseInt(value);
+    } else if (operation === 'restore') {
+      restoreFromTrash(chatId, parseInt(value));
+    } else if (operation === 'purge') {
+      purgeUserTrashItem(chatId, parseInt(value));
+    } else if (operation === 'empty' && value === 'ask') {
+      // Emptying can't be taken back, so ask first
+      await bot.editMessageText(
+        `🧹 *Empty the trash?*\n\n` +
+        `${getUserTrash(chatId).length} item(s) will be deleted for good.`,
+        {
+          chat_id: chatId,
+          message_id: messageId,
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '🧹 Empty trash', callback_data: 'trash_empty_yes' },
+                { text: '❌ Cancel', callback_data: 'trash_page_1' }
+              ]
+            ]
+          }
+        }
+      );
+      return;
+    } else if (operation === 'empty' && value === 'yes') {
+      purgeUserTrash(chatId);
+    }
     
-    // Create a decorative border
-    const border = '┏' + '━'.repeat(28) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(28) + '┛';
+    const trash = getUserTrash(chatId);
     
-    bot.sendMessage(
-      chatId,
-      `${border}` +
-      `     ✅ *NOTE ADDED* ✅\n\n` +
-      `Note ${newNote.id}: ${newNote.text}\n\n` +
-      `Use /notes to see all your notes.\n` +
-      `${borderEnd}`,
-      { parse_mode: 'Markdown' }
+    await bot.editMessageText(
+      formatTrashMessage(trash, chatId, page),
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: trashKeyboard(trash, page)
+      }
     );
   } catch (error) {
-    console.error(`Error in handleAddNoteCommand: ${error.message}`);
-    bot.sendMessage(
-      chatId,
-      `⚠️ *Error saving note*\n\n` +
-      `There was a problem saving your note. Please try again.`,
-      { parse_mode: 'Markdown' }
-    );
+    console.error('Error updating trash message:', error.message);
   }
 }
 
 /**
- * Handler for the /deletenote command
+ * Handler for the /search command
  * @param {Object} msg - Telegram message object
  * @param {Array} match - Regex match array
  */
-function handleDeleteNoteCommand(msg, match) {
-  try {
-    const chatId = msg.chat.id;
-    
-    // If no note ID is provided, show notes list with delete buttons
-    if (!match[1]) {
-      const notes = getUserNotes(chatId);
-      
-      if (notes.length === 0) {
-        bot.sendMessage(
-          chatId,
-          `📝 *No notes found*\n\n` +
-          `You don't have any notes to delete yet.\n` +
-          `Use /addnote [content] to add a new note.`,
-          { parse_mode: 'Markdown' }
-        );
-        return;
-      }
-      
-      // Create note buttons with delete options
-      const noteButtons = [];
-      for (const note of notes) {
-        noteButtons.push([
-          { 
-            text: `🗑️ Delete: ${note.text.substring(0, 30)}${note.text.length > 30 ? '...' : ''}`, 
-            callback_data: `delete_note_${note.id}` 
-          }
-        ]);
-      }
-      
-      // Add cancel button
-      noteButtons.push([
-        { text: '❌ Cancel', callback_data: 'notes' }
-      ]);
-      
-      bot.sendMessage(
-        chatId,
-        `*Select a note to delete:*\n\n` +
-        `Please choose which note you want to delete:`,
-        { 
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: noteButtons
-          }
-        }
-      );
-      return;
-    }
-    
-    // If note ID is provided, delete it directly
-    const noteId = parseInt(match[1], 10);
-    
-    if (isNaN(noteId)) {
-      bot.sendMessage(
-        chatId,
-        `⚠️ *Invalid note ID*\n\n` +
-        `Please provide a valid note ID.\n` +
-        `Example: \`/deletenote 1\``,
-        { parse_mode: 'Markdown' }
-      );
-      return;
-    }
-    
-    const deleted = deleteUserNote(chatId, noteId);
+function handleSearchCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const query = match[1] ? match[1].trim() : '';
+  
+  if (!query) {
+    bot.sendMessage(
+      chatId,
+      `🔍 *Search*\n\n` +
+      `Find tasks and notes, including completed and deleted ones:\n` +
+      `\`/search [words]\`\n\n` +
+      `Example: \`/search formula sheet\``,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  try {
+    const results = searchUserItems(chatId, query);
     
-    if (deleted) {
-      bot.sendMessage(
-        chatId,
-        `✅ *Note deleted*\n\n` +
-        `Your note has been deleted successfully.`,
-        { parse_mode: 'Markdown' }
-      );
-    } else {
-      bot.sendMessage(
-        chatId,
-        `⚠️ *Note not found*\n\n` +
-        `Could not find a note with ID ${noteId}.\n` +
-        `Use /notes to see all your notes with their IDs.`,
-        { parse_mode: 'Markdown' }
-      );
-    }
+    bot.sendMessage(
+      chatId,
+      formatSearchMessage(query, results),
+      {
+        parse_mode: 'Markdown',
+        reply_markup: searchKeyboard(results)
+      }
+    );
   } catch (error) {
-    console.error(`Error in handleDeleteNoteCommand: ${error.message}`);
+    console.error('Error in handleSearchCommand:', error);
     bot.sendMessage(
-      msg.chat.id,
-      `⚠️ *Error deleting note*\n\n` +
-      `There was a problem processing your request. Please try again.`,
+      chatId,
+      `⚠️ *Error*\n\nThere was a problem searching. Please try again.`,
       { parse_mode: 'Markdown' }
     );
   }
 }
 
-function handleStatsCommand(msg) {
-  const chatId = msg.chat.id;
+/**
+ * Handler for a tag button on a note
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the note message to update
+ * @param {number} noteId - Note ID
+ * @param {string} tag - Tag to add or remove
+ */
+async function handleNoteTagCallback(callbackQueryId, chatId, messageId, noteId, tag) {
+  bot.answerCallbackQuery(callbackQueryId);
   
-  bot.sendMessage(
-    chatId,
-    getFormattedStats(chatId),
-    { 
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [
-            { text: '📋 Tasks', callback_data: 'tasks' },
-            { text: '📝 Notes', callback_data: 'notes' }
-          ],
-          [
-            { text: '🔄 Refresh', callback_data: 'stats' }
-          ]
-        ]
-      }
+  try {
+    const note = normalizeTag(tag) ? toggleNoteTag(chatId, noteId, normalizeTag(tag)) : null;
+    
+    if (!note) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Note not found*\n\n` +
+        `The note you requested could not be found.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
     }
-  );
+    
+    await bot.editMessageText(formatNoteMessage(note, chatId), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: noteKeyboard(note, getUserNotes(chatId))
+    });
+  } catch (error) {
+    console.error('Error in handleNoteTagCallback:', error.message);
+  }
 }
 
 /**
- * Handler for stats callback
+ * Handler for the new tag button on a note
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
+ * @param {number} noteId - Note ID
  */
-async function handleStatsCallback(callbackQueryId, chatId) {
+async function handleNewNoteTagCallback(callbackQueryId, chatId, noteId) {
   bot.answerCallbackQuery(callbackQueryId);
   
-  bot.sendMessage(
+  updateUserSession(chatId, {
+    awaitingNoteTag: noteId,
+    awaitingNoteEdit: null,
+    awaitingTaskEdit: null,
+    awaitingTaskInput: false,
+    awaitingNoteInput: false,
+    awaitingCustomDuration: false,
+    awaitingImport: false
+  });
+  
+  await bot.sendMessage(
     chatId,
-    getFormattedStats(chatId),
+    `🏷️ *Tag note ${noteId}*\n\n` +
+    `Send one or more tags, separated by spaces.\n` +
+    `Example: \`biology exam\``,
     { parse_mode: 'Markdown' }
   );
 }
 
 /**
- * Handler for tasks callback
- * @param {string} callbackQueryId - Callback query ID
+ * Add the tags a user typed to a note and show the note again
  * @param {number} chatId - Chat ID
+ * @param {number} noteId - Note ID
+ * @param {string} text - Tags separated by spaces
  */
-async function handleTasksCallback(callbackQueryId, chatId) {
-  bot.answerCallbackQuery(callbackQueryId);
+async function saveNoteTags(chatId, noteId, text) {
+  const tags = String(text || '').trim().split(/\s+/).map(normalizeTag);
   
-  const tasks = getUserTaskList(chatId);
+  if (tags.length === 0 || tags.includes(null)) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Invalid tag*\n\n` +
+      `Tags use letters, numbers, \\_ and - (up to 20 characters, fewer in non-Latin scripts).`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
   
-  bot.sendMessage(
+  let note = getUserNotes(chatId).find(n => n.id === noteId);
+  
+  for (const tag of tags) {
+    if (note && !note.tags.includes(tag)) {
+      note = toggleNoteTag(chatId, noteId, tag);
+    }
+  }
+  
+  if (!note) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Note not found*\n\n` +
+      `No note found with ID ${noteId}.\n` +
+      `Use /notes to see all your notes.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  await bot.sendMessage(
     chatId,
-    formatTasksMessage(tasks),
-    { 
+    formatNoteMessage(note, chatId),
+    {
       parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [
-          [{ text: '➕ Add New Task', callback_data: 'add_task' }],
-          [
-            { text: '🔄 Refresh List', callback_data: 'refresh_tasks' },
-            { text: '📊 Stats', callback_data: 'stats' }
-          ]
-        ]
-      }
+      reply_markup: noteKeyboard(note, getUserNotes(chatId))
     }
   );
 }
 
 /**
- * Handler for add task callback
- * @param {string} callbackQueryId - Callback query ID
- * @param {number} chatId - Chat ID
+ * Handler for the /export command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
  */
-async function handleAddTaskCallback(callbackQueryId, chatId) {
+async function handleExportCommand(msg, match) {
+  const chatId = msg.chat.id;
+  const format = match[1] ? match[1].toLowerCase().replace(/^markdown$/, 'md') : null;
+  
+  if (!format || !Object.prototype.hasOwnProperty.call(getExportFormats(), format)) {
+    bot.sendMessage(
+      chatId,
+      `📦 *Export your data*\n\n` +
+      `Get your tasks, notes, session history and stats as a file.\n` +
+      `Pick a format, or use \`/export json\`, \`/export csv\` or \`/export md\`.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: exportKeyboard()
+      }
+    );
+    return;
+  }
+  
   try {
-    // Update user session to indicate waiting for task input
-    updateUserSession(chatId, { awaitingTaskInput: true });
-    
-    // Create a decorative border
-    const border = '┏' + '━'.repeat(30) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(30) + '┛';
-    
-    // Send prompt message
-    await bot.sendMessage(
+    await sendExport(chatId, format);
+  } catch (error) {
+    console.error('Error in handleExportCommand:', error);
+    bot.sendMessage(
       chatId,
-      `${border}` +
-      `       ➕ *ADD NEW TASK* ➕\n\n` +
-      `Please enter your task description. Be as specific as possible for better task management.\n\n` +
-      `*Examples:*\n` +
-      `• Read chapter 3 of physics textbook\n` +
-      `• Complete math homework problems 1-10\n` +
-      `• Study for tomorrow's history quiz\n` +
-      `${borderEnd}`,
+      `⚠️ *Error*\n\nThere was a problem exporting your data. Please try again.`,
       { parse_mode: 'Markdown' }
     );
+  }
+}
+
+/**
+ * Handler for export format callback
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {string} format - Export format (see getExportFormats)
+ */
+async function handleExportCallback(callbackQueryId, chatId, format) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  if (!Object.prototype.hasOwnProperty.call(getExportFormats(), format)) {
+    return;
+  }
+  
+  try {
+    await sendExport(chatId, format);
   } catch (error) {
-    console.error('Error handling add task callback:', error.message);
+    console.error('Error in handleExportCallback:', error);
     
     try {
       await bot.sendMessage(
         chatId,
-        "⚠️ *Error*\n\nThere was a problem processing your request. Please try using the command `/addtask [description]` instead.",
+        "⚠️ *Error*\n\nThere was a problem exporting your data. Please try again.",
         { parse_mode: 'Markdown' }
       );
     } catch (msgError) {
@@ -2663,130 +10046,153 @@ async function handleAddTaskCallback(callbackQueryId, chatId) {
 }
 
 /**
- * Handler for refresh tasks callback
- * @param {string} callbackQueryId - Callback query ID
- * @param {number} chatId - Chat ID
+ * Handler for the /import command
+ * @param {Object} msg - Telegram message object
  */
-async function handleRefreshTasksCallback(callbackQueryId, chatId) {
+function handleImportCommand(msg) {
+  const chatId = msg.chat.id;
+  
+  pendingImports.delete(chatId);
+  updateUserSession(chatId, {
+    awaitingImport: true,
+    awaitingNoteTag: null,
+    awaitingNoteEdit: null,
+    awaitingTaskEdit: null,
+    awaitingTaskInput: false,
+    awaitingNoteInput: false,
+    awaitingCustomDuration: false
+  });
+  
+  bot.sendMessage(
+    chatId,
+    `📥 *Import data*\n\n` +
+    `Send the file to import as a document:\n` +
+    `• A backup made with /export json\n` +
+    `• A Todoist or Trello CSV export\n` +
+    `• A text file with one task per line (\`- [x]\` marks done tasks, indented lines become subtasks)\n\n` +
+    `You'll see a preview before anything is added.`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Read an uploaded import file and show its preview
+ * @param {Object} msg - Telegram message object with a document
+ */
+async function handleImportFile(msg) {
+  const chatId = msg.chat.id;
+  const document = msg.document;
+  
+  if (!document) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *No file received*\n\n` +
+      `Send /import again, then send your file as a document.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  if (document.file_size > IMPORT_MAX_FILE_SIZE) {
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *File too large*\n\n` +
+      `Import files can be up to ${IMPORT_MAX_FILE_SIZE / 1024 / 1024} MB.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
   try {
-    // Get updated task list
-    const tasks = getUserTaskList(chatId);
+    const content = await downloadImportFile(document.file_id);
+    const data = parseImportFile(chatId, document.file_name, content);
+    
+    if (data.error) {
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Nothing to import*\n\n` +
+        `${escapeMarkdown(data.error)}\n` +
+        `Send /import to try another file.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
+    pendingImports.set(chatId, data);
     
-    // Send updated task list with inline buttons
     await bot.sendMessage(
       chatId,
-      formatTasksMessage(tasks),
+      formatImportPreview(data, document.file_name),
       {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [{ text: '➕ Add New Task', callback_data: 'add_task' }],
             [
-              { text: '🔄 Refresh List', callback_data: 'refresh_tasks' },
-              { text: '📊 Stats', callback_data: 'stats' }
+              { text: '✅ Import', callback_data: 'import_confirm' },
+              { text: '❌ Cancel', callback_data: 'import_cancel' }
             ]
           ]
         }
       }
     );
   } catch (error) {
-    console.error('Error refreshing tasks:', error.message);
-    
-    try {
-      await bot.sendMessage(
-        chatId,
-        "⚠️ *Error*\n\nThere was a problem refreshing your task list. Please try using the command `/tasks` instead.",
-        { parse_mode: 'Markdown' }
-      );
-    } catch (msgError) {
-      console.error('Error sending error notification:', msgError.message);
-    }
-  }
-}
-
-/**
- * Handler for notes callback
- * @param {string} callbackQueryId - Callback query ID
- * @param {number} chatId - Chat ID
- */
-async function handleNotesCallback(callbackQueryId, chatId) {
-  bot.answerCallbackQuery(callbackQueryId);
-  
-  const notes = getUserNotes(chatId);
-  
-  // Create a decorative border
-  const border = '┏' + '━'.repeat(30) + '┓\n';
-  const borderEnd = '┗' + '━'.repeat(30) + '┛';
-  
-  let message;
-  if (notes.length === 0) {
-    message = `${border}` +
-      `        📝 *YOUR NOTES* 📝\n\n` +
-      `You don't have any saved notes yet.\n\n` +
-      `To add a note, use the command:\n` +
-      `/addnote [your note content]\n\n` +
-      `Notes are a great way to save important\n` +
-      `information during your study sessions.\n` +
-      `${borderEnd}`;
-  } else {
-    let notesList = '';
-    for (const note of notes) {
-      const date = new Date(note.createdAt);
-      const dateStr = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
-      notesList += `*${note.id}.* ${note.text}\n`;
-      notesList += `   _Added on ${dateStr}_\n\n`;
-    }
-    
-    message = `${border}` +
-      `        📝 *YOUR NOTES* 📝\n\n` +
-      notesList +
-      `${borderEnd}`;
-  }
-  
-  bot.sendMessage(
-    chatId,
-    message,
-    { 
-      parse_mode: 'Markdown',
-      reply_markup: notesKeyboard(notes)
-    }
-  );
+    console.error('Error in handleImportFile:', error);
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Error*\n\nThere was a problem reading your file. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
 }
 
 /**
- * Handler for add note callback
+ * Handler for the import preview buttons
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the preview message to update
+ * @param {boolean} confirmed - True to import, false to cancel
  */
-async function handleAddNoteCallback(callbackQueryId, chatId) {
+async function handleImportCallback(callbackQueryId, chatId, messageId, confirmed) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const data = pendingImports.get(chatId);
+  pendingImports.delete(chatId);
+  
   try {
-    // Update user session to indicate waiting for note input
-    updateUserSession(chatId, { awaitingNoteInput: true });
+    let message;
     
-    // Create a decorative border
-    const border = '┏' + '━'.repeat(30) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(30) + '┛';
+    if (!data) {
+      message = `⚠️ *Import expired*\n\nSend /import to upload the file again.`;
+    } else if (!confirmed) {
+      message = `❌ *Import cancelled*\n\nNothing was added.`;
+    } else {
+      const counts = importUserData(chatId, data);
+      const added = [
+        counts.tasks > 0 ? `📋 ${counts.tasks} task(s)` : null,
+        counts.notes > 0 ? `📝 ${counts.notes} note(s)` : null,
+        counts.subjects > 0 ? `📚 ${counts.subjects} subject(s)` : null,
+        counts.sessions > 0 ? `⏱️ ${counts.sessions} session(s)` : null
+      ].filter(Boolean);
+      
+      message = `✅ *Import complete*\n\n` +
+        (added.length > 0 ? added.join('\n') : 'Nothing new was added.') + '\n' +
+        (counts.duplicates > 0 ? `\n${counts.duplicates} item(s) were already there and were skipped.\n` : '') +
+        (counts.overlapping > 0 ? `\n${counts.overlapping} session(s) overlapped time already recorded and were skipped.\n` : '') +
+        `\nSee them with /tasks and /notes.`;
+    }
     
-    // Send prompt message
-    await bot.sendMessage(
-      chatId,
-      `${border}` +
-      `       ➕ *ADD NEW NOTE* ➕\n\n` +
-      `Please enter the content for your note. You can add any important information you want to remember.\n\n` +
-      `*Examples:*\n` +
-      `• Exam topics: History (1800-1900), Economics\n` +
-      `• Physics formula: F = ma\n` +
-      `• Research project ideas for science class\n` +
-      `${borderEnd}`,
-      { parse_mode: 'Markdown' }
-    );
+    await bot.editMessageText(message, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown'
+    });
   } catch (error) {
-    console.error('Error handling add note callback:', error.message);
+    console.error('Error in handleImportCallback:', error);
     
     try {
       await bot.sendMessage(
         chatId,
-        "⚠️ *Error*\n\nThere was a problem processing your request. Please try using the command `/addnote [content]` instead.",
+        "⚠️ *Error*\n\nThere was a problem importing your data. Please try again.",
         { parse_mode: 'Markdown' }
       );
     } catch (msgError) {
@@ -2796,60 +10202,112 @@ async function handleAddNoteCallback(callbackQueryId, chatId) {
 }
 
 /**
- * Handler for refresh notes callback
- * @param {string} callbackQueryId - Callback query ID
- * @param {number} chatId - Chat ID
+ * Handler for the /leaderboard command
+ * @param {Object} msg - Telegram message object
+ * @param {Array} match - Regex match array
  */
-async function handleRefreshNotesCallback(callbackQueryId, chatId) {
-  try {
-    // Get updated notes list
-    const notes = getUserNotes(chatId);
-    
-    // Create a decorative border
-    const border = '┏' + '━'.repeat(30) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(30) + '┛';
-    
-    let message;
-    if (notes.length === 0) {
-      message = `${border}` +
-        `        📝 *YOUR NOTES* 📝\n\n` +
-        `You don't have any saved notes yet.\n\n` +
-        `To add a note, use the command:\n` +
-        `/addnote [your note content]\n\n` +
-        `Notes are a great way to save important\n` +
-        `information during your study sessions.\n` +
-        `${borderEnd}`;
-    } else {
-      let notesList = '';
-      for (const note of notes) {
-        const date = new Date(note.createdAt);
-        const dateStr = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
-        notesList += `*${note.id}.* ${note.text}\n`;
-        notesList += `   _Added on ${dateStr}_\n\n`;
-      }
+async function handleLeaderboardCommand(msg, match) {
+  const chatId = msg.chat.id;
+  rememberUser(chatId, msg.from);
+  
+  if (match[1] === 'invite' && !isGroupChat(chatId)) {
+    try {
+      const me = await bot.getMe();
+      const link = `https://t.me/${me.username}?start=friend_${getUserInviteCode(chatId)}`;
       
-      message = `${border}` +
-        `        📝 *YOUR NOTES* 📝\n\n` +
-        notesList +
-        `${borderEnd}`;
+      await bot.sendMessage(
+        chatId,
+        `🤝 *Invite a friend*\n\n` +
+        `Send this link to a friend. When they open it, you'll appear on each other's leaderboard:\n\n` +
+        `${escapeMarkdown(link)}`,
+        { parse_mode: 'Markdown', disable_web_page_preview: true }
+      );
+    } catch (error) {
+      console.error('Error in handleLeaderboardCommand:', error);
+      await bot.sendMessage(
+        chatId,
+        `⚠️ *Error*\n\nThere was a problem creating your invite link. Please try again.`,
+        { parse_mode: 'Markdown' }
+      );
     }
-    
-    // Send updated notes list with inline buttons
+    return;
+  }
+  
+  if (match[1] === 'friends' && !isGroupChat(chatId)) {
+    const friendIds = userStore.get(chatId).friends;
     await bot.sendMessage(
       chatId,
-      message,
+      formatFriendsMessage(chatId),
       {
         parse_mode: 'Markdown',
-        reply_markup: notesKeyboard(notes)
+        reply_markup: friendsKeyboard(friendIds)
       }
     );
+    return;
+  }
+  
+  await bot.sendMessage(
+    chatId,
+    formatLeaderboardMessage(chatId, 'minutes'),
+    {
+      parse_mode: 'Markdown',
+      reply_markup: leaderboardKeyboard('minutes')
+    }
+  );
+}
+
+/**
+ * Handler for the leaderboard ranking buttons
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the leaderboard message
+ * @param {string} metric - Metric to rank by
+ */
+async function handleLeaderboardCallback(callbackQueryId, chatId, messageId, metric) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  if (!getLeaderboardMetrics()[metric]) {
+    return;
+  }
+  
+  try {
+    await bot.editMessageText(formatLeaderboardMessage(chatId, metric), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: leaderboardKeyboard(metric)
+    });
   } catch (error) {
-    console.error('Error refreshing notes:', error.message);
+    console.error('Error updating leaderboard message:', error.message);
+  }
+}
+
+/**
+ * Handler for the remove buttons under /leaderboard friends
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the friends message
+ * @param {number} friendId - Telegram user ID of the friend to remove
+ */
+async function handleUnfriendCallback(callbackQueryId, chatId, messageId, friendId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  try {
+    removeUserFriend(chatId, friendId);
+    
+    await bot.editMessageText(formatFriendsMessage(chatId), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: friendsKeyboard(userStore.get(chatId).friends)
+    });
+  } catch (error) {
+    console.error('Error in handleUnfriendCallback:', error);
     
     try {
       await bot.sendMessage(
         chatId,
-        "⚠️ *Error*\n\nThere was a problem refreshing your notes. Please try using the command `/notes` instead.",
+        "⚠️ *Error*\n\nThere was a problem removing your friend. Please try again.",
         { parse_mode: 'Markdown' }
       );
     } catch (msgError) {
@@ -2859,112 +10317,113 @@ async function handleRefreshNotesCallback(callbackQueryId, chatId) {
 }
 
 /**
- * Handler for view note callback
- * @param {string} callbackQueryId - Callback query ID
- * @param {number} chatId - Chat ID
- * @param {number} noteId - Note ID
+ * Handler for the /partner command
+ * @param {Object} msg - Telegram message object
  */
-async function handleViewNoteCallback(callbackQueryId, chatId, noteId) {
+async function handlePartnerCommand(msg) {
+  const chatId = msg.chat.id;
+  
+  if (isGroupChat(chatId)) {
+    await bot.sendMessage(
+      chatId,
+      `ℹ️ Accountability partners are set up in a private chat with me. Send me /partner there.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  rememberUser(chatId, msg.from);
+  const partnerId = userStore.get(chatId).partnerId;
+  
+  // Create a decorative border
+  const border = '┏' + '━'.repeat(28) + '┓\n';
+  const borderEnd = '┗' + '━'.repeat(28) + '┛';
+  
   try {
-    bot.answerCallbackQuery(callbackQueryId);
-    
-    const notes = getUserNotes(chatId);
-    const note = notes.find(n => n.id === noteId);
-    
-    if (!note) {
+    if (!partnerId) {
+      const me = await bot.getMe();
+      const link = `https://t.me/${me.username}?start=partner_${getUserInviteCode(chatId, 'partner')}`;
+      
       await bot.sendMessage(
         chatId,
-        `⚠️ *Note not found*\n\n` +
-        `The note you requested could not be found.`,
-        { parse_mode: 'Markdown' }
+        `🤝 Study with an accountability partner!\n\n` +
+        `Send this link to a friend. Once they open it, you'll each hear when the other starts or finishes a session, and get a nudge if you haven't studied by your usual time. The link works once:\n\n` +
+        `${link}`,
+        { disable_web_page_preview: true }
       );
       return;
     }
     
-    // Create a decorative border
-    const border = '┏' + '━'.repeat(30) + '┓\n';
-    const borderEnd = '┗' + '━'.repeat(30) + '┛';
-    
-    const date = new Date(note.createdAt);
-    const dateStr = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+    const describe = (userId) => {
+      const data = userStore.get(userId);
+      const todayMinutes = data.stats.dailyStudyTime[userMoment(userId).format('YYYY-MM-DD')] || 0;
+      const usualTime = getUsualStudyTime(userId);
+      
+      return `${data.session.isStudying ? '🟢 Focusing now' : `📅 Today: ${formatMinutes(todayMinutes)}`}\n` +
+        `⏰ Usual start: ${usualTime === null ? '_not enough sessions yet_' : formatTimeOfDay(usualTime)}\n` +
+        `🔥 Streak: ${getWeeklyStanding(userId).streak} day(s)`;
+    };
     
     await bot.sendMessage(
       chatId,
       `${border}` +
-      `        📝 *NOTE #${note.id}* 📝\n\n` +
-      `${note.text}\n\n` +
-      `_Added on ${dateStr}_\n` +
+      `   🤝 *ACCOUNTABILITY PARTNER* 🤝\n\n` +
+      `*${escapeMarkdown(userStore.get(partnerId).name || 'Your partner')}*\n` +
+      `${describe(partnerId)}\n\n` +
+      `*You*\n` +
+      `${describe(chatId)}\n` +
       `${borderEnd}`,
-      { 
+      {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
-            [
-              { text: '🗑️ Delete Note', callback_data: `delete_note_${note.id}` },
-              { text: '🔙 Back to Notes', callback_data: 'notes' }
-            ]
+            [{ text: '💔 End partnership', callback_data: 'partner_end' }]
           ]
         }
       }
     );
   } catch (error) {
-    console.error('Error viewing note:', error.message);
-    
-    try {
-      await bot.sendMessage(
-        chatId,
-        "⚠️ *Error*\n\nThere was a problem viewing the note. Please try again later.",
-        { parse_mode: 'Markdown' }
-      );
-    } catch (msgError) {
-      console.error('Error sending error notification:', msgError.message);
-    }
+    console.error('Error in handlePartnerCommand:', error);
+    await bot.sendMessage(
+      chatId,
+      `⚠️ *Error*\n\nThere was a problem loading your partnership. Please try again.`,
+      { parse_mode: 'Markdown' }
+    );
   }
 }
 
 /**
- * Handler for delete note callback
+ * Handler for the End partnership button
  * @param {string} callbackQueryId - Callback query ID
  * @param {number} chatId - Chat ID
- * @param {number} noteId - Note ID
+ * @param {number} messageId - ID of the partner message
  */
-async function handleDeleteNoteCallback(callbackQueryId, chatId, noteId) {
+async function handlePartnerEndCallback(callbackQueryId, chatId, messageId) {
+  bot.answerCallbackQuery(callbackQueryId);
+  
+  const partnerId = removeUserPartner(chatId);
+  
   try {
-    bot.answerCallbackQuery(callbackQueryId);
-    
-    const deleted = deleteUserNote(chatId, noteId);
+    await bot.editMessageText(
+      partnerId
+        ? `💔 *Partnership ended*\n\nSend /partner to invite someone new.`
+        : `ℹ️ You don't have an accountability partner.`,
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown'
+      }
+    );
     
-    if (deleted) {
+    if (partnerId) {
       await bot.sendMessage(
-        chatId,
-        `✅ *Note deleted*\n\n` +
-        `Your note has been deleted successfully.`,
-        { parse_mode: 'Markdown' }
-      );
-      
-      // Show updated notes list
-      const notes = getUserNotes(chatId);
-      await handleNotesCallback(callbackQueryId, chatId);
-    } else {
-      await bot.sendMessage(
-        chatId,
-        `⚠️ *Note not found*\n\n` +
-        `The note you tried to delete could not be found.`,
+        partnerId,
+        `💔 *${escapeMarkdown(userStore.get(chatId).name || 'Your partner')}* ended your accountability partnership.\n\nSend /partner to invite someone new.`,
         { parse_mode: 'Markdown' }
       );
     }
   } catch (error) {
-    console.error('Error deleting note:', error.message);
-    
-    try {
-      await bot.sendMessage(
-        chatId,
-        "⚠️ *Error*\n\nThere was a problem deleting the note. Please try again later.",
-        { parse_mode: 'Markdown' }
-      );
-    } catch (msgError) {
-      console.error('Error sending error notification:', msgError.message);
-    }
+    console.error('Error ending partnership:', error.message);
   }
 }
 
@@ -2972,24 +10431,35 @@ async function handleDeleteNoteCallback(callbackQueryId, chatId, noteId) {
 // MAIN BOT SETUP
 //======================================
 
+// Load persisted user data before handling any updates
+loadUserStore();
+
 // Register command handlers
-bot.onText(/^\/start$/, handleStartCommand);
+bot.onText(/^\/start(?:\s+(\S+))?$/, handleStartCommand);
 bot.onText(/^\/help$/, handleHelpCommand);
 bot.onText(/^\/focus(?:\s+(.+))?$/, handleFocusCommand);
 bot.onText(/^\/stop$/, handleStopFocusCommand);
 bot.onText(/^\/pause$/, handlePauseFocusCommand);
 bot.onText(/^\/resume$/, handleResumeFocusCommand);
+bot.onText(/^\/pomodoro(?:\s+(.+))?$/, handlePomodoroCommand);
 bot.onText(/^\/custom_time(?:\s+(.+))?$/, handleCustomTimeCommand);
 bot.onText(/^\/tasks$/, handleListTasksCommand);
 bot.onText(/^\/addtask\s+(.+)$/, handleAddTaskCommand);
-bot.onText(/^\/complete(?:\s+(\d+))?$/, handleCompleteTaskCommand);
-bot.onText(/^\/delete(?:\s+(\d+))?$/, handleDeleteTaskCommand);
+bot.onText(/^\/complete(?:\s+(.+))?$/, handleCompleteTaskCommand);
+bot.onText(/^\/delete(?:\s+(.+))?$/, handleDeleteTaskCommand);
+bot.onText(/^\/clearcompleted$/, handleClearCompletedCommand);
+bot.onText(/^\/move(?:\s+(\d+))?(?:\s+(\d+))?$/, handleMoveTaskCommand);
+bot.onText(/^\/remind(?:\s+(\d+))?(?:\s+(.+))?$/, handleRemindCommand);
+bot.onText(/^\/addsub(?:\s+(\d+))?(?:\s+(.+))?$/, handleAddSubtaskCommand);
+bot.onText(/^\/edittask(?:\s+(\d+))?(?:\s+(.+))?$/, handleEditTaskCommand);
+bot.onText(/^\/delsub\s+(\d+)\s+(\d+)$/, handleDeleteSubtaskCommand);
 bot.onText(/^\/stats$/, handleStatsCommand);
+bot.onText(/^\/history$/, handleHistoryCommand);
+bot.onText(/^\/settings$/, handleSettingsCommand);
+bot.onText(/^\/timezone(?:\s+(.+))?$/, handleTimezoneCommand);
 
 // Handle button presses (text buttons)
-bot.onText(/🕒 25m Focus/, (msg) => handleFocusCommand(msg, [null, '25']));
-bot.onText(/⏱ 45m Focus/, (msg) => handleFocusCommand(msg, [null, '45']));
-bot.onText(/⏰ 60m Focus/, (msg) => handleFocusCommand(msg, [null, '60']));
+bot.onText(/^(?:🕒|⏱|⏰) (\d+)m Focus$/, handleFocusCommand);
 bot.onText(/⌨️ Custom Time/, (msg) => handleCustomTimeCommand(msg, [null]));
 bot.onText(/⚙️ Custom Timer/, (msg) => {
   const standardOptions = [
@@ -3040,20 +10510,51 @@ bot.onText(/📝 Notes/, handleListNotesCommand);
 bot.onText(/ℹ️ Help/, handleHelpCommand);
 
 // Register notes command handlers
-bot.onText(/^\/notes$/, handleListNotesCommand);
+bot.onText(/^\/notes(?:\s+(\S+))?$/, handleListNotesCommand);
 bot.onText(/^\/addnote\s+(.+)$/, handleAddNoteCommand);
 bot.onText(/^\/deletenote(?:\s+(\d+))?$/, handleDeleteNoteCommand);
+bot.onText(/^\/trash$/, handleTrashCommand);
+bot.onText(/^\/search(?:\s+(.+))?$/, handleSearchCommand);
+bot.onText(/^\/export(?:\s+(\S+))?$/, handleExportCommand);
+bot.onText(/^\/import$/, handleImportCommand);
+bot.onText(/^\/leaderboard(?:\s+(invite|friends))?$/, handleLeaderboardCommand);
+bot.onText(/^\/partner$/, handlePartnerCommand);
+bot.onText(/^\/editnote(?:\s+(\d+))?(?:\s+(.+))?$/, handleEditNoteCommand);
+bot.onText(/^\/subjects$/, handleListSubjectsCommand);
+bot.onText(/^\/addsubject\s+(.+)$/, handleAddSubjectCommand);
+bot.onText(/^\/deletesubject(?:\s+(\d+))?$/, handleDeleteSubjectCommand);
 
 // Handle custom timer input and task input
 bot.on('message', async (msg) => {
   const chatId = msg.chat.id;
   const text = msg.text;
   
+  // Keep names and group membership up to date for leaderboards
+  rememberUser(chatId, msg.from);
+  if (msg.left_chat_member) {
+    forgetGroupMember(chatId, msg.left_chat_member.id);
+    return;
+  }
+  
   // Skip command messages
   if (text && text.startsWith('/')) {
     return;
   }
   
+  // Shared locations set the user's timezone
+  if (msg.location) {
+    handleLocationMessage(msg);
+    return;
+  }
+  
+  // Files sent with /addnote as their caption are saved straight away
+  const attachment = getMessageAttachment(msg);
+  const captionCommand = attachment && msg.caption ? msg.caption.match(/^\/addnote(?:\s+([\s\S]+))?$/) : null;
+  if (captionCommand) {
+    handleAddNoteCommand(msg, captionCommand);
+    return;
+  }
+  
   // Get user session
   const session = getUserSession(chatId);
   
@@ -3074,32 +10575,22 @@ bot.on('message', async (msg) => {
     updateUserSession(chatId, { awaitingCustomDuration: false });
     console.log(`Reset awaitingCustomDuration to false for user ${chatId}`);
     
-    if (duration && duration >= 1 && duration <= 120) {
+    const maxDuration = getUserSettings(chatId).maxSessionLength;
+    
+    if (duration && duration >= 1 && duration <= maxDuration) {
       // Valid duration within limits
-      const result = await startFocusTimer(chatId, duration);
+      const result = await startFocusTimer(chatId, duration, { startedBy: msg.from, customTimer: true });
       
-      // Only show confirmation if timer was successfully started
-      if (result) {
-        // Border for the confirmation message
-        const border = '┏' + '━'.repeat(25) + '┓\n';
-        const borderEnd = '┗' + '━'.repeat(25) + '┛';
-        
-        await bot.sendMessage(
-          chatId,
-          `${border}` +
-          `   ✅ *CUSTOM TIMER STARTED* ✅\n\n` +
-          `Successfully started a *${duration}-minute* timer.\n` +
-          `Stay focused and productive!\n` +
-          `${borderEnd}`,
-          { parse_mode: 'Markdown' }
-        );
+      // Only show confirmation if timer was successfully started (the subject picker confirms it later)
+      if (result && !result.pending) {
+        await sendCustomTimerStarted(chatId, duration);
       }
     } else {
       // Invalid duration
       bot.sendMessage(
         chatId,
         `⚠️ *Invalid Duration*\n\n` +
-        `Please provide a valid duration between 1 and 120 minutes.\n` +
+        `Please provide a valid duration between 1 and ${maxDuration} minutes.\n` +
         `You entered: "${text}"\n\n` +
         `Try again with the /focus command.`,
         { parse_mode: 'Markdown' }
@@ -3125,6 +10616,16 @@ bot.on('message', async (msg) => {
     // Create the new task
     const newTask = createTask(chatId, text.trim());
     
+    if (!newTask) {
+      bot.sendMessage(
+        chatId,
+        `⚠️ *Invalid task*\n\n` +
+        `Task description cannot be empty. Please try again with a valid description.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    
     // Border for the confirmation message
     const border = '┏' + '━'.repeat(25) + '┓\n';
     const borderEnd = '┗' + '━'.repeat(25) + '┛';
@@ -3135,7 +10636,8 @@ bot.on('message', async (msg) => {
       `${border}` +
       `     ✅ *TASK ADDED* ✅\n\n` +
       `Successfully added task:\n` +
-      `*${newTask.id}.* ${newTask.text}\n\n` +
+      `*${newTask.id}.* ${escapeMarkdown(newTask.text)}\n` +
+      `${describeTaskSchedule(chatId, newTask)}\n\n` +
       `View all your tasks with /tasks\n` +
       `${borderEnd}`,
       { parse_mode: 'Markdown' }
@@ -3146,28 +10648,46 @@ bot.on('message', async (msg) => {
     
     await bot.sendMessage(
       chatId,
-      formatTasksMessage(tasks),
+      formatTasksMessage(tasks, chatId),
       {
         parse_mode: 'Markdown',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '➕ Add Another Task', callback_data: 'add_task' }],
-            [
-              { text: '🔄 Refresh List', callback_data: 'refresh_tasks' },
-              { text: '📊 Stats', callback_data: 'stats' }
-            ]
-          ]
-        }
+        reply_markup: taskKeyboard(tasks)
       }
     );
   }
+  // Handle new text for a task being edited
+  else if (session.awaitingTaskEdit) {
+    const taskId = session.awaitingTaskEdit;
+    updateUserSession(chatId, { awaitingTaskEdit: null });
+    await saveTaskEdit(chatId, taskId, text);
+  }
+  // Handle new text for a note being edited
+  else if (session.awaitingNoteEdit) {
+    const noteId = session.awaitingNoteEdit;
+    updateUserSession(chatId, { awaitingNoteEdit: null });
+    await saveNoteEdit(chatId, noteId, text);
+  }
+  // Handle the file sent after /import
+  else if (session.awaitingImport) {
+    updateUserSession(chatId, { awaitingImport: false });
+    await handleImportFile(msg);
+  }
+  // Handle tags for a note being tagged
+  else if (session.awaitingNoteTag) {
+    const noteId = session.awaitingNoteTag;
+    updateUserSession(chatId, { awaitingNoteTag: null });
+    await saveNoteTags(chatId, noteId, text);
+  }
   // Handle note input
   else if (session.awaitingNoteInput) {
     // Reset the awaiting note input flag
     updateUserSession(chatId, { awaitingNoteInput: false });
     
+    // Files are saved with their caption as the note text
+    const noteText = attachment ? (msg.caption || '').trim() || getAttachmentTypes()[attachment.type].label : text;
+    
     // Check if the note text is valid
-    if (!text || text.trim() === '') {
+    if (!noteText || noteText.trim() === '') {
       bot.sendMessage(
         chatId,
         `⚠️ *Empty Note*\n\n` +
@@ -3179,7 +10699,7 @@ bot.on('message', async (msg) => {
     
     try {
       // Create the new note
-      const newNote = addUserNote(chatId, text.trim());
+      const newNote = addUserNote(chatId, noteText.trim(), attachment);
       
       // Border for the confirmation message
       const border = '┏' + '━'.repeat(25) + '┓\n';
@@ -3209,24 +10729,13 @@ bot.on('message', async (msg) => {
         // If this is their first note, provide some additional guidance
         message = `${noteBorder}` +
           `        📝 *YOUR NOTES* 📝\n\n` +
-          `*${newNote.id}.* ${newNote.text}\n` +
+          `*${newNote.id}.* ${escapeMarkdown(newNote.text)}\n` +
           `   _Added just now_\n\n` +
           `Notes help you remember important\n` +
           `information during your study sessions.\n` +
           `${noteBorderEnd}`;
       } else {
-        let notesList = '';
-        for (const note of notes) {
-          const date = new Date(note.createdAt);
-          const dateStr = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
-          notesList += `*${note.id}.* ${note.text.length > 30 ? note.text.substring(0, 30) + '...' : note.text}\n`;
-          notesList += `   _Added on ${dateStr}_\n\n`;
-        }
-        
-        message = `${noteBorder}` +
-          `        📝 *YOUR NOTES* 📝\n\n` +
-          notesList +
-          `${noteBorderEnd}`;
+        message = formatNotesMessage(notes, chatId);
       }
       
       await bot.sendMessage(
@@ -3256,6 +10765,8 @@ bot.on('callback_query', async (callbackQuery) => {
     const action = callbackQuery.data;
     const chatId = callbackQuery.message.chat.id;
     
+    rememberUser(chatId, callbackQuery.from);
+    
     // First acknowledge the callback query
     try {
       await bot.answerCallbackQuery(callbackQuery.id);
@@ -3311,7 +10822,15 @@ bot.on('callback_query', async (callbackQuery) => {
         );
       } else if (duration === 'specific_time') {
         // Set a flag in user session to await custom time input
-        updateUserSession(chatId, { awaitingCustomDuration: true });
+        updateUserSession(chatId, {
+          awaitingCustomDuration: true,
+          awaitingTaskInput: false,
+          awaitingNoteInput: false,
+          awaitingTaskEdit: null,
+          awaitingNoteEdit: null,
+          awaitingNoteTag: null,
+          awaitingImport: false
+        });
         console.log(`Setting awaitingCustomDuration to true for user ${chatId}`);
         
         await bot.sendMessage(
@@ -3322,14 +10841,14 @@ bot.on('callback_query', async (callbackQuery) => {
           `• 25m (25 minutes)\n` +
           `• 1h (1 hour)\n` +
           `• 1h30m (1 hour and 30 minutes)\n\n` +
-          `*Valid range:* 1-120 minutes`,
+          `*Valid range:* 1-${getUserSettings(chatId).maxSessionLength} minutes`,
           { parse_mode: 'Markdown' }
         );
       } else {
         // Convert the duration to a number and handle
         const durationNum = parseInt(duration);
         if (!isNaN(durationNum) && durationNum > 0) {
-          handleFocusCallback(callbackQuery.id, chatId, durationNum);
+          handleFocusCallback(callbackQuery.id, chatId, durationNum, callbackQuery.from);
         } else {
           await bot.sendMessage(
             chatId,
@@ -3338,20 +10857,127 @@ bot.on('callback_query', async (callbackQuery) => {
           );
         }
       }
+    } else if (action === 'partner_end') {
+      await handlePartnerEndCallback(callbackQuery.id, chatId, callbackQuery.message.message_id);
+    } else if (action.startsWith('unfriend_')) {
+      await handleUnfriendCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(action.split('_')[1]));
+    } else if (action.startsWith('leaderboard_')) {
+      await handleLeaderboardCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, action.substring('leaderboard_'.length));
+    } else if (action === 'room_join' || action === 'room_leave') {
+      await handleRoomCallback(callbackQuery.id, chatId, callbackQuery.from, action === 'room_join');
     } else if (action === 'stop_focus') {
       handleStopFocusCallback(callbackQuery.id, chatId);
     } else if (action === 'pause_focus') {
       handlePauseFocusCallback(callbackQuery.id, chatId);
     } else if (action === 'resume_focus') {
       handleResumeFocusCallback(callbackQuery.id, chatId);
+    } else if (action === 'pomodoro_skip') {
+      await handlePomodoroSkipCallback(callbackQuery.id, chatId);
+    } else if (action.startsWith('pomodoro_extend_')) {
+      const minutes = parseInt(action.split('_')[2]);
+      await handlePomodoroExtendCallback(callbackQuery.id, chatId, minutes);
+    } else if (action === 'pomodoro_stop') {
+      await handlePomodoroStopCallback(callbackQuery.id, chatId);
+    } else if (action.startsWith('pomodoro_start_')) {
+      const args = action.substring('pomodoro_start_'.length).replace(/_/g, ' ');
+      await handlePomodoroCommand(callbackQuery.message, [null, args]);
     } else if (action.startsWith('complete_task_')) {
       const taskId = parseInt(action.split('_')[2]);
       handleCompleteTaskCallback(callbackQuery.id, chatId, taskId);
+    } else if (action.startsWith('session_task_done_')) {
+      const taskId = parseInt(action.split('_')[3]);
+      await handleSessionTaskDoneCallback(callbackQuery.id, chatId, callbackQuery.message, taskId);
+    } else if (action.startsWith('task_focus_')) {
+      const taskId = parseInt(action.split('_')[2]);
+      await handleTaskFocusCallback(callbackQuery.id, chatId, taskId);
+    } else if (action.startsWith('subtask_toggle_')) {
+      const [, , taskId, subtaskId] = action.split('_');
+      await handleSubtaskToggleCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(taskId), parseInt(subtaskId));
+    } else if (action.startsWith('task_rename_')) {
+      await promptTaskEdit(chatId, parseInt(action.split('_')[2]));
+    } else if (action.startsWith('edit_note_')) {
+      await promptNoteEdit(chatId, parseInt(action.split('_')[2]));
+    } else if (action.startsWith('task_edit_')) {
+      const taskId = parseInt(action.split('_')[2]);
+      await handleTaskEditCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, taskId, null);
+    } else if (action.startsWith('task_priority_')) {
+      const [, , taskId, priority] = action.split('_');
+      // A manual order only means something within the old priority group
+      await handleTaskEditCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(taskId), getTaskPriorities()[priority] ? { priority, order: null } : null);
+    } else if (action.startsWith('task_due_')) {
+      const [, , taskId, preset] = action.split('_');
+      const dueDates = {
+        today: parseDueDate(chatId, 'today'),
+        tomorrow: parseDueDate(chatId, 'tomorrow'),
+        week: userMoment(chatId).add(7, 'days').format('YYYY-MM-DD'),
+        none: null
+      };
+      await handleTaskEditCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(taskId), { dueDate: dueDates[preset] || null });
+    } else if (action.startsWith('task_remind_')) {
+      const [, , taskId, preset] = action.split('_');
+      const reminderTimes = { hour: 'in 1h', evening: '18:00', morning: 'tomorrow 9:00' };
+      const remindAt = reminderTimes[preset] ? parseReminderTime(chatId, reminderTimes[preset]) : null;
+      await handleTaskEditCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(taskId), { reminderAt: remindAt });
+    } else if (action.startsWith('reminder_snooze_')) {
+      const [, , taskId, minutes] = action.split('_');
+      await handleReminderSnoozeCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(taskId), parseInt(minutes));
+    } else if (action.startsWith('reminder_done_')) {
+      const taskId = parseInt(action.split('_')[2]);
+      await handleReminderDoneCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, taskId);
     } else if (action.startsWith('delete_task_')) {
       const taskId = parseInt(action.split('_')[2]);
       handleDeleteTaskCallback(callbackQuery.id, chatId, taskId);
+    } else if (action.startsWith('undo_delete_')) {
+      // A range from undoKeyboard ("first-last") can cover more IDs than parseIdList allows
+      const [firstId, lastId = firstId] = action.substring('undo_delete_'.length).split('-').map(n => parseInt(n));
+      await handleUndoDeleteCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, firstId, lastId);
+    } else if (action === 'import_confirm' || action === 'import_cancel') {
+      await handleImportCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, action === 'import_confirm');
+    } else if (action.startsWith('export_')) {
+      await handleExportCallback(callbackQuery.id, chatId, action.split('_')[1]);
+    } else if (action.startsWith('trash_')) {
+      await handleTrashCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, action);
+    } else if (action.startsWith('subject_pick_')) {
+      const [subjectId, duration, taskId, pomodoro, customTimer] = action.split('_').slice(2).map(n => parseInt(n));
+      const shownAt = new Date(callbackQuery.message.date * 1000);
+      await handleSubjectPickCallback(callbackQuery.id, chatId, subjectId, duration, taskId, pomodoro === 1, customTimer === 1, shownAt);
+    } else if (action.startsWith('delete_subject_')) {
+      const subjectId = parseInt(action.split('_')[2]);
+      await handleDeleteSubjectCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, subjectId);
+    } else if (action.startsWith('settings_')) {
+      await handleSettingsCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, action);
+    } else if (action.startsWith('history_page_')) {
+      const page = parseInt(action.split('_')[2]);
+      await handleHistoryPageCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, page);
+    } else if (action.startsWith('history_delete_')) {
+      const [, , entryId, page] = action.split('_');
+      await handleDeleteHistoryCallback(
+        callbackQuery.id,
+        chatId,
+        callbackQuery.message.message_id,
+        parseInt(entryId),
+        parseInt(page)
+      );
     } else if (action === 'stats') {
       handleStatsCallback(callbackQuery.id, chatId);
+    } else if (action.startsWith('tasks_page_') || action === 'view_all_tasks') {
+      // Older list messages still carry a "View all" button for the rest of the list
+      const page = action === 'view_all_tasks' ? 2 : parseInt(action.split('_')[2]);
+      await handleTasksPageCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, page);
+    } else if (action.startsWith('notes_page_') || action === 'view_all_notes') {
+      const page = action === 'view_all_notes' ? 2 : parseInt(action.split('_')[2]);
+      await handleNotesPageCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, page);
+    } else if (action.startsWith('notes_tag_')) {
+      // Tags may contain underscores, so the page is taken from the end
+      const parts = action.split('_');
+      const tag = parts.slice(2, -1).join('_');
+      await handleNotesPageCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(parts[parts.length - 1]), tag);
+    } else if (action.startsWith('note_tag_')) {
+      const parts = action.split('_');
+      await handleNoteTagCallback(callbackQuery.id, chatId, callbackQuery.message.message_id, parseInt(parts[2]), parts.slice(3).join('_'));
+    } else if (action.startsWith('note_newtag_')) {
+      const noteId = parseInt(action.split('_')[2]);
+      await handleNewNoteTagCallback(callbackQuery.id, chatId, noteId);
     } else if (action === 'tasks') {
       handleTasksCallback(callbackQuery.id, chatId);
     } else if (action === 'add_task') {
@@ -3387,14 +11013,36 @@ bot.on('callback_query', async (callbackQuery) => {
   }
 });
 
+// Pick up focus sessions and task reminders that were pending before a restart
+restoreActiveTimers();
+restoreTaskReminders();
+purgeExpiredTrash();
+
 // Setup periodic cleanup job to remove stale timers
 schedule.scheduleJob('*/30 * * * *', cleanupTimers); // Run every 30 minutes
 
+// Remove trashed items once they pass their retention period
+schedule.scheduleJob('0 * * * *', purgeExpiredTrash); // Run every hour
+
+// Post the weekly leaderboards
+schedule.scheduleJob('0 18 * * 0', postWeeklyLeaderboards); // Run every Sunday at 18:00
+
+// Nudge accountability partners who haven't studied by their usual time
+schedule.scheduleJob('5 * * * *', sendPartnerNudges); // Run every hour
+
 // Handle errors
 bot.on('polling_error', (error) => {
   console.error('Polling error:', error);
 });
 
+// Write pending changes to storage before the process exits
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    flushUserStore();
+    process.exit(0);
+  });
+}
+
 console.log('Study Focus Bot is now running!');
 
 // Start a simple HTTP server on port 5000 to keep the application alive